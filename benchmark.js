@@ -0,0 +1,208 @@
+import { execFileSync } from 'child_process';
+import fs from 'fs';
+import path from 'path';
+import { performance } from 'perf_hooks';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { PubSubSystem } from './src/pubsub.js';
+
+/**
+ * Fan-out benchmark for the Plivo PubSub System
+ *
+ * Runs the PubSubSystem in-process against stub sockets (no network), so the
+ * numbers only reflect the broker's own publish/fan-out/history work:
+ *
+ *   fan-out  - one topic with many subscribers, every event goes to all of them
+ *   history  - one topic without subscribers and a large replay ring buffer
+ *
+ * Usage: node benchmark.js [--subscribers 2000] [--messages 200]
+ *                          [--payload-bytes 512] [--history 100000] [--runs 3]
+ *                          [--baseline <git-ref>]
+ *
+ * --baseline also benchmarks src/ as of a git revision (extracted under
+ * node_modules/.cache) and reports it as "before" next to the working tree.
+ */
+
+const options = {
+    subscribers: 2000,
+    messages: 200,
+    payloadBytes: 512,
+    history: 100000,
+    runs: 3,
+    baseline: null
+};
+
+const args = process.argv.slice(2);
+for (let i = 0; i < args.length; i += 2) {
+    const name = args[i].replace(/^--/, '').replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+    if (!(name in options)) {
+        console.error(`Unknown option ${args[i]}`);
+        process.exit(1);
+    }
+    options[name] = name === 'baseline' ? args[i + 1] : parseInt(args[i + 1], 10);
+}
+
+const rootDirectory = path.dirname(fileURLToPath(import.meta.url));
+
+/**
+ * Minimal stand-in for a ws connection that only counts what it is sent
+ */
+function createStubSocket() {
+    return {
+        readyState: 1, // WebSocket.OPEN
+        bufferedAmount: 0,
+        frames: 0,
+        bytes: 0,
+        send(data) {
+            this.frames++;
+            this.bytes += data.length;
+        },
+        close() {
+            this.readyState = 3;
+        },
+        ping() {},
+        on() {}
+    };
+}
+
+/**
+ * Resolve once every socket received the expected number of frames
+ */
+function waitForDelivery(sockets, expectedFrames) {
+    return new Promise((resolve) => {
+        const check = () => {
+            if (sockets.every(socket => socket.frames >= expectedFrames)) {
+                resolve();
+            } else {
+                setImmediate(check);
+            }
+        };
+        check();
+    });
+}
+
+function createPayload(index) {
+    return {
+        id: `00000000-0000-4000-8000-${String(index).padStart(12, '0')}`,
+        payload: { index, data: 'x'.repeat(options.payloadBytes) }
+    };
+}
+
+/**
+ * Load PubSubSystem from src/ of a git revision, extracting it once into
+ * node_modules/.cache so its imports resolve against the installed packages
+ */
+async function loadBaseline(ref) {
+    const commit = execFileSync('git', ['rev-parse', '--short', `${ref}^{commit}`], {
+        cwd: rootDirectory,
+        encoding: 'utf8'
+    }).trim();
+    const directory = path.join(rootDirectory, 'node_modules', '.cache', 'benchmark-baseline', commit);
+
+    if (!fs.existsSync(directory)) {
+        const archive = execFileSync('git', ['archive', '--format=tar', commit, 'src', 'package.json'], {
+            cwd: rootDirectory,
+            maxBuffer: 64 * 1024 * 1024
+        });
+        const tmpDirectory = `${directory}.tmp`;
+        fs.rmSync(tmpDirectory, { recursive: true, force: true });
+        fs.mkdirSync(tmpDirectory, { recursive: true });
+        execFileSync('tar', ['-x', '-C', tmpDirectory], { input: archive });
+        fs.renameSync(tmpDirectory, directory);
+    }
+
+    const module = await import(pathToFileURL(path.join(directory, 'src', 'pubsub.js')).href);
+    return { label: `before (${commit})`, PubSubSystem: module.PubSubSystem };
+}
+
+async function benchmarkFanOut(PubSubSystem) {
+    const pubsub = new PubSubSystem({
+        ringBufferSize: 100,
+        maxQueueSize: options.messages + 1,
+        maxQueueBytes: Number.MAX_SAFE_INTEGER
+    });
+    pubsub.createTopic('bench');
+
+    const sockets = [];
+    for (let i = 0; i < options.subscribers; i++) {
+        const socket = createStubSocket();
+        sockets.push(socket);
+        pubsub.subscribe(`subscriber-${i}`, socket, 'bench');
+    }
+
+    const start = performance.now();
+    for (let i = 0; i < options.messages; i++) {
+        pubsub.publish('bench', createPayload(i));
+        // Let batched flushes run between publishes, as between network reads
+        await new Promise(resolve => setImmediate(resolve));
+    }
+    await waitForDelivery(sockets, options.messages);
+    const elapsedMs = performance.now() - start;
+
+    const deliveries = options.subscribers * options.messages;
+    return {
+        elapsedMs,
+        deliveriesPerSec: deliveries / (elapsedMs / 1000)
+    };
+}
+
+function benchmarkHistory(PubSubSystem) {
+    const pubsub = new PubSubSystem({ ringBufferSize: options.history });
+    pubsub.createTopic('history');
+
+    // Fill the ring buffer, then measure publishes that each evict the oldest event
+    const payload = createPayload(0);
+    for (let i = 0; i < options.history; i++) {
+        pubsub.publish('history', { payload: payload.payload });
+    }
+
+    const publishes = options.history;
+    const start = performance.now();
+    for (let i = 0; i < publishes; i++) {
+        pubsub.publish('history', { payload: payload.payload });
+    }
+    const elapsedMs = performance.now() - start;
+
+    return {
+        elapsedMs,
+        publishesPerSec: publishes / (elapsedMs / 1000)
+    };
+}
+
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    return sorted[Math.floor(sorted.length / 2)];
+}
+
+async function main() {
+    console.log(`Node ${process.version}, ${options.runs} runs, median reported`);
+    console.log(`fan-out: ${options.subscribers} subscribers x ${options.messages} messages of ~${options.payloadBytes} bytes`);
+    console.log(`history: ${options.history} publishes into a full ring buffer of ${options.history} events`);
+
+    const implementations = [{ label: 'after (working tree)', PubSubSystem }];
+    if (options.baseline) {
+        implementations.unshift(await loadBaseline(options.baseline));
+    }
+
+    for (const implementation of implementations) {
+        const fanOutRuns = [];
+        const historyRuns = [];
+        for (let run = 0; run < options.runs; run++) {
+            fanOutRuns.push(await benchmarkFanOut(implementation.PubSubSystem));
+            historyRuns.push(benchmarkHistory(implementation.PubSubSystem));
+        }
+
+        const fanOutMs = median(fanOutRuns.map(run => run.elapsedMs));
+        const deliveriesPerSec = median(fanOutRuns.map(run => run.deliveriesPerSec));
+        const historyMs = median(historyRuns.map(run => run.elapsedMs));
+        const publishesPerSec = median(historyRuns.map(run => run.publishesPerSec));
+
+        console.log('');
+        if (options.baseline) {
+            console.log(`${implementation.label}:`);
+        }
+        console.log(`fan-out: ${fanOutMs.toFixed(0)} ms, ${Math.round(deliveriesPerSec).toLocaleString('en-US')} deliveries/sec`);
+        console.log(`history: ${historyMs.toFixed(0)} ms, ${Math.round(publishesPerSec).toLocaleString('en-US')} publishes/sec`);
+    }
+}
+
+main();
@@ -1,6 +1,16 @@
 import WebSocket from 'ws';
 import { v4 as uuidv4 } from 'uuid';
 import http from 'http';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { PubSubServer } from './src/server.js';
+import { compileTopicPattern, matchesTopic } from './src/topic-pattern.js';
+import { PubSubSystem } from './src/pubsub.js';
+import { MessageLog } from './src/message-log.js';
+import { FileStorage } from './src/storage.js';
+import { PluginManager, PLUGIN_HOOKS, rejectPublish } from './src/plugins.js';
 
 /**
  * Comprehensive test suite for Plivo PubSub System
@@ -59,19 +69,20 @@ class ComprehensiveTest {
         }
     }
 
-    // HTTP Request helper
-    async makeRequest(path, method = 'GET', data = null) {
+    // HTTP Request helper; options.baseUrl targets another server, options.headers adds headers
+    async makeRequest(path, method = 'GET', data = null, { baseUrl = this.baseUrl, headers = {} } = {}) {
         return new Promise((resolve, reject) => {
-            const url = new URL(path, this.baseUrl);
-            this.logRequest(method, `${this.baseUrl}${path}`, data);
+            const url = new URL(path, baseUrl);
+            this.logRequest(method, `${baseUrl}${path}`, data);
 
             const options = {
                 hostname: url.hostname,
                 port: url.port,
-                path: url.pathname,
+                path: url.pathname + url.search,
                 method,
                 headers: {
-                    'Content-Type': 'application/json'
+                    'Content-Type': 'application/json',
+                    ...headers
                 }
             };
 
@@ -84,10 +95,10 @@ class ComprehensiveTest {
                     try {
                         const parsed = JSON.parse(responseData);
                         this.logResponse(res.statusCode, parsed);
-                        resolve({ status: res.statusCode, data: parsed });
+                        resolve({ status: res.statusCode, data: parsed, headers: res.headers });
                     } catch (error) {
                         this.logResponse(res.statusCode, responseData);
-                        resolve({ status: res.statusCode, data: responseData });
+                        resolve({ status: res.statusCode, data: responseData, headers: res.headers });
                     }
                 });
             });
@@ -104,24 +115,28 @@ class ComprehensiveTest {
         });
     }
 
-    // WebSocket client helper
-    createWebSocketClient(name) {
+    // WebSocket client helper; wsUrl may carry a session_token or api_key query
+    createWebSocketClient(name, wsUrl = this.wsUrl) {
         return new Promise((resolve, reject) => {
             this.log(`Creating WebSocket connection for ${name}`, 'INFO');
-            const ws = new WebSocket(this.wsUrl);
+            const ws = new WebSocket(wsUrl);
             const clientId = `${name}-${Math.random().toString(36).substr(2, 9)}`;
 
             ws.clientName = name;
             ws.clientId = clientId;
             ws.messageLog = [];
+            ws.binaryFrames = 0;
 
             ws.on('open', () => {
-                this.log(`🔌 ${name} connected to ${this.wsUrl}`, 'SUCCESS');
+                this.log(`🔌 ${name} connected to ${wsUrl}`, 'SUCCESS');
                 resolve(ws);
             });
 
-            ws.on('message', (data) => {
+            ws.on('message', (data, isBinary) => {
                 const message = JSON.parse(data.toString());
+                if (isBinary) {
+                    ws.binaryFrames++;
+                }
                 ws.messageLog.push(message);
                 this.logWebSocketMessage('RECEIVE', name, message);
             });
@@ -654,67 +669,2162 @@ class ComprehensiveTest {
         }
     }
 
-    // Print final test results
-    printTestResults() {
-        this.log('='.repeat(80), 'INFO');
-        this.log('TEST RESULTS SUMMARY', 'INFO');
-        this.log('='.repeat(80), 'INFO');
+    // Test wildcard patterns with several # against long topic names
+    async testWildcardMatching() {
+        this.log('='.repeat(60), 'INFO');
+        this.log('TESTING WILDCARD MATCHING', 'INFO');
+        this.log('='.repeat(60), 'INFO');
 
-        const total = this.testResults.passed + this.testResults.failed;
-        const passRate = total > 0 ? ((this.testResults.passed / total) * 100).toFixed(1) : 0;
+        try {
+            // Every # can split the topic in many ways; none of them ends in "b"
+            const pattern = compileTopicPattern('#.a.#.a.#.a.#.a.#.a.#.a.#.a.#.a.#.b');
+            const topicName = new Array(60).fill('a').join('.');
+            const started = Date.now();
+            const matched = matchesTopic(pattern, topicName);
+            const elapsed = Date.now() - started;
+            this.recordTest('Wildcard # (no match, long topic)', !matched && elapsed < 1000,
+                `Matched: ${matched}, ${elapsed}ms`);
+
+            const matches = [
+                ['orders.#', 'orders', true],
+                ['orders.#.returns', 'orders.eu.de.returns', true],
+                ['#.eu.#', 'orders.eu', true],
+                ['#.#', 'orders.eu', true],
+                ['orders.*.#', 'orders', false],
+                ['#.returns', 'orders.eu', false]
+            ].filter(([p, t, expected]) => matchesTopic(compileTopicPattern(p), t) === expected);
+            this.recordTest('Wildcard # (matching)', matches.length === 6, `Correct: ${matches.length}/6`);
+        } catch (error) {
+            this.recordTest('Wildcard Matching', false, `Error: ${error.message}`);
+        }
+    }
 
-        this.log(`Total Tests: ${total}`, 'INFO');
-        this.log(`Passed: ${this.testResults.passed}`, 'SUCCESS');
-        this.log(`Failed: ${this.testResults.failed}`, this.testResults.failed > 0 ? 'ERROR' : 'INFO');
-        this.log(`Pass Rate: ${passRate}%`, passRate === '100.0' ? 'SUCCESS' : 'ERROR');
+    // Test the BLOCK backpressure policy rejecting publishes while a queue is full
+    async testBlockBackpressure() {
+        this.log('='.repeat(60), 'INFO');
+        this.log('TESTING BLOCK BACKPRESSURE', 'INFO');
+        this.log('='.repeat(60), 'INFO');
 
-        if (this.testResults.failed > 0) {
-            this.log('\nFAILED TESTS:', 'ERROR');
-            this.testResults.tests
-                .filter(test => !test.passed)
-                .forEach(test => {
-                    this.log(`  ❌ ${test.testName}: ${test.details}`, 'ERROR');
+        let publisher, subscriber;
+
+        try {
+            await this.makeRequest('/topics', 'POST', {
+                name: 'block-test', max_queue_size: 2, backpressure_policy: 'BLOCK'
+            });
+            publisher = await this.createWebSocketClient('BlockPublisher');
+            subscriber = await this.createWebSocketClient('BlockSubscriber');
+
+            // One event in flight, two queued; the rest cannot be queued
+            this.sendWsMessage(subscriber, {
+                type: 'subscribe', topic: 'block-test', client_id: subscriber.clientId,
+                ack_mode: 'manual', max_in_flight: 1, request_id: uuidv4()
+            });
+            await this.wait(200);
+
+            const requestIds = [];
+            for (let i = 0; i < 5; i++) {
+                const publishMsg = {
+                    type: 'publish', topic: 'block-test',
+                    message: { id: uuidv4(), payload: { i } }, request_id: uuidv4()
+                };
+                requestIds.push(publishMsg.request_id);
+                this.sendWsMessage(publisher, publishMsg);
+            }
+            await this.wait(300);
+
+            const replies = requestIds.map(requestId =>
+                publisher.messageLog.find(msg => msg.request_id === requestId));
+            const accepted = replies.filter(msg => msg && msg.type === 'ack').length;
+            const rejected = replies.filter(msg => msg && msg.type === 'error' && msg.error.code === 'QUEUE_FULL').length;
+            this.recordTest('BLOCK Policy (QUEUE_FULL)', accepted === 3 && rejected === 2,
+                `Accepted: ${accepted}, QUEUE_FULL: ${rejected}`);
+
+            // Acking frees a slot, so the next publish is accepted again
+            this.sendWsMessage(subscriber, { type: 'ack', topic: 'block-test', offset: 0 });
+            await this.wait(200);
+            const retryMsg = {
+                type: 'publish', topic: 'block-test',
+                message: { id: uuidv4(), payload: { i: 5 } }, request_id: uuidv4()
+            };
+            this.sendWsMessage(publisher, retryMsg);
+            await this.wait(200);
+
+            const retryAck = publisher.messageLog.some(msg =>
+                msg.type === 'ack' && msg.request_id === retryMsg.request_id);
+            this.recordTest('BLOCK Policy (accepts after ack)', retryAck,
+                `Request ID: ${retryMsg.request_id}`);
+
+        } catch (error) {
+            this.recordTest('BLOCK Backpressure', false, `Error: ${error.message}`);
+        } finally {
+            if (publisher) publisher.close();
+            if (subscriber) subscriber.close();
+            try {
+                await this.makeRequest('/topics/block-test', 'DELETE');
+            } catch (e) {
+                // Ignore cleanup errors
+            }
+        }
+    }
+
+    // Test compacting the message log into a snapshot and restoring from it
+    async testMessageLogCompaction() {
+        this.log('='.repeat(60), 'INFO');
+        this.log('TESTING MESSAGE LOG COMPACTION', 'INFO');
+        this.log('='.repeat(60), 'INFO');
+
+        const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'pubsub-log-'));
+        const createSystem = () => new PubSubSystem({
+            ringBufferSize: 5,
+            messageLog: new MessageLog({ directory, segmentSize: 4096, fsyncPolicy: 'never' })
+        });
+
+        try {
+            const before = createSystem();
+            before.restoreFromLog();
+            before.createTopic('log-test');
+            const ids = [];
+            for (let i = 0; i < 200; i++) {
+                ids.push(uuidv4());
+                before.publish('log-test', { id: ids[i], payload: { i } }, { retain: i === 199 });
+            }
+            // Compaction runs on a later tick once enough has been appended
+            await this.wait(50);
+            await before.gracefulShutdown();
+
+            const files = fs.readdirSync(directory).sort();
+            this.recordTest('Message Log Compaction',
+                files.length === 2 && files[0].startsWith('segment-') && files[1].startsWith('snapshot-'),
+                `Files: ${files.join(', ')}`);
+
+            const after = createSystem();
+            const restored = after.restoreFromLog();
+            const history = after.storage.getHistory('log-test').map(event => event.offset);
+            const retained = after.storage.getRetained('log-test');
+            const duplicate = after.publish('log-test', { id: ids[199], payload: { i: 199 } });
+            this.recordTest('Message Log Restore (snapshot)',
+                after.storage.getNextOffset('log-test') === 200 &&
+                history.join(',') === '195,196,197,198,199' &&
+                retained && retained.offset === 199 &&
+                duplicate.duplicate === true,
+                `Restored: ${JSON.stringify(restored)}, history: ${history.join(',')}`);
+            await after.gracefulShutdown();
+
+        } catch (error) {
+            this.recordTest('Message Log Compaction', false, `Error: ${error.message}`);
+        } finally {
+            fs.rmSync(directory, { recursive: true, force: true });
+        }
+    }
+
+    // Test that the file storage backend keeps topics across a server restart
+    async testFileStorage() {
+        this.log('='.repeat(60), 'INFO');
+        this.log('TESTING FILE STORAGE', 'INFO');
+        this.log('='.repeat(60), 'INFO');
+
+        const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'pubsub-storage-'));
+        const topicDirectory = path.join(directory, 'default', 'stored-test');
+        const storage = (tenantId) => new FileStorage({ directory: path.join(directory, tenantId), flushIntervalMs: 100 });
+        let embedded, client;
+
+        try {
+            embedded = await startEmbeddedServer({ storage });
+            let { baseUrl, wsUrl } = embedded;
+            await this.makeRequest('/topics', 'POST', {
+                name: 'stored-test', ring_buffer_size: 5,
+                schema: { type: 'object', required: ['i'], properties: { i: { type: 'integer' } } }
+            }, { baseUrl });
+            await this.makeRequest('/schemas/stored-test/versions', 'POST', {
+                schema: { type: 'object', properties: { i: { type: 'integer' } } }
+            }, { baseUrl });
+
+            client = await this.createWebSocketClient('StorageClient', wsUrl);
+            this.sendWsMessage(client, {
+                type: 'subscribe', topic: 'stored-test', client_id: client.clientId, durable: 'archive'
+            });
+            await this.wait(100);
+            for (let i = 0; i < 12; i++) {
+                this.sendWsMessage(client, {
+                    type: 'publish', topic: 'stored-test', retain: i === 11, message: { id: uuidv4(), payload: { i } }
                 });
+            }
+            await this.wait(100);
+            this.sendWsMessage(client, { type: 'commit', topic: 'stored-test', durable: 'archive', offset: 7 });
+
+            // Events and offsets reach the disk with the next periodic flush, without a shutdown
+            await this.wait(250);
+            const meta = JSON.parse(fs.readFileSync(path.join(topicDirectory, 'meta.json'), 'utf8'));
+            const lines = fs.readFileSync(path.join(topicDirectory, 'history.jsonl'), 'utf8').trim().split('\n');
+            this.recordTest('File Storage (periodic flush)',
+                meta.nextOffset === 12 && meta.durables[0].cursor === 8 &&
+                lines.length <= 10 && JSON.parse(lines[lines.length - 1]).offset === 11,
+                `Next offset: ${meta.nextOffset}, history lines: ${lines.length}`);
+
+            client.close();
+            await embedded.server.stop();
+
+            // A new server on the same directory picks everything up again
+            embedded = await startEmbeddedServer({ storage });
+            ({ baseUrl, wsUrl } = embedded);
+            const retained = await this.makeRequest('/topics/stored-test/retained', 'GET', null, { baseUrl });
+            const durable = await this.makeRequest('/topics/stored-test/subscriptions/archive', 'GET', null, { baseUrl });
+            const schemas = await this.makeRequest('/schemas/stored-test', 'GET', null, { baseUrl });
+            this.recordTest('File Storage (restart)',
+                retained.status === 200 && retained.data.retained.offset === 11 &&
+                durable.status === 200 && durable.data.cursor === 8 && durable.data.next_offset === 12 &&
+                schemas.status === 200 && schemas.data.versions.length === 2,
+                `Retained: ${retained.data.retained && retained.data.retained.offset}, cursor: ${durable.data.cursor}, ` +
+                `schema versions: ${schemas.data.versions && schemas.data.versions.length}`);
+
+            client = await this.createWebSocketClient('StorageClientRestarted', wsUrl);
+            const publishMsg = {
+                type: 'publish', topic: 'stored-test', message: { id: uuidv4(), payload: { i: 12 } }, request_id: uuidv4()
+            };
+            this.sendWsMessage(client, {
+                type: 'subscribe', topic: 'stored-test', client_id: client.clientId, from_offset: 7
+            });
+            this.sendWsMessage(client, publishMsg);
+            await this.wait(200);
+            const offsets = client.messageLog
+                .filter(msg => msg.type === 'event' && msg.topic === 'stored-test' && !msg.retained)
+                .map(msg => msg.offset);
+            this.recordTest('File Storage (history after restart)', offsets.join(',') === '7,8,9,10,11,12',
+                `Offsets: ${offsets.join(',')}`);
+
+        } catch (error) {
+            this.recordTest('File Storage', false, `Error: ${error.message}`);
+        } finally {
+            if (client) client.close();
+            if (embedded) await embedded.server.stop();
+            fs.rmSync(directory, { recursive: true, force: true });
         }
+    }
 
-        this.log('='.repeat(80), 'INFO');
+    // Test manual acks, redelivery and unacked messages of disconnected subscribers
+    async testAcksAndRedelivery() {
+        this.log('='.repeat(60), 'INFO');
+        this.log('TESTING ACKS AND REDELIVERY', 'INFO');
+        this.log('='.repeat(60), 'INFO');
+
+        const clients = [];
+        const connect = async (name) => {
+            const ws = await this.createWebSocketClient(name);
+            clients.push(ws);
+            return ws;
+        };
+        const publish = (ws, i) => this.sendWsMessage(ws, {
+            type: 'publish', topic: 'ack-test', message: { id: uuidv4(), payload: { i } }
+        });
+        const events = (ws, offset) => ws.messageLog.filter(msg =>
+            msg.type === 'event' && msg.topic === 'ack-test' && msg.offset === offset);
+
+        try {
+            await this.makeRequest('/topics', 'POST', { name: 'ack-test.dlq' });
+            await this.makeRequest('/topics', 'POST', { name: 'ack-test', dead_letter_topic: 'ack-test.dlq' });
+            const publisher = await connect('AckPublisher');
+            const deadLetters = await connect('AckDeadLetters');
+            this.sendWsMessage(deadLetters, {
+                type: 'subscribe', topic: 'ack-test.dlq', client_id: deadLetters.clientId
+            });
+
+            // An event that is not acknowledged in time is redelivered
+            const worker = await connect('AckWorker');
+            this.sendWsMessage(worker, {
+                type: 'subscribe', topic: 'ack-test', client_id: worker.clientId,
+                ack_mode: 'manual', ack_timeout_ms: 200, request_id: uuidv4()
+            });
+            await this.wait(100);
+            publish(publisher, 0);
+            await this.wait(400);
+
+            const deliveries = events(worker, 0);
+            this.recordTest('Manual Ack Redelivery',
+                deliveries.length >= 2 && deliveries[1].redelivered === true && deliveries[1].attempt === 2,
+                `Deliveries: ${deliveries.length}`);
+
+            // Only a connection holding the client_id may ack for it
+            const intruder = await connect('AckIntruder');
+            const foreignAck = {
+                type: 'ack', topic: 'ack-test', offset: 0, client_id: worker.clientId, request_id: uuidv4()
+            };
+            this.sendWsMessage(intruder, foreignAck);
+            const ackMsg = { type: 'ack', topic: 'ack-test', offset: 0, request_id: uuidv4() };
+            this.sendWsMessage(worker, ackMsg);
+            await this.wait(100);
+            const deliveredBeforeAck = events(worker, 0).length;
+            await this.wait(400);
+
+            const forbidden = intruder.messageLog.some(msg =>
+                msg.type === 'error' && msg.request_id === foreignAck.request_id && msg.error.code === 'FORBIDDEN');
+            this.recordTest('Manual Ack (foreign client_id)', forbidden, `Request ID: ${foreignAck.request_id}`);
+
+            // Nor unsubscribe it
+            const foreignUnsubscribe = {
+                type: 'unsubscribe', topic: 'ack-test', client_id: worker.clientId, request_id: uuidv4()
+            };
+            this.sendWsMessage(intruder, foreignUnsubscribe);
+            await this.wait(100);
+            const unsubscribeForbidden = intruder.messageLog.some(msg =>
+                msg.type === 'error' && msg.request_id === foreignUnsubscribe.request_id && msg.error.code === 'FORBIDDEN');
+            const stats = await this.makeRequest('/stats');
+            this.recordTest('Unsubscribe (foreign client_id)',
+                unsubscribeForbidden && stats.data.topics['ack-test'].subscribers === 1,
+                `Forbidden: ${unsubscribeForbidden}, subscribers: ${stats.data.topics['ack-test'].subscribers}`);
+
+            const acked = worker.messageLog.some(msg =>
+                msg.type === 'ack' && msg.request_id === ackMsg.request_id);
+            const redeliveredAfterAck = events(worker, 0).length > deliveredBeforeAck;
+            this.recordTest('Manual Ack', acked && !redeliveredAfterAck,
+                `Acked: ${acked}, redelivered after ack: ${redeliveredAfterAck}`);
+            this.sendWsMessage(worker, { type: 'unsubscribe', topic: 'ack-test', client_id: worker.clientId });
+
+            // Unacked events outlive the session and go to the client_id when it subscribes again
+            const dropped = await connect('AckDropped');
+            const resubscribe = {
+                type: 'subscribe', topic: 'ack-test', client_id: dropped.clientId,
+                ack_mode: 'manual', ack_timeout_ms: 1000
+            };
+            this.sendWsMessage(dropped, resubscribe);
+            await this.wait(100);
+            publish(publisher, 1);
+            await this.wait(100);
+            dropped.close();
+            await this.wait(700); // past the session grace period
+
+            const returned = await connect('AckReturned');
+            this.sendWsMessage(returned, resubscribe);
+            await this.wait(200);
+
+            const redelivered = events(returned, 1);
+            this.recordTest('Unacked Redelivery After Disconnect',
+                events(dropped, 1).length === 1 && redelivered.length === 1 && redelivered[0].redelivered === true,
+                `Redelivered: ${redelivered.length}`);
+            this.sendWsMessage(returned, { type: 'ack', topic: 'ack-test', offset: 1 });
+            this.sendWsMessage(returned, { type: 'unsubscribe', topic: 'ack-test', client_id: dropped.clientId });
+
+            // A client_id that does not come back within its ack timeout loses them to the dead-letter topic
+            const gone = await connect('AckGone');
+            this.sendWsMessage(gone, {
+                type: 'subscribe', topic: 'ack-test', client_id: gone.clientId,
+                ack_mode: 'manual', ack_timeout_ms: 300
+            });
+            await this.wait(100);
+            publish(publisher, 2);
+            await this.wait(100);
+            gone.close();
+            await this.wait(1100);
+
+            const deadLetter = deadLetters.messageLog.find(msg =>
+                msg.type === 'event' && msg.topic === 'ack-test.dlq' &&
+                msg.message.reason === 'UNACKED_ON_DISCONNECT');
+            this.recordTest('Unacked Dead-Lettered After Disconnect',
+                deadLetter !== undefined && deadLetter.message.event.offset === 2 &&
+                deadLetter.message.client_id === gone.clientId,
+                `Dead letter: ${deadLetter ? deadLetter.message.reason : 'none'}`);
+
+        } catch (error) {
+            this.recordTest('Acks and Redelivery', false, `Error: ${error.message}`);
+        } finally {
+            clients.forEach(ws => ws.close());
+            try {
+                await this.makeRequest('/topics/ack-test', 'DELETE');
+                await this.makeRequest('/topics/ack-test.dlq', 'DELETE');
+            } catch (e) {
+                // Ignore cleanup errors
+            }
+        }
     }
 
-    // Main test runner
-    async run() {
-        this.log('🚀 Starting Comprehensive PubSub System Tests', 'INFO');
-        this.log(`Base URL: ${this.baseUrl}`, 'INFO');
-        this.log(`WebSocket URL: ${this.wsUrl}`, 'INFO');
+    // Test that a new message dropped by a full queue of higher priorities is dead-lettered
+    async testLowPriorityEviction() {
+        this.log('='.repeat(60), 'INFO');
+        this.log('TESTING LOW PRIORITY EVICTION', 'INFO');
+        this.log('='.repeat(60), 'INFO');
+
+        let publisher, worker, deadLetters;
 
         try {
-            await this.testRestEndpoints();
-            await this.wait(1000);
+            await this.makeRequest('/topics', 'POST', { name: 'priority-test.dlq' });
+            await this.makeRequest('/topics', 'POST', {
+                name: 'priority-test', max_queue_size: 1, dead_letter_topic: 'priority-test.dlq'
+            });
+            publisher = await this.createWebSocketClient('PriorityPublisher');
+            worker = await this.createWebSocketClient('PriorityWorker');
+            deadLetters = await this.createWebSocketClient('PriorityDeadLetters');
+            this.sendWsMessage(deadLetters, {
+                type: 'subscribe', topic: 'priority-test.dlq', client_id: deadLetters.clientId
+            });
+            this.sendWsMessage(worker, {
+                type: 'subscribe', topic: 'priority-test', client_id: worker.clientId,
+                ack_mode: 'manual', max_in_flight: 1
+            });
+            await this.wait(200);
 
-            await this.testWebSocketOperations();
-            await this.wait(1000);
+            // Priority 5 goes in flight and 9 fills the queue; 1 cannot evict 9
+            for (const priority of [5, 9, 1]) {
+                this.sendWsMessage(publisher, {
+                    type: 'publish', topic: 'priority-test', priority,
+                    message: { id: uuidv4(), payload: { priority } }
+                });
+            }
+            await this.wait(300);
+
+            const deadLetter = deadLetters.messageLog.find(msg =>
+                msg.type === 'event' && msg.topic === 'priority-test.dlq');
+            this.recordTest('Low Priority Eviction (dead letter)',
+                deadLetter !== undefined &&
+                deadLetter.message.reason === 'LOW_PRIORITY_EVICTED' &&
+                deadLetter.message.event.message.payload.priority === 1,
+                `Reason: ${deadLetter ? deadLetter.message.reason : 'none'}`);
+
+            // Acking the in-flight message releases the queued one, never the dropped one
+            this.sendWsMessage(worker, { type: 'ack', topic: 'priority-test', offset: 0 });
+            await this.wait(200);
+            const received = worker.messageLog
+                .filter(msg => msg.type === 'event' && msg.topic === 'priority-test')
+                .map(msg => msg.message.payload.priority);
+            this.recordTest('Low Priority Eviction (delivery)', received.join(',') === '5,9',
+                `Received priorities: ${received.join(',')}`);
 
-            await this.testTopicDeletion();
-            await this.wait(1000);
+        } catch (error) {
+            this.recordTest('Low Priority Eviction', false, `Error: ${error.message}`);
+        } finally {
+            if (publisher) publisher.close();
+            if (worker) worker.close();
+            if (deadLetters) deadLetters.close();
+            try {
+                await this.makeRequest('/topics/priority-test', 'DELETE');
+                await this.makeRequest('/topics/priority-test.dlq', 'DELETE');
+            } catch (e) {
+                // Ignore cleanup errors
+            }
+        }
+    }
 
-            await this.testEdgeCases();
+    // Test /health and request logging on a server that requires API keys
+    async testTenantHealth() {
+        this.log('='.repeat(60), 'INFO');
+        this.log('TESTING HEALTH CHECK WITH API KEYS', 'INFO');
+        this.log('='.repeat(60), 'INFO');
+
+        let embedded;
+
+        try {
+            embedded = await startEmbeddedServer({ tenants: [{ id: 'acme', api_keys: ['acme-secret'] }] });
+            const { baseUrl } = embedded;
+
+            const open = await this.makeRequest('/health', 'GET', null, { baseUrl });
+            this.recordTest('GET /health (no API key)',
+                open.status === 200 && open.data.hasOwnProperty('uptime_sec') && !open.data.hasOwnProperty('topics'),
+                `Status: ${open.status}`);
+
+            const full = await this.makeRequest('/health', 'GET', null, {
+                baseUrl, headers: { 'X-API-Key': 'acme-secret' }
+            });
+            this.recordTest('GET /health (API key)',
+                full.status === 200 && full.data.hasOwnProperty('topics') && full.data.hasOwnProperty('subscribers'),
+                `Status: ${full.status}`);
+
+            const denied = await this.makeRequest('/topics', 'GET', null, { baseUrl });
+            this.recordTest('GET /topics (no API key)', denied.status === 401, `Status: ${denied.status}`);
+
+            // The server's request log must not show the key
+            const logged = [];
+            const consoleLog = console.log;
+            console.log = (...args) => {
+                logged.push(args.join(' '));
+                consoleLog(...args);
+            };
+            let allowed;
+            try {
+                allowed = await this.makeRequest('/topics?api_key=acme-secret', 'GET', null, { baseUrl });
+                await this.wait(50);
+            } finally {
+                console.log = consoleLog;
+            }
+            const requestLine = logged.find(line => line.startsWith('GET /topics'));
+            this.recordTest('API Key Redacted in Request Log',
+                allowed.status === 200 && requestLine !== undefined &&
+                requestLine.includes('api_key=[REDACTED]') && !requestLine.includes('acme-secret'),
+                `Logged: ${requestLine}`);
 
         } catch (error) {
-            this.log(`Test suite failed: ${error.message}`, 'ERROR');
+            this.recordTest('Health Check With API Keys', false, `Error: ${error.message}`);
+        } finally {
+            if (embedded) await embedded.server.stop();
         }
+    }
 
-        this.printTestResults();
+    // Test partition rebalancing and handoff of keyed events in a consumer group
+    async testKeyedGroupRebalance() {
+        this.log('='.repeat(60), 'INFO');
+        this.log('TESTING KEYED CONSUMER GROUP REBALANCE', 'INFO');
+        this.log('='.repeat(60), 'INFO');
 
-        // Exit with appropriate code
-        setTimeout(() => {
-            process.exit(this.testResults.failed > 0 ? 1 : 0);
-        }, 2000);
+        const clients = [];
+        const join = async (name) => {
+            const ws = await this.createWebSocketClient(name);
+            clients.push(ws);
+            this.sendWsMessage(ws, {
+                type: 'subscribe', topic: 'group-test', client_id: ws.clientId,
+                group: 'workers', ack_mode: 'manual'
+            });
+            await this.wait(100);
+            return ws;
+        };
+        const keys = ['k1', 'k2', 'k3', 'k4', 'k5', 'k6', 'k7', 'k8'];
+        const publishRound = (ws, round) => keys.forEach(key => this.sendWsMessage(ws, {
+            type: 'publish', topic: 'group-test', message: { id: uuidv4(), key, payload: { round } }
+        }));
+        const roundEvents = (ws, round) => ws.messageLog.filter(msg =>
+            msg.type === 'event' && msg.topic === 'group-test' && msg.message.payload.round === round);
+        const assignment = async () =>
+            (await this.makeRequest('/stats')).data.topics['group-test'].groups.workers.partitions;
+
+        try {
+            await this.makeRequest('/topics', 'POST', { name: 'group-test', partitions: 8 });
+            const publisher = await this.createWebSocketClient('GroupPublisher');
+            clients.push(publisher);
+
+            const first = await join('GroupWorkerA');
+            publishRound(publisher, 1);
+            await this.wait(200);
+
+            // The partitions moving to B are held while A still has their events unacknowledged
+            const second = await join('GroupWorkerB');
+            const twoMembers = await assignment();
+            publishRound(publisher, 2);
+            await this.wait(200);
+
+            const sizes = Object.values(twoMembers).map(partitions => partitions.length);
+            this.recordTest('Keyed Group Rebalance (join)',
+                sizes.length === 2 && sizes[0] === 4 && sizes[1] === 4,
+                `Partitions: ${JSON.stringify(twoMembers)}`);
+
+            const heldForSecond = roundEvents(second, 2).length;
+            for (const event of roundEvents(first, 1)) {
+                this.sendWsMessage(first, { type: 'ack', topic: 'group-test', offset: event.offset });
+            }
+            await this.wait(300);
+
+            const firstKeys = new Set(roundEvents(first, 2).map(event => event.message.key));
+            const secondKeys = roundEvents(second, 2).map(event => event.message.key);
+            this.recordTest('Keyed Group Handoff',
+                roundEvents(first, 1).length === keys.length && heldForSecond === 0 &&
+                secondKeys.length > 0 && !secondKeys.some(key => firstKeys.has(key)) &&
+                firstKeys.size + secondKeys.length === keys.length,
+                `Held for B: ${heldForSecond}, after acks A: ${firstKeys.size}, B: ${secondKeys.length}`);
+
+            // A third member takes partitions from both without moving any between them
+            const third = await join('GroupWorkerC');
+            const threeMembers = await assignment();
+            const kept = [first, second].every(ws => threeMembers[ws.clientId]
+                .every(partition => twoMembers[ws.clientId].includes(partition)));
+            this.recordTest('Keyed Group Rebalance (sticky)',
+                kept && threeMembers[third.clientId].length >= 2,
+                `Partitions: ${JSON.stringify(threeMembers)}`);
+
+        } catch (error) {
+            this.recordTest('Keyed Consumer Group Rebalance', false, `Error: ${error.message}`);
+        } finally {
+            clients.forEach(ws => ws.close());
+            try {
+                await this.makeRequest('/topics/group-test', 'DELETE');
+            } catch (e) {
+                // Ignore cleanup errors
+            }
+        }
     }
-}
 
-// Run tests if this file is executed directly
-if (import.meta.url === `file://${process.argv[1]}`) {
-    const tester = new ComprehensiveTest();
-    tester.run().catch(console.error);
+    // Test that events serialized once for all subscribers arrive as identical text frames
+    async testEventFrames() {
+        this.log('='.repeat(60), 'INFO');
+        this.log('TESTING EVENT FRAMES', 'INFO');
+        this.log('='.repeat(60), 'INFO');
+
+        let publisher, subscriber1, subscriber2;
+
+        try {
+            await this.makeRequest('/topics', 'POST', { name: 'frames-test' });
+            publisher = await this.createWebSocketClient('FramesPublisher');
+            subscriber1 = await this.createWebSocketClient('FramesSubscriber1');
+            subscriber2 = await this.createWebSocketClient('FramesSubscriber2');
+            for (const ws of [subscriber1, subscriber2]) {
+                this.sendWsMessage(ws, { type: 'subscribe', topic: 'frames-test', client_id: ws.clientId });
+            }
+            await this.wait(200);
+
+            for (let i = 0; i < 3; i++) {
+                this.sendWsMessage(publisher, {
+                    type: 'publish', topic: 'frames-test', message: { id: uuidv4(), payload: { i } }
+                });
+            }
+            await this.wait(300);
+
+            const events1 = subscriber1.messageLog.filter(msg => msg.type === 'event');
+            const events2 = subscriber2.messageLog.filter(msg => msg.type === 'event');
+            this.recordTest('Event Frames (text)',
+                events1.length === 3 && subscriber1.binaryFrames === 0 && subscriber2.binaryFrames === 0,
+                `Events: ${events1.length}, binary frames: ${subscriber1.binaryFrames + subscriber2.binaryFrames}`);
+            this.recordTest('Event Frames (fan-out)',
+                JSON.stringify(events1) === JSON.stringify(events2),
+                `Subscriber1: ${events1.length}, Subscriber2: ${events2.length}`);
+
+        } catch (error) {
+            this.recordTest('Event Frames', false, `Error: ${error.message}`);
+        } finally {
+            if (publisher) publisher.close();
+            if (subscriber1) subscriber1.close();
+            if (subscriber2) subscriber2.close();
+            try {
+                await this.makeRequest('/topics/frames-test', 'DELETE');
+            } catch (e) {
+                // Ignore cleanup errors
+            }
+        }
+    }
+
+    // Test resuming a dropped session, and reconnecting with its client_id but no token
+    async testSessionResumption() {
+        this.log('='.repeat(60), 'INFO');
+        this.log('TESTING SESSION RESUMPTION', 'INFO');
+        this.log('='.repeat(60), 'INFO');
+
+        const clients = [];
+        const connect = async (name, wsUrl) => {
+            const ws = await this.createWebSocketClient(name, wsUrl);
+            clients.push(ws);
+            await this.wait(50);
+            return ws;
+        };
+        const subscribeAs = async (ws, clientId) => {
+            const subscribeMsg = { type: 'subscribe', topic: 'session-test', client_id: clientId, request_id: uuidv4() };
+            this.sendWsMessage(ws, subscribeMsg);
+            await this.wait(100);
+            return ws.messageLog.find(msg => msg.request_id === subscribeMsg.request_id);
+        };
+
+        try {
+            await this.makeRequest('/topics', 'POST', { name: 'session-test' });
+            const publisher = await connect('SessionPublisher');
+            const original = await connect('SessionOriginal');
+            const { session_token: sessionToken } = original.messageLog.find(msg => msg.msg === 'connected');
+            await subscribeAs(original, original.clientId);
+
+            // A client_id subscribed on an open connection cannot be used elsewhere
+            const thief = await connect('SessionThief');
+            const whileLive = await subscribeAs(thief, original.clientId);
+            this.recordTest('Session client_id In Use',
+                whileLive && whileLive.type === 'error' && whileLive.error.code === 'CLIENT_ID_IN_USE',
+                `Reply: ${whileLive && whileLive.type}`);
+
+            // Events published while the connection is gone wait for the session
+            original.close();
+            await this.wait(100);
+            const publishMsg = {
+                type: 'publish', topic: 'session-test', message: { id: uuidv4(), payload: { away: true } }
+            };
+            this.sendWsMessage(publisher, publishMsg);
+            await this.wait(100);
+
+            const resumed = await connect('SessionResumed', `${this.wsUrl}?session_token=${sessionToken}`);
+            await this.wait(100);
+            const connected = resumed.messageLog.find(msg => msg.msg === 'connected');
+            const missed = resumed.messageLog.find(msg =>
+                msg.type === 'event' && msg.message.id === publishMsg.message.id);
+            this.recordTest('Session Resumption',
+                connected.resumed === true && connected.session_token === sessionToken &&
+                connected.subscriptions.some(sub => sub.client_id === original.clientId) &&
+                missed !== undefined,
+                `Resumed: ${connected.resumed}, missed event delivered: ${missed !== undefined}`);
+
+            // Reconnecting with the client_id but without the token takes the suspended subscriber over
+            resumed.close();
+            await this.wait(100);
+            const secondMsg = {
+                type: 'publish', topic: 'session-test', message: { id: uuidv4(), payload: { away: true } }
+            };
+            this.sendWsMessage(publisher, secondMsg);
+            await this.wait(100);
+            const reconnected = await connect('SessionReconnected');
+            const reply = await subscribeAs(reconnected, original.clientId);
+            const queued = reconnected.messageLog.find(msg =>
+                msg.type === 'event' && msg.message.id === secondMsg.message.id);
+
+            const oldSession = await connect('SessionOld', `${this.wsUrl}?session_token=${sessionToken}`);
+            const oldConnected = oldSession.messageLog.find(msg => msg.msg === 'connected');
+            this.recordTest('Session Reconnect Without Token',
+                reply && reply.type === 'ack' && queued !== undefined &&
+                oldConnected.resumed === true && oldConnected.subscriptions.length === 0,
+                `Reply: ${reply && reply.type}, queued event delivered: ${queued !== undefined}, ` +
+                `old session subscriptions: ${oldConnected.subscriptions.length}`);
+
+        } catch (error) {
+            this.recordTest('Session Resumption', false, `Error: ${error.message}`);
+        } finally {
+            clients.forEach(ws => ws.close());
+            try {
+                await this.makeRequest('/topics/session-test', 'DELETE');
+            } catch (e) {
+                // Ignore cleanup errors
+            }
+        }
+    }
+
+    // Test resuming a session whose socket closed while events kept arriving
+    async testResumeWhileClosing() {
+        this.log('='.repeat(60), 'INFO');
+        this.log('TESTING SESSION RESUMPTION WHILE PUBLISHING', 'INFO');
+        this.log('='.repeat(60), 'INFO');
+
+        let publisher, original, resumed, timer;
+
+        try {
+            await this.makeRequest('/topics', 'POST', { name: 'closing-test' });
+            publisher = await this.createWebSocketClient('ClosingPublisher');
+            original = await this.createWebSocketClient('ClosingOriginal');
+            await this.wait(50);
+            const { session_token: sessionToken } = original.messageLog.find(msg => msg.msg === 'connected');
+            this.sendWsMessage(original, { type: 'subscribe', topic: 'closing-test', client_id: original.clientId });
+            await this.wait(100);
+
+            // Stop reading once the close frame is sent: the server's end of the
+            // connection stays CLOSING, and its close event does not fire yet
+            original.close();
+            original._socket.pause();
+            await this.wait(50);
+
+            let published = 0;
+            timer = setInterval(() => {
+                publisher.send(JSON.stringify({
+                    type: 'publish', topic: 'closing-test', message: { id: uuidv4(), payload: { i: published++ } }
+                }));
+            }, 2);
+            await this.wait(100);
+            resumed = await this.createWebSocketClient('ClosingResumed', `${this.wsUrl}?session_token=${sessionToken}`);
+            await this.wait(100);
+            clearInterval(timer);
+            await this.wait(200);
+
+            const connected = resumed.messageLog.find(msg => msg.msg === 'connected');
+            const last = resumed.messageLog.filter(msg => msg.type === 'event').pop();
+            this.recordTest('Session Resumption (publishing while closing)',
+                connected.resumed === true &&
+                connected.subscriptions.some(sub => sub.client_id === original.clientId) &&
+                last !== undefined && last.message.payload.i === published - 1,
+                `Published: ${published}, last received: ${last ? last.message.payload.i : 'none'}`);
+
+        } catch (error) {
+            this.recordTest('Session Resumption While Publishing', false, `Error: ${error.message}`);
+        } finally {
+            clearInterval(timer);
+            if (publisher) publisher.close();
+            if (original) original.terminate();
+            if (resumed) resumed.close();
+            try {
+                await this.makeRequest('/topics/closing-test', 'DELETE');
+            } catch (e) {
+                // Ignore cleanup errors
+            }
+        }
+    }
+
+    // Test durable subscription commits, lag, seeking and reattaching
+    async testDurableSubscriptions() {
+        this.log('='.repeat(60), 'INFO');
+        this.log('TESTING DURABLE SUBSCRIPTIONS', 'INFO');
+        this.log('='.repeat(60), 'INFO');
+
+        const clients = [];
+        const connect = async (name) => {
+            const ws = await this.createWebSocketClient(name);
+            clients.push(ws);
+            return ws;
+        };
+        const request = async (ws, message) => {
+            const requestMsg = { ...message, topic: 'durable-test', request_id: uuidv4() };
+            this.sendWsMessage(ws, requestMsg);
+            await this.wait(150);
+            return ws.messageLog.find(msg => msg.request_id === requestMsg.request_id);
+        };
+        const offsets = ws => ws.messageLog
+            .filter(msg => msg.type === 'event' && msg.topic === 'durable-test')
+            .map(msg => msg.offset);
+        const subscriptionPath = '/topics/durable-test/subscriptions/billing';
+
+        try {
+            await this.makeRequest('/topics', 'POST', { name: 'durable-test' });
+            const publisher = await connect('DurablePublisher');
+            const consumer = await connect('DurableConsumer');
+            await request(consumer, { type: 'subscribe', client_id: consumer.clientId, durable: 'billing' });
+            for (let i = 0; i < 5; i++) {
+                this.sendWsMessage(publisher, {
+                    type: 'publish', topic: 'durable-test', message: { id: uuidv4(), payload: { i } }
+                });
+            }
+            await this.wait(200);
+
+            const commit = await request(consumer, { type: 'commit', durable: 'billing', offset: 2 });
+            const state = await this.makeRequest(subscriptionPath);
+            this.recordTest('Durable Commit and Lag',
+                offsets(consumer).join(',') === '0,1,2,3,4' && commit && commit.cursor === 3 &&
+                state.data.cursor === 3 && state.data.lag === 2 && state.data.attached === true,
+                `Cursor: ${state.data.cursor}, lag: ${state.data.lag}`);
+
+            // Another connection can neither commit for the consumer nor attach while it is attached
+            const intruder = await connect('DurableIntruder');
+            const foreignCommit = await request(intruder, {
+                type: 'commit', durable: 'billing', offset: 4, client_id: consumer.clientId
+            });
+            const secondAttach = await request(intruder, {
+                type: 'subscribe', client_id: intruder.clientId, durable: 'billing'
+            });
+            const attachedSeek = await this.makeRequest(`${subscriptionPath}/seek`, 'POST', { offset: 1 });
+            this.recordTest('Durable Exclusive Access',
+                foreignCommit && foreignCommit.error.code === 'FORBIDDEN' &&
+                secondAttach && secondAttach.error.code === 'DURABLE_SUBSCRIPTION_IN_USE' &&
+                attachedSeek.status === 409,
+                `Commit: ${foreignCommit && foreignCommit.error.code}, attach: ${secondAttach && secondAttach.error.code}, seek: ${attachedSeek.status}`);
+
+            // After seeking back, the next attach replays from the new cursor
+            await request(consumer, { type: 'unsubscribe', client_id: consumer.clientId });
+            const seek = await this.makeRequest(`${subscriptionPath}/seek`, 'POST', { offset: 1 });
+            const reattach = await request(intruder, {
+                type: 'subscribe', client_id: intruder.clientId, durable: 'billing'
+            });
+            this.recordTest('Durable Seek and Reattach',
+                seek.status === 200 && reattach && reattach.cursor === 1 && offsets(intruder).join(',') === '1,2,3,4',
+                `Seek: ${seek.status}, replayed: ${offsets(intruder).join(',')}`);
+
+        } catch (error) {
+            this.recordTest('Durable Subscriptions', false, `Error: ${error.message}`);
+        } finally {
+            clients.forEach(ws => ws.close());
+            try {
+                await this.makeRequest('/topics/durable-test', 'DELETE');
+            } catch (e) {
+                // Ignore cleanup errors
+            }
+        }
+    }
+
+    // Test rate-limited publishes and REST calls reporting when to retry
+    async testRateLimits() {
+        this.log('='.repeat(60), 'INFO');
+        this.log('TESTING RATE LIMITS', 'INFO');
+        this.log('='.repeat(60), 'INFO');
+
+        let embedded, publisher;
+
+        try {
+            embedded = await startEmbeddedServer({ rateLimits: 'publish.connection=1:2,rest.client=1:3' });
+            const { baseUrl, wsUrl } = embedded;
+            await this.makeRequest('/topics', 'POST', { name: 'limited-test' }, { baseUrl });
+            publisher = await this.createWebSocketClient('RateLimitedPublisher', wsUrl);
+
+            const publishMsgs = [];
+            for (let i = 0; i < 3; i++) {
+                const publishMsg = {
+                    type: 'publish', topic: 'limited-test', message: { id: uuidv4(), payload: { i } }, request_id: uuidv4()
+                };
+                publishMsgs.push(publishMsg);
+                this.sendWsMessage(publisher, publishMsg);
+            }
+            await this.wait(100);
+
+            const replies = publishMsgs.map(publishMsg =>
+                publisher.messageLog.find(msg => msg.request_id === publishMsg.request_id));
+            const limited = replies[2];
+            this.recordTest('Rate Limit (WebSocket publish)',
+                replies[0].type === 'ack' && replies[1].type === 'ack' &&
+                limited.type === 'error' && limited.error.code === 'RATE_LIMITED' &&
+                limited.error.scope === 'connection' && limited.error.retry_after_ms > 0,
+                `Third publish: ${limited.type === 'error' ? `${limited.error.code}, retry after ${limited.error.retry_after_ms}ms` : limited.type}`);
+
+            // Retrying after the reported delay succeeds
+            await this.wait(limited.error.retry_after_ms + 50);
+            const retryMsg = { ...publishMsgs[2], message: { id: uuidv4(), payload: { i: 2 } }, request_id: uuidv4() };
+            this.sendWsMessage(publisher, retryMsg);
+            await this.wait(100);
+            const retried = publisher.messageLog.find(msg => msg.request_id === retryMsg.request_id);
+            this.recordTest('Rate Limit (retry after)', retried && retried.type === 'ack',
+                `Retry: ${retried && retried.type}`);
+
+            // A burst of REST calls runs out of tokens within a few requests
+            const statuses = [];
+            let rejected;
+            while (statuses.length < 5 && !rejected) {
+                const response = await this.makeRequest('/topics', 'GET', null, { baseUrl });
+                statuses.push(response.status);
+                rejected = response.status === 429 ? response : undefined;
+            }
+            this.recordTest('Rate Limit (REST)',
+                rejected !== undefined &&
+                Number(rejected.headers['retry-after']) >= 1 && rejected.data.retry_after_ms > 0,
+                `Statuses: ${statuses.join(',')}, Retry-After: ${rejected && rejected.headers['retry-after']}`);
+
+        } catch (error) {
+            this.recordTest('Rate Limits', false, `Error: ${error.message}`);
+        } finally {
+            if (publisher) publisher.close();
+            if (embedded) await embedded.server.stop();
+        }
+    }
+
+    // Test that the per-client publish limit only trusts client_ids the connection subscribed with
+    async testPublishClientRateLimit() {
+        this.log('='.repeat(60), 'INFO');
+        this.log('TESTING PUBLISH CLIENT RATE LIMIT', 'INFO');
+        this.log('='.repeat(60), 'INFO');
+
+        let embedded, victim, attacker;
+        const publish = (ws, clientId) => {
+            const publishMsg = {
+                type: 'publish', topic: 'limited-test', client_id: clientId,
+                message: { id: uuidv4(), payload: {} }, request_id: uuidv4()
+            };
+            this.sendWsMessage(ws, publishMsg);
+            return publishMsg.request_id;
+        };
+        const replies = (ws, requestIds) => requestIds.map(requestId => {
+            const reply = ws.messageLog.find(msg => msg.request_id === requestId);
+            return reply && (reply.type === 'error' ? reply.error.code : reply.type);
+        });
+
+        try {
+            embedded = await startEmbeddedServer({ rateLimits: 'publish.client=1:2' });
+            const { baseUrl, wsUrl } = embedded;
+            await this.makeRequest('/topics', 'POST', { name: 'limited-test' }, { baseUrl });
+            victim = await this.createWebSocketClient('RateLimitVictim', wsUrl);
+            attacker = await this.createWebSocketClient('RateLimitAttacker', wsUrl);
+            this.sendWsMessage(victim, { type: 'subscribe', topic: 'limited-test', client_id: victim.clientId });
+            await this.wait(100);
+
+            // Fresh and foreign client_ids all count against the attacker's own session
+            const attackerIds = [
+                publish(attacker, uuidv4()), publish(attacker, uuidv4()), publish(attacker, uuidv4()),
+                publish(attacker, victim.clientId), publish(attacker, victim.clientId)
+            ];
+            await this.wait(100);
+            const victimIds = [publish(victim, victim.clientId), publish(victim, victim.clientId)];
+            await this.wait(100);
+
+            const attackerReplies = replies(attacker, attackerIds);
+            const victimReplies = replies(victim, victimIds);
+            this.recordTest('Rate Limit (publish client_id)',
+                attackerReplies.join(',') === 'ack,ack,RATE_LIMITED,RATE_LIMITED,RATE_LIMITED' &&
+                victimReplies.join(',') === 'ack,ack',
+                `Attacker: ${attackerReplies.join(',')}, victim: ${victimReplies.join(',')}`);
+
+        } catch (error) {
+            this.recordTest('Publish Client Rate Limit', false, `Error: ${error.message}`);
+        } finally {
+            if (victim) victim.close();
+            if (attacker) attacker.close();
+            if (embedded) await embedded.server.stop();
+        }
+    }
+
+    // Test validating published payloads against a topic's schema and size limit
+    async testPayloadValidation() {
+        this.log('='.repeat(60), 'INFO');
+        this.log('TESTING PAYLOAD VALIDATION', 'INFO');
+        this.log('='.repeat(60), 'INFO');
+
+        let publisher;
+        const publish = async (payload) => {
+            const publishMsg = { type: 'publish', topic: 'schema-test', message: { id: uuidv4(), payload }, request_id: uuidv4() };
+            this.sendWsMessage(publisher, publishMsg);
+            await this.wait(100);
+            return publisher.messageLog.find(msg => msg.request_id === publishMsg.request_id);
+        };
+
+        try {
+            const unsupported = await this.makeRequest('/topics', 'POST', {
+                name: 'schema-test', schema: { $ref: '#/definitions/order' }
+            });
+            this.recordTest('Schema (unsupported keyword)', unsupported.status === 400,
+                `Status: ${unsupported.status}`);
+
+            await this.makeRequest('/topics', 'POST', {
+                name: 'schema-test',
+                max_payload_bytes: 200,
+                schema: {
+                    type: 'object',
+                    required: ['order_id'],
+                    properties: {
+                        order_id: { type: 'string' },
+                        items: { type: 'array', items: { type: 'object', properties: { qty: { type: 'integer', minimum: 1 } } } }
+                    }
+                }
+            });
+            publisher = await this.createWebSocketClient('SchemaPublisher');
+
+            const valid = await publish({ order_id: 'ORD-1', items: [{ qty: 2 }] });
+            this.recordTest('Schema Validation (valid)', valid && valid.type === 'ack', `Reply: ${valid && valid.type}`);
+
+            const invalid = await publish({ items: [{ qty: 0 }] });
+            const paths = invalid && invalid.error.errors ? invalid.error.errors.map(error => error.path).sort() : [];
+            this.recordTest('Schema Validation (invalid)',
+                invalid && invalid.error.code === 'SCHEMA_VALIDATION_FAILED' &&
+                paths.join(',') === 'payload.items[0].qty,payload.order_id',
+                `Errors: ${paths.join(', ')}`);
+
+            const tooLarge = await publish({ order_id: 'x'.repeat(500) });
+            this.recordTest('Payload Size Limit',
+                tooLarge && tooLarge.type === 'error' && tooLarge.error.code === 'PAYLOAD_TOO_LARGE',
+                `Reply: ${tooLarge && (tooLarge.error ? tooLarge.error.code : tooLarge.type)}`);
+
+        } catch (error) {
+            this.recordTest('Payload Validation', false, `Error: ${error.message}`);
+        } finally {
+            if (publisher) publisher.close();
+            try {
+                await this.makeRequest('/topics/schema-test', 'DELETE');
+            } catch (e) {
+                // Ignore cleanup errors
+            }
+        }
+    }
+
+    // Test registering schema versions under the topic's compatibility mode
+    async testSchemaRegistry() {
+        this.log('='.repeat(60), 'INFO');
+        this.log('TESTING SCHEMA REGISTRY', 'INFO');
+        this.log('='.repeat(60), 'INFO');
+
+        let client;
+        const versionsPath = '/schemas/registry-test/versions';
+
+        try {
+            await this.makeRequest('/topics', 'POST', {
+                name: 'registry-test',
+                schema: { type: 'object', required: ['order_id'], properties: { order_id: { type: 'string' } } }
+            });
+
+            // Requiring a new property breaks backward compatibility
+            const breaking = { type: 'object', required: ['order_id', 'currency'], properties: { order_id: { type: 'string' } } };
+            const check = await this.makeRequest('/schemas/registry-test/compatibility', 'POST', { schema: breaking });
+            const rejected = await this.makeRequest(versionsPath, 'POST', { schema: breaking });
+            this.recordTest('Schema Registry (incompatible)',
+                check.status === 200 && check.data.compatible === false &&
+                rejected.status === 409 && Array.isArray(rejected.data.details) && rejected.data.details.length > 0,
+                `Check: ${check.data.compatible}, register: ${rejected.status}`);
+
+            // Relaxing the schema is backward compatible and becomes the active version
+            const relaxed = { type: 'object', properties: { order_id: { type: 'string' } } };
+            const registered = await this.makeRequest(versionsPath, 'POST', { schema: relaxed });
+            const unchanged = await this.makeRequest(versionsPath, 'POST', { schema: relaxed });
+            this.recordTest('Schema Registry (register version)',
+                registered.status === 201 && registered.data.version === 2 &&
+                unchanged.status === 200 && unchanged.data.status === 'unchanged',
+                `Register: ${registered.status} v${registered.data.version}, again: ${unchanged.status}`);
+
+            client = await this.createWebSocketClient('RegistryClient');
+            this.sendWsMessage(client, { type: 'subscribe', topic: 'registry-test', client_id: client.clientId });
+            await this.wait(100);
+            this.sendWsMessage(client, {
+                type: 'publish', topic: 'registry-test', message: { id: uuidv4(), payload: { note: 'no order id' } }
+            });
+            await this.wait(200);
+
+            const event = client.messageLog.find(msg => msg.type === 'event' && msg.topic === 'registry-test');
+            this.recordTest('Schema Registry (event schema_version)', event !== undefined && event.schema_version === 2,
+                `schema_version: ${event && event.schema_version}`);
+
+        } catch (error) {
+            this.recordTest('Schema Registry', false, `Error: ${error.message}`);
+        } finally {
+            if (client) client.close();
+            try {
+                await this.makeRequest('/topics/registry-test', 'DELETE');
+            } catch (e) {
+                // Ignore cleanup errors
+            }
+        }
+    }
+
+    // Test content filters on subscriptions
+    async testContentFilters() {
+        this.log('='.repeat(60), 'INFO');
+        this.log('TESTING CONTENT FILTERS', 'INFO');
+        this.log('='.repeat(60), 'INFO');
+
+        let client;
+        const filter = {
+            'payload.order.amount': { $gte: 100 },
+            'headers.type': { $in: ['created', 'updated'] },
+            $not: { 'payload.order.region': 'test' }
+        };
+        const messages = [
+            { id: uuidv4(), payload: { order: { amount: 150, region: 'eu' } }, headers: { type: 'created' } },
+            { id: uuidv4(), payload: { order: { amount: 50, region: 'eu' } }, headers: { type: 'created' } },
+            { id: uuidv4(), payload: { order: { amount: '250.5', region: 'us' } }, headers: { type: 'updated' } },
+            { id: uuidv4(), payload: { order: { amount: 300, region: 'eu' } }, headers: { type: 'deleted' } },
+            { id: uuidv4(), payload: { order: { amount: 500, region: 'test' } }, headers: { type: 'created' } },
+            { id: uuidv4(), payload: { amount: 500 }, headers: { type: 'created' } }
+        ];
+
+        try {
+            await this.makeRequest('/topics', 'POST', { name: 'filter-test' });
+            client = await this.createWebSocketClient('FilterClient');
+            this.sendWsMessage(client, { type: 'subscribe', topic: 'filter-test', client_id: client.clientId, filter });
+            await this.wait(100);
+            for (const message of messages) {
+                this.sendWsMessage(client, { type: 'publish', topic: 'filter-test', message });
+            }
+            await this.wait(200);
+
+            const received = client.messageLog
+                .filter(msg => msg.type === 'event' && msg.topic === 'filter-test')
+                .map(msg => msg.message.id);
+            this.recordTest('Content Filter (nested paths)',
+                received.join(',') === [messages[0].id, messages[2].id].join(','),
+                `Received ${received.length} of ${messages.length} events`);
+
+            const invalidRequestId = uuidv4();
+            this.sendWsMessage(client, {
+                type: 'subscribe', topic: 'filter-test', client_id: client.clientId,
+                filter: { 'payload.order': { $bogus: 1 } }, request_id: invalidRequestId
+            });
+            await this.wait(100);
+            const rejection = client.messageLog.find(msg => msg.type === 'error' && msg.request_id === invalidRequestId);
+            this.recordTest('Content Filter (invalid expression)',
+                rejection !== undefined && rejection.error.code === 'BAD_REQUEST' &&
+                rejection.error.message.includes('payload.order'),
+                `Error: ${rejection && JSON.stringify(rejection.error)}`);
+
+            // Events a filter drops are not counted as reaching the subscriber
+            const system = new PubSubSystem();
+            const socket = { readyState: 1, bufferedAmount: 0, send: (frame, options, callback) => callback && callback() };
+            system.createTopic('filter-count');
+            system.subscribe('filtered', socket, 'filter-count', 0, { filter: { 'payload.order.amount': { $gt: 100 } } });
+            const dropped = system.publish('filter-count', { id: uuidv4(), payload: { order: { amount: 10 } } });
+            const matched = system.publish('filter-count', { id: uuidv4(), payload: { order: { amount: 200 } } });
+            this.recordTest('Content Filter (delivery count)',
+                dropped.subscribersReached === 0 && matched.subscribersReached === 1,
+                `Reached: ${dropped.subscribersReached} filtered, ${matched.subscribersReached} matching`);
+            await system.gracefulShutdown();
+
+        } catch (error) {
+            this.recordTest('Content Filters', false, `Error: ${error.message}`);
+        } finally {
+            if (client) client.close();
+            try {
+                await this.makeRequest('/topics/filter-test', 'DELETE');
+            } catch (e) {
+                // Ignore cleanup errors
+            }
+        }
+    }
+
+    // Test delayed publishes, their REST endpoints and the shutdown policies
+    async testScheduledPublish() {
+        this.log('='.repeat(60), 'INFO');
+        this.log('TESTING SCHEDULED PUBLISH', 'INFO');
+        this.log('='.repeat(60), 'INFO');
+
+        let client;
+        const listPath = '/scheduled?topic=scheduled-test';
+
+        try {
+            await this.makeRequest('/topics', 'POST', { name: 'scheduled-test' });
+            client = await this.createWebSocketClient('ScheduledClient');
+            this.sendWsMessage(client, { type: 'subscribe', topic: 'scheduled-test', client_id: client.clientId });
+            await this.wait(100);
+
+            const delayed = { id: uuidv4(), payload: { via: 'delay_ms' } };
+            const timed = { id: uuidv4(), payload: { via: 'deliver_at' } };
+            const requestIds = [uuidv4(), uuidv4(), uuidv4()];
+            this.sendWsMessage(client, {
+                type: 'publish', topic: 'scheduled-test', message: delayed, delay_ms: 300, request_id: requestIds[0]
+            });
+            this.sendWsMessage(client, {
+                type: 'publish', topic: 'scheduled-test', message: timed,
+                deliver_at: new Date(Date.now() + 300).toISOString(), request_id: requestIds[1]
+            });
+            this.sendWsMessage(client, {
+                type: 'publish', topic: 'scheduled-test', message: { id: uuidv4(), payload: { via: 'later' } },
+                delay_ms: 60000, request_id: requestIds[2]
+            });
+            await this.wait(100);
+
+            const acks = requestIds.map(requestId =>
+                client.messageLog.find(msg => msg.type === 'ack' && msg.request_id === requestId));
+            const pending = await this.makeRequest(listPath);
+            const early = client.messageLog.filter(msg => msg.type === 'event' && msg.topic === 'scheduled-test');
+            this.recordTest('Scheduled Publish (pending)',
+                acks.every(ack => ack && ack.scheduled_id && ack.deliver_at && ack.offset === undefined) &&
+                pending.status === 200 && pending.data.scheduled.length === 3 && early.length === 0,
+                `Acks: ${acks.filter(Boolean).length}, pending: ${pending.data.scheduled && pending.data.scheduled.length}`);
+
+            await this.wait(400);
+            const delivered = client.messageLog
+                .filter(msg => msg.type === 'event' && msg.topic === 'scheduled-test')
+                .map(msg => msg.message.id);
+            const remaining = await this.makeRequest(listPath);
+            this.recordTest('Scheduled Publish (delivery)',
+                delivered.length === 2 && delivered.includes(delayed.id) && delivered.includes(timed.id) &&
+                remaining.data.scheduled.length === 1 && remaining.data.scheduled[0].id === acks[2].scheduled_id,
+                `Delivered: ${delivered.length}, still pending: ${remaining.data.scheduled.length}`);
+
+            const cancelled = await this.makeRequest(`/scheduled/${acks[2].scheduled_id}`, 'DELETE');
+            const again = await this.makeRequest(`/scheduled/${acks[2].scheduled_id}`, 'DELETE');
+            const unknown = await this.makeRequest(`/scheduled/${uuidv4()}`, 'DELETE');
+            const empty = await this.makeRequest(listPath);
+            this.recordTest('Scheduled Publish (cancel)',
+                cancelled.status === 200 && cancelled.data.status === 'cancelled' &&
+                again.status === 404 && unknown.status === 404 && empty.data.scheduled.length === 0,
+                `Cancel: ${cancelled.status}, again: ${again.status}, unknown: ${unknown.status}`);
+
+            // Without a message log, 'report' returns the pending messages and 'flush' publishes them
+            const outcomes = {};
+            for (const policy of ['report', 'flush']) {
+                const system = new PubSubSystem({ scheduledOnShutdown: policy });
+                system.createTopic('shutdown-test');
+                const scheduled = system.schedulePublish('shutdown-test', { id: uuidv4(), payload: { policy } }, Date.now() + 60000);
+                const result = await system.gracefulShutdown();
+                outcomes[policy] = {
+                    reported: result.scheduled.map(entry => entry.id),
+                    published: system.storage.getHistory('shutdown-test').length,
+                    id: scheduled.id
+                };
+            }
+            this.recordTest('Scheduled Publish (shutdown policy)',
+                outcomes.report.reported.join(',') === outcomes.report.id && outcomes.report.published === 0 &&
+                outcomes.flush.reported.length === 0 && outcomes.flush.published === 1,
+                `Outcomes: ${JSON.stringify(outcomes)}`);
+
+        } catch (error) {
+            this.recordTest('Scheduled Publish', false, `Error: ${error.message}`);
+        } finally {
+            if (client) client.close();
+            try {
+                await this.makeRequest('/topics/scheduled-test', 'DELETE');
+            } catch (e) {
+                // Ignore cleanup errors
+            }
+        }
+    }
+
+    // Test that plugin hooks fire and that beforePublish can rewrite or reject a publish
+    async testPlugins() {
+        this.log('='.repeat(60), 'INFO');
+        this.log('TESTING PLUGINS', 'INFO');
+        this.log('='.repeat(60), 'INFO');
+
+        const calls = [];
+        const recorder = { name: 'recorder' };
+        for (const hook of PLUGIN_HOOKS) {
+            recorder[hook] = (context) => {
+                calls.push({ hook, context });
+            };
+        }
+        const gate = {
+            name: 'gate',
+            beforePublish({ message }) {
+                if (message.payload && message.payload.blocked) {
+                    throw rejectPublish('blocked by gate');
+                }
+                return { ...message, headers: { ...message.headers, stamped: 'gate' } };
+            }
+        };
+        const auditLines = [];
+        const consoleLog = console.log;
+        let embedded, client;
+
+        try {
+            embedded = await startEmbeddedServer({
+                plugins: [recorder, gate, {
+                    module: fileURLToPath(new URL('./plugins/audit-log.js', import.meta.url)),
+                    options: { topics: ['plugin-test'] }
+                }]
+            });
+            const { baseUrl, wsUrl } = embedded;
+            console.log = (...args) => {
+                if (typeof args[0] === 'string' && args[0].startsWith('[audit]')) {
+                    auditLines.push(args[0]);
+                }
+                consoleLog(...args);
+            };
+
+            client = await this.createWebSocketClient('PluginClient', wsUrl);
+            await this.makeRequest('/topics', 'POST', { name: 'plugin-test' }, { baseUrl });
+            this.sendWsMessage(client, { type: 'subscribe', topic: 'plugin-test', client_id: client.clientId });
+            await this.wait(100);
+
+            const rejectedRequestId = uuidv4();
+            this.sendWsMessage(client, {
+                type: 'publish', topic: 'plugin-test', message: { id: uuidv4(), payload: { n: 1 } }
+            });
+            this.sendWsMessage(client, {
+                type: 'publish', topic: 'plugin-test', message: { id: uuidv4(), payload: { blocked: true } },
+                request_id: rejectedRequestId
+            });
+            await this.wait(100);
+
+            const events = client.messageLog.filter(msg => msg.type === 'event' && msg.topic === 'plugin-test');
+            const rejection = client.messageLog.find(msg => msg.type === 'error' && msg.request_id === rejectedRequestId);
+            const stats = await this.makeRequest('/stats', 'GET', null, { baseUrl });
+            this.recordTest('Plugins (beforePublish)',
+                events.length === 1 && events[0].message.headers.stamped === 'gate' &&
+                rejection !== undefined && rejection.error.code === 'PUBLISH_REJECTED' &&
+                rejection.error.message === 'blocked by gate' &&
+                stats.data.topics['plugin-test'].messages === 1,
+                `Events: ${events.length}, rejection: ${rejection && JSON.stringify(rejection.error)}`);
+
+            this.sendWsMessage(client, { type: 'unsubscribe', topic: 'plugin-test', client_id: client.clientId });
+            await this.wait(100);
+            await this.makeRequest('/topics/plugin-test', 'DELETE', null, { baseUrl });
+            client.close();
+            await this.wait(100);
+
+            const fired = new Set(calls.map(call => call.hook));
+            const missing = PLUGIN_HOOKS.filter(hook => !fired.has(hook));
+            const afterPublish = calls.filter(call => call.hook === 'afterPublish');
+            const unsubscribed = calls.find(call => call.hook === 'onUnsubscribe');
+            this.recordTest('Plugins (hooks)',
+                missing.length === 0 &&
+                calls.every(call => call.context.tenant === 'default') &&
+                afterPublish.length === 1 && afterPublish[0].context.event.message.headers.stamped === 'gate' &&
+                unsubscribed.context.reason === 'unsubscribed',
+                `Missing hooks: ${missing.join(', ') || 'none'}`);
+
+            this.recordTest('Plugins (audit-log module)',
+                auditLines.some(line => line.includes('subscribed to plugin-test')) &&
+                auditLines.some(line => line.includes('published plugin-test#0')) &&
+                auditLines.some(line => line.includes('disconnected')),
+                `Audit lines: ${auditLines.length}`);
+
+        } catch (error) {
+            this.recordTest('Plugins', false, `Error: ${error.message}`);
+        } finally {
+            console.log = consoleLog;
+            if (client) client.close();
+            if (embedded) await embedded.server.stop();
+        }
+    }
+
+    // Test the topic auto-creation policies and that rejected publishes create no topic
+    async testTopicAutoCreation() {
+        this.log('='.repeat(60), 'INFO');
+        this.log('TESTING TOPIC AUTO-CREATION', 'INFO');
+        this.log('='.repeat(60), 'INFO');
+
+        const clients = [];
+        const servers = [];
+        // Publish and subscribe to a topic each and return the outcome of both and the topic list
+        const tryPolicy = async (options, publishTopic, subscribeTopic) => {
+            const embedded = await startEmbeddedServer(options);
+            servers.push(embedded);
+            const client = await this.createWebSocketClient('AutoCreateClient', embedded.wsUrl);
+            clients.push(client);
+            const publishId = uuidv4();
+            const subscribeId = uuidv4();
+            this.sendWsMessage(client, {
+                type: 'publish', topic: publishTopic, message: { id: uuidv4(), payload: {} }, request_id: publishId
+            });
+            this.sendWsMessage(client, {
+                type: 'subscribe', topic: subscribeTopic, client_id: client.clientId, request_id: subscribeId
+            });
+            await this.wait(100);
+            const outcome = (requestId) => {
+                const reply = client.messageLog.find(msg => msg.request_id === requestId);
+                return reply && reply.type === 'error' ? reply.error.code : reply && reply.type;
+            };
+            const topics = await this.makeRequest('/topics', 'GET', null, { baseUrl: embedded.baseUrl });
+            return { publish: outcome(publishId), subscribe: outcome(subscribeId), topics: topics.data.topics, embedded, client, outcome };
+        };
+
+        try {
+            const strict = await tryPolicy({}, 'auto.strict', 'auto.strict');
+            this.recordTest('Auto-Create (strict)',
+                strict.publish === 'TOPIC_NOT_FOUND' && strict.subscribe === 'TOPIC_NOT_FOUND' && strict.topics.length === 0,
+                `Publish: ${strict.publish}, subscribe: ${strict.subscribe}`);
+
+            const onPublish = await tryPolicy({ autoCreateTopics: 'publish' }, 'auto.published', 'auto.subscribed');
+            this.recordTest('Auto-Create (publish)',
+                onPublish.publish === 'ack' && onPublish.subscribe === 'TOPIC_NOT_FOUND' &&
+                onPublish.topics.map(topic => topic.name).join(',') === 'auto.published',
+                `Publish: ${onPublish.publish}, subscribe: ${onPublish.subscribe}`);
+
+            const onSubscribe = await tryPolicy({ autoCreateTopics: 'subscribe' }, 'auto.published', 'auto.subscribed');
+            this.recordTest('Auto-Create (subscribe)',
+                onSubscribe.publish === 'TOPIC_NOT_FOUND' && onSubscribe.subscribe === 'ack' &&
+                onSubscribe.topics.map(topic => topic.name).join(',') === 'auto.subscribed',
+                `Publish: ${onSubscribe.publish}, subscribe: ${onSubscribe.subscribe}`);
+
+            const byPattern = await tryPolicy({ autoCreateTopics: 'pattern', autoCreatePatterns: ['sensors.#'] },
+                'sensors.eu.temp', 'sensors.eu.humidity');
+            const unmatchedId = uuidv4();
+            this.sendWsMessage(byPattern.client, {
+                type: 'publish', topic: 'chat.room', message: { id: uuidv4(), payload: {} }, request_id: unmatchedId
+            });
+            await this.makeRequest('/topics', 'POST', { name: 'manual' }, { baseUrl: byPattern.embedded.baseUrl });
+            const listed = await this.makeRequest('/topics', 'GET', null, { baseUrl: byPattern.embedded.baseUrl });
+            const flags = Object.fromEntries(listed.data.topics.map(topic => [topic.name, topic.auto_created]));
+            this.recordTest('Auto-Create (pattern, auto_created flag)',
+                byPattern.publish === 'ack' && byPattern.subscribe === 'ack' &&
+                byPattern.outcome(unmatchedId) === 'TOPIC_NOT_FOUND' &&
+                flags['sensors.eu.temp'] === true && flags['sensors.eu.humidity'] === true &&
+                flags.manual === false && Object.keys(flags).length === 3,
+                `Publish: ${byPattern.publish}, subscribe: ${byPattern.subscribe}, flags: ${JSON.stringify(flags)}`);
+
+            // Publishes the broker rejects must not leave their auto-created topic behind
+            const plugins = new PluginManager();
+            plugins.register({
+                name: 'gate',
+                beforePublish({ message }) {
+                    if (message.payload.blocked) {
+                        throw rejectPublish('blocked');
+                    }
+                }
+            });
+            const system = new PubSubSystem({
+                autoCreateTopics: 'publish', maxPayloadBytes: 64, quotas: { maxPublishRate: 1 }, plugins
+            });
+            const rejections = [
+                ['auto.plugin', { id: uuidv4(), payload: { blocked: true } }, {}],
+                ['auto.large', { id: uuidv4(), payload: { text: 'x'.repeat(100) } }, {}],
+                ['auto.priority', { id: uuidv4(), payload: {} }, { priority: 99 }],
+                ['auto.first', { id: uuidv4(), payload: {} }, {}],
+                ['auto.rate', { id: uuidv4(), payload: {} }, {}]
+            ].map(([topicName, message, options]) => {
+                try {
+                    system.publish(topicName, message, options);
+                    return null;
+                } catch (error) {
+                    return error.message;
+                }
+            });
+            let scheduleRejection = null;
+            try {
+                system.schedulePublish('auto.scheduled', { id: uuidv4(), payload: {} }, Date.now() + 60000);
+            } catch (error) {
+                scheduleRejection = error.message;
+            }
+            const remaining = [...system.topics.keys()];
+            this.recordTest('Auto-Create (rejected publish)',
+                rejections.join(',') === 'PUBLISH_REJECTED,PAYLOAD_TOO_LARGE,INVALID_PRIORITY,,QUOTA_EXCEEDED' &&
+                scheduleRejection === 'QUOTA_EXCEEDED' && remaining.join(',') === 'auto.first',
+                `Rejections: ${rejections.join(',')}, ${scheduleRejection}; topics: ${remaining.join(',')}`);
+            await system.gracefulShutdown();
+
+        } catch (error) {
+            this.recordTest('Topic Auto-Creation', false, `Error: ${error.message}`);
+        } finally {
+            for (const client of clients) {
+                client.close();
+            }
+            for (const embedded of servers) {
+                await embedded.server.stop();
+            }
+        }
+    }
+
+    // Test that idle topics expire unless something still uses them
+    async testIdleTopicExpiry() {
+        this.log('='.repeat(60), 'INFO');
+        this.log('TESTING IDLE TOPIC EXPIRY', 'INFO');
+        this.log('='.repeat(60), 'INFO');
+
+        let client;
+        const names = ['ttl-idle', 'ttl-subscribed', 'ttl-durable', 'ttl-scheduled', 'ttl-wildcard'];
+
+        try {
+            for (const name of names) {
+                await this.makeRequest('/topics', 'POST', { name, idle_ttl_ms: 200 });
+            }
+
+            client = await this.createWebSocketClient('IdleTtlClient');
+            this.sendWsMessage(client, { type: 'subscribe', topic: 'ttl-subscribed', client_id: client.clientId });
+            this.sendWsMessage(client, { type: 'subscribe', topic: 'ttl-wildcard.#', client_id: client.clientId });
+            // The durable subscription outlives the attachment
+            this.sendWsMessage(client, { type: 'subscribe', topic: 'ttl-durable', client_id: client.clientId, durable: 'keeper' });
+            this.sendWsMessage(client, { type: 'unsubscribe', topic: 'ttl-durable', client_id: client.clientId });
+            this.sendWsMessage(client, {
+                type: 'publish', topic: 'ttl-scheduled', message: { id: uuidv4(), payload: {} }, delay_ms: 60000
+            });
+
+            // Expiry is checked about once a second
+            await this.wait(1500);
+            const topics = await this.makeRequest('/topics');
+            const remaining = topics.data.topics.map(topic => topic.name).filter(name => names.includes(name)).sort();
+            const expired = client.messageLog.filter(msg => msg.type === 'info' && msg.msg === 'topic_deleted').map(msg => msg.topic);
+            this.recordTest('Idle Topic Expiry',
+                remaining.join(',') === 'ttl-durable,ttl-scheduled,ttl-subscribed' &&
+                expired.join(',') === 'ttl-wildcard',
+                `Remaining: ${remaining.join(', ')}; wildcard notified: ${expired.join(', ')}`);
+
+        } catch (error) {
+            this.recordTest('Idle Topic Expiry', false, `Error: ${error.message}`);
+        } finally {
+            if (client) client.close();
+            for (const name of names) {
+                try {
+                    await this.makeRequest(`/topics/${name}`, 'DELETE');
+                } catch (e) {
+                    // Ignore cleanup errors
+                }
+            }
+        }
+    }
+
+    // Test retained messages on publish, on subscribe and over REST
+    async testRetainedMessages() {
+        this.log('='.repeat(60), 'INFO');
+        this.log('TESTING RETAINED MESSAGES', 'INFO');
+        this.log('='.repeat(60), 'INFO');
+
+        const clients = [];
+        const retainedPath = '/topics/retained.app/retained';
+        // Subscribe a new client and return the events it gets right away
+        const subscribeFresh = async (name, subscription) => {
+            const client = await this.createWebSocketClient(name);
+            clients.push(client);
+            this.sendWsMessage(client, { type: 'subscribe', client_id: client.clientId, ...subscription });
+            await this.wait(100);
+            return client.messageLog.filter(msg => msg.type === 'event');
+        };
+
+        try {
+            await this.makeRequest('/topics', 'POST', { name: 'retained.app', ring_buffer_size: 2 });
+            const publisher = await this.createWebSocketClient('RetainPublisher');
+            clients.push(publisher);
+            const retainRequestId = uuidv4();
+            this.sendWsMessage(publisher, {
+                type: 'publish', topic: 'retained.app', retain: true,
+                message: { id: uuidv4(), payload: { feature_x: true } }, request_id: retainRequestId
+            });
+            // Later publishes push the retained event out of the ring buffer
+            for (let i = 0; i < 3; i++) {
+                this.sendWsMessage(publisher, { type: 'publish', topic: 'retained.app', message: { id: uuidv4(), payload: { i } } });
+            }
+            await this.wait(100);
+
+            const ack = publisher.messageLog.find(msg => msg.type === 'ack' && msg.request_id === retainRequestId);
+            const stored = await this.makeRequest(retainedPath);
+            this.recordTest('Retained Messages (publish)',
+                ack !== undefined && ack.retained === true && ack.offset === 0 &&
+                stored.status === 200 && stored.data.retained.offset === 0 &&
+                stored.data.retained.message.payload.feature_x === true,
+                `Ack: ${ack && ack.retained}, GET: ${stored.status}`);
+
+            const exact = await subscribeFresh('RetainExact', { topic: 'retained.app' });
+            const wildcard = await subscribeFresh('RetainWildcard', { topic: 'retained.*' });
+            const replay = await subscribeFresh('RetainReplay', { topic: 'retained.app', last_n: 2 });
+            const past = await subscribeFresh('RetainPast', { topic: 'retained.app', from_offset: 1 });
+            this.recordTest('Retained Messages (subscribe)',
+                exact.length === 1 && exact[0].retained === true && exact[0].offset === 0 &&
+                wildcard.length === 1 && wildcard[0].retained === true &&
+                replay.map(event => event.offset).join(',') === '0,2,3' &&
+                past.map(event => event.offset).join(',') === '2,3' && past.every(event => event.retained !== true),
+                `Exact: ${exact.length}, wildcard: ${wildcard.length}, ` +
+                `last_n: ${replay.map(event => event.offset).join(',')}, from_offset: ${past.map(event => event.offset).join(',')}`);
+
+            const clearRequestId = uuidv4();
+            this.sendWsMessage(publisher, {
+                type: 'publish', topic: 'retained.app', retain: true, message: { payload: {} }, request_id: clearRequestId
+            });
+            await this.wait(100);
+            const clearAck = publisher.messageLog.find(msg => msg.type === 'ack' && msg.request_id === clearRequestId);
+            const cleared = await this.makeRequest(retainedPath);
+            const afterClear = await subscribeFresh('RetainCleared', { topic: 'retained.app' });
+            this.recordTest('Retained Messages (clear)',
+                clearAck !== undefined && clearAck.retained_cleared === true &&
+                cleared.status === 404 && afterClear.length === 0,
+                `Ack: ${clearAck && clearAck.retained_cleared}, GET: ${cleared.status}, events: ${afterClear.length}`);
+
+            const unknown = await this.makeRequest('/topics/retained.unknown/retained');
+            this.recordTest('Retained Messages (unknown topic)',
+                unknown.status === 404 && unknown.data.error === 'Topic not found',
+                `Status: ${unknown.status}`);
+
+        } catch (error) {
+            this.recordTest('Retained Messages', false, `Error: ${error.message}`);
+        } finally {
+            for (const client of clients) {
+                client.close();
+            }
+            try {
+                await this.makeRequest('/topics/retained.app', 'DELETE');
+            } catch (e) {
+                // Ignore cleanup errors
+            }
+        }
+    }
+
+    // Test that a retried message.id is acknowledged with the original offset and not delivered again
+    async testPublishDeduplication() {
+        this.log('='.repeat(60), 'INFO');
+        this.log('TESTING PUBLISH DEDUPLICATION', 'INFO');
+        this.log('='.repeat(60), 'INFO');
+
+        let client;
+
+        try {
+            await this.makeRequest('/topics', 'POST', { name: 'dedup-test' });
+            client = await this.createWebSocketClient('DedupClient');
+            this.sendWsMessage(client, { type: 'subscribe', topic: 'dedup-test', client_id: client.clientId });
+            await this.wait(100);
+
+            const message = { id: uuidv4(), payload: { attempt: 1 } };
+            const requestIds = [uuidv4(), uuidv4(), uuidv4()];
+            this.sendWsMessage(client, { type: 'publish', topic: 'dedup-test', message, request_id: requestIds[0] });
+            this.sendWsMessage(client, {
+                type: 'publish', topic: 'dedup-test', message: { id: uuidv4(), payload: {} }, request_id: requestIds[1]
+            });
+            this.sendWsMessage(client, {
+                type: 'publish', topic: 'dedup-test', message: { ...message, payload: { attempt: 2 } }, request_id: requestIds[2]
+            });
+            await this.wait(200);
+
+            const [first, , retry] = requestIds.map(requestId =>
+                client.messageLog.find(msg => msg.type === 'ack' && msg.request_id === requestId));
+            const deliveries = client.messageLog.filter(msg => msg.type === 'event' && msg.message.id === message.id);
+            const stats = await this.makeRequest('/stats');
+            this.recordTest('Deduplication (original ack)',
+                first.offset === 0 && first.duplicate === undefined &&
+                retry.offset === 0 && retry.duplicate === true &&
+                deliveries.length === 1 && deliveries[0].message.payload.attempt === 1 &&
+                stats.data.topics['dedup-test'].duplicates === 1,
+                `Retry ack: offset ${retry.offset}, duplicate ${retry.duplicate}; deliveries: ${deliveries.length}`);
+
+            // A retry needs no quota, so it is acknowledged even when the publish rate is used up
+            const system = new PubSubSystem({ quotas: { maxPublishRate: 1 } });
+            system.createTopic('dedup-quota');
+            const published = system.publish('dedup-quota', message);
+            let limited = null;
+            try {
+                system.publish('dedup-quota', { id: uuidv4(), payload: {} });
+            } catch (error) {
+                limited = error.message;
+            }
+            const duplicate = system.publish('dedup-quota', message);
+            this.recordTest('Deduplication (over quota)',
+                limited === 'QUOTA_EXCEEDED' && duplicate.duplicate === true && duplicate.offset === published.offset,
+                `Second publish: ${limited}, retry: ${JSON.stringify({ duplicate: duplicate.duplicate, offset: duplicate.offset })}`);
+            await system.gracefulShutdown();
+
+        } catch (error) {
+            this.recordTest('Publish Deduplication', false, `Error: ${error.message}`);
+        } finally {
+            if (client) client.close();
+            try {
+                await this.makeRequest('/topics/dedup-test', 'DELETE');
+            } catch (e) {
+                // Ignore cleanup errors
+            }
+        }
+    }
+
+    // Test that consumer groups share a topic's stream while other subscribers get every event
+    async testConsumerGroups() {
+        this.log('='.repeat(60), 'INFO');
+        this.log('TESTING CONSUMER GROUPS', 'INFO');
+        this.log('='.repeat(60), 'INFO');
+
+        const clients = [];
+        const join = async (name, subscription) => {
+            const ws = await this.createWebSocketClient(name);
+            clients.push(ws);
+            this.sendWsMessage(ws, { type: 'subscribe', topic: 'jobs-test', client_id: ws.clientId, ...subscription });
+            await this.wait(100);
+            return ws;
+        };
+        const jobs = (ws, phase) => ws.messageLog.filter(msg =>
+            msg.type === 'event' && msg.topic === 'jobs-test' && msg.message.payload.phase === phase);
+
+        try {
+            await this.makeRequest('/topics', 'POST', { name: 'jobs-test', partitions: 4 });
+            const workerA = await join('JobsWorkerA', { group: 'workers' });
+            const workerB = await join('JobsWorkerB', { group: 'workers', group_strategy: 'round_robin' });
+            const auditor = await join('JobsAuditor', { group: 'audit' });
+            const monitor = await join('JobsMonitor', {});
+
+            for (let i = 0; i < 6; i++) {
+                this.sendWsMessage(monitor, { type: 'publish', topic: 'jobs-test', message: { id: uuidv4(), payload: { phase: 'unkeyed', i } } });
+            }
+            await this.wait(200);
+
+            const shares = [jobs(workerA, 'unkeyed').length, jobs(workerB, 'unkeyed').length];
+            this.recordTest('Consumer Groups (round robin)',
+                shares[0] === 3 && shares[1] === 3 &&
+                jobs(auditor, 'unkeyed').length === 6 && jobs(monitor, 'unkeyed').length === 6,
+                `Workers: ${shares.join('/')}, other group: ${jobs(auditor, 'unkeyed').length}, ungrouped: ${jobs(monitor, 'unkeyed').length}`);
+
+            // Every event with the same key goes to the same member, in order
+            for (let i = 0; i < 8; i++) {
+                this.sendWsMessage(monitor, {
+                    type: 'publish', topic: 'jobs-test', message: { id: uuidv4(), key: `order-${i % 2}`, payload: { phase: 'keyed', i } }
+                });
+            }
+            await this.wait(200);
+
+            const byKey = {};
+            for (const worker of [workerA, workerB]) {
+                for (const event of jobs(worker, 'keyed')) {
+                    const entry = byKey[event.message.key] || (byKey[event.message.key] = { workers: new Set(), order: [] });
+                    entry.workers.add(worker.clientName);
+                    entry.order.push(event.message.payload.i);
+                }
+            }
+            const keyed = Object.values(byKey);
+            this.recordTest('Consumer Groups (keyed affinity)',
+                keyed.length === 2 && keyed.every(entry => entry.workers.size === 1 && entry.order.length === 4 &&
+                    entry.order.every((i, index) => index === 0 || i > entry.order[index - 1])),
+                `Keys: ${JSON.stringify(Object.entries(byKey).map(([key, entry]) => [key, [...entry.workers], entry.order]))}`);
+
+            // Once its session grace period is over, a member that left gets no events; the rest of the group takes over
+            workerB.close();
+            await this.wait(700);
+            for (let i = 0; i < 4; i++) {
+                this.sendWsMessage(monitor, { type: 'publish', topic: 'jobs-test', message: { id: uuidv4(), payload: { phase: 'after', i } } });
+            }
+            await this.wait(200);
+            this.recordTest('Consumer Groups (member leaves)',
+                jobs(workerA, 'after').length === 4 && jobs(workerB, 'after').length === 0,
+                `Remaining member: ${jobs(workerA, 'after').length}`);
+
+            const rejectedRequestId = uuidv4();
+            const rejected = await this.createWebSocketClient('JobsBadStrategy');
+            clients.push(rejected);
+            this.sendWsMessage(rejected, {
+                type: 'subscribe', topic: 'jobs-test', client_id: rejected.clientId,
+                group: 'workers', group_strategy: 'key_affinity', request_id: rejectedRequestId
+            });
+            await this.wait(100);
+            const error = rejected.messageLog.find(msg => msg.type === 'error' && msg.request_id === rejectedRequestId);
+            this.recordTest('Consumer Groups (unknown strategy)',
+                error !== undefined && error.error.code === 'BAD_REQUEST',
+                `Error: ${error && error.error.message}`);
+
+        } catch (error) {
+            this.recordTest('Consumer Groups', false, `Error: ${error.message}`);
+        } finally {
+            for (const ws of clients) {
+                ws.close();
+            }
+            try {
+                await this.makeRequest('/topics/jobs-test', 'DELETE');
+            } catch (e) {
+                // Ignore cleanup errors
+            }
+        }
+    }
+
+    // Test resuming a subscription from an offset or a timestamp
+    async testReplayFromOffset() {
+        this.log('='.repeat(60), 'INFO');
+        this.log('TESTING REPLAY FROM OFFSET AND TIMESTAMP', 'INFO');
+        this.log('='.repeat(60), 'INFO');
+
+        const clients = [];
+        // Subscribe a new client and return its ack and replayed offsets
+        const resume = async (name, subscription) => {
+            const ws = await this.createWebSocketClient(name);
+            clients.push(ws);
+            const requestId = uuidv4();
+            this.sendWsMessage(ws, { type: 'subscribe', topic: 'replay-test', client_id: ws.clientId, request_id: requestId, ...subscription });
+            await this.wait(100);
+            return {
+                ws,
+                reply: ws.messageLog.find(msg => msg.request_id === requestId),
+                offsets: () => ws.messageLog.filter(msg => msg.type === 'event').map(msg => msg.offset).join(',')
+            };
+        };
+
+        try {
+            await this.makeRequest('/topics', 'POST', { name: 'replay-test', ring_buffer_size: 5 });
+            const publisher = await this.createWebSocketClient('ReplayPublisher');
+            clients.push(publisher);
+            const publish = (count) => {
+                for (let i = 0; i < count; i++) {
+                    this.sendWsMessage(publisher, { type: 'publish', topic: 'replay-test', message: { id: uuidv4(), payload: { i } } });
+                }
+            };
+
+            const beforeAll = new Date().toISOString();
+            await this.wait(20);
+            publish(3);
+            await this.wait(50);
+            const afterThird = new Date().toISOString();
+            await this.wait(20);
+            // Offsets 0-2 leave the five-event ring buffer
+            publish(5);
+            await this.wait(100);
+
+            const fromOffset = await resume('ReplayFromOffset', { from_offset: 5 });
+            this.recordTest('Replay (from_offset)',
+                fromOffset.offsets() === '5,6,7' &&
+                JSON.stringify(fromOffset.reply.replay) === JSON.stringify({
+                    from_offset: 5, first_available_offset: 3, next_offset: 8, truncated: false
+                }),
+                `Offsets: ${fromOffset.offsets()}, replay: ${JSON.stringify(fromOffset.reply.replay)}`);
+
+            const evicted = await resume('ReplayEvicted', { from_offset: 1 });
+            this.recordTest('Replay (past the ring buffer)',
+                evicted.offsets() === '3,4,5,6,7' && evicted.reply.replay.truncated === true &&
+                evicted.reply.replay.first_available_offset === 3,
+                `Offsets: ${evicted.offsets()}, replay: ${JSON.stringify(evicted.reply.replay)}`);
+
+            const fromTs = await resume('ReplayFromTs', { from_ts: afterThird });
+            const fromStart = await resume('ReplayFromStart', { from_ts: Date.parse(beforeAll) });
+            this.recordTest('Replay (from_ts)',
+                fromTs.offsets() === '3,4,5,6,7' && fromTs.reply.replay.truncated === false &&
+                fromTs.reply.replay.from_ts === afterThird &&
+                fromStart.offsets() === '3,4,5,6,7' && fromStart.reply.replay.truncated === true,
+                `After third: ${fromTs.offsets()} (truncated ${fromTs.reply.replay.truncated}), ` +
+                `from start: truncated ${fromStart.reply.replay.truncated}`);
+
+            // Nothing to replay past the head; live events still follow
+            const ahead = await resume('ReplayAhead', { from_offset: 20 });
+            publish(1);
+            await this.wait(100);
+            this.recordTest('Replay (offset beyond head)',
+                ahead.reply.type === 'ack' && ahead.reply.replay.truncated === false &&
+                ahead.reply.replay.next_offset === 8 && ahead.offsets() === '8',
+                `Replay: ${JSON.stringify(ahead.reply.replay)}, events: ${ahead.offsets()}`);
+
+            const invalid = await resume('ReplayInvalid', { from_offset: -1 });
+            this.recordTest('Replay (invalid from_offset)',
+                invalid.reply.type === 'error' && invalid.reply.error.code === 'BAD_REQUEST',
+                `Reply: ${invalid.reply.type}`);
+
+        } catch (error) {
+            this.recordTest('Replay From Offset', false, `Error: ${error.message}`);
+        } finally {
+            for (const ws of clients) {
+                ws.close();
+            }
+            try {
+                await this.makeRequest('/topics/replay-test', 'DELETE');
+            } catch (e) {
+                // Ignore cleanup errors
+            }
+        }
+    }
+
+    // Test the dead-letter envelope for dropped and repeatedly unacknowledged events
+    async testDeadLetterTopic() {
+        this.log('='.repeat(60), 'INFO');
+        this.log('TESTING DEAD-LETTER TOPIC', 'INFO');
+        this.log('='.repeat(60), 'INFO');
+
+        const clients = [];
+        const connect = async (name, subscription) => {
+            const ws = await this.createWebSocketClient(name);
+            clients.push(ws);
+            this.sendWsMessage(ws, { type: 'subscribe', client_id: ws.clientId, ...subscription });
+            await this.wait(100);
+            return ws;
+        };
+        const envelopes = (ws, reason) => ws.messageLog
+            .filter(msg => msg.type === 'event' && msg.topic === 'dlt-test.dlq' && msg.message.reason === reason)
+            .map(msg => msg.message);
+
+        try {
+            await this.makeRequest('/topics', 'POST', { name: 'dlt-test.dlq' });
+            await this.makeRequest('/topics', 'POST', {
+                name: 'dlt-test', dead_letter_topic: 'dlt-test.dlq', max_delivery_attempts: 2, max_queue_bytes: 512
+            });
+            const deadLetters = await connect('DltReader', { topic: 'dlt-test.dlq' });
+
+            // An event larger than the queue byte limit can never be queued
+            const consumer = await connect('DltConsumer', { topic: 'dlt-test' });
+            this.sendWsMessage(consumer, {
+                type: 'publish', topic: 'dlt-test', message: { id: uuidv4(), payload: { blob: 'x'.repeat(1024) } }
+            });
+            await this.wait(100);
+
+            const [queueFull] = envelopes(deadLetters, 'QUEUE_FULL');
+            this.recordTest('Dead Letter (QUEUE_FULL)',
+                queueFull !== undefined && queueFull.original_topic === 'dlt-test' &&
+                queueFull.client_id === consumer.clientId && queueFull.event.offset === 0 &&
+                queueFull.event.message.payload.blob.length === 1024 &&
+                !consumer.messageLog.some(msg => msg.type === 'event' && msg.topic === 'dlt-test'),
+                `Envelope: ${queueFull ? JSON.stringify({ ...queueFull, event: queueFull.event.offset }) : 'none'}`);
+            this.sendWsMessage(consumer, { type: 'unsubscribe', topic: 'dlt-test', client_id: consumer.clientId });
+
+            // An event never acknowledged goes to the dead-letter topic after its last attempt
+            const worker = await connect('DltWorker', { topic: 'dlt-test', ack_mode: 'manual', ack_timeout_ms: 150 });
+            this.sendWsMessage(worker, { type: 'publish', topic: 'dlt-test', message: { id: uuidv4(), payload: { job: 1 } } });
+            await this.wait(600);
+
+            const attempts = worker.messageLog.filter(msg => msg.type === 'event' && msg.topic === 'dlt-test');
+            const [exhausted] = envelopes(deadLetters, 'MAX_DELIVERY_ATTEMPTS');
+            const stats = await this.makeRequest('/stats');
+            this.recordTest('Dead Letter (MAX_DELIVERY_ATTEMPTS)',
+                attempts.length === 2 && exhausted !== undefined &&
+                exhausted.original_topic === 'dlt-test' && exhausted.client_id === worker.clientId &&
+                exhausted.attempts === 2 && exhausted.event.offset === 1 &&
+                exhausted.event.redelivered === undefined &&
+                stats.data.topics['dlt-test'].dead_lettered === 2,
+                `Deliveries: ${attempts.length}, envelope attempts: ${exhausted && exhausted.attempts}, ` +
+                `dead_lettered: ${stats.data.topics['dlt-test'].dead_lettered}`);
+
+        } catch (error) {
+            this.recordTest('Dead-Letter Topic', false, `Error: ${error.message}`);
+        } finally {
+            for (const ws of clients) {
+                ws.close();
+            }
+            for (const name of ['dlt-test', 'dlt-test.dlq']) {
+                try {
+                    await this.makeRequest(`/topics/${name}`, 'DELETE');
+                } catch (e) {
+                    // Ignore cleanup errors
+                }
+            }
+        }
+    }
+
+    // Test the per-topic byte limit of subscriber queues under each backpressure policy
+    async testQueueByteLimit() {
+        this.log('='.repeat(60), 'INFO');
+        this.log('TESTING QUEUE BYTE LIMIT', 'INFO');
+        this.log('='.repeat(60), 'INFO');
+
+        // A socket that never drains, so every event stays queued
+        const stalledSocket = () => ({
+            readyState: 1,
+            bufferedAmount: 4096,
+            sent: [],
+            closeCode: null,
+            send(frame) {
+                this.sent.push(JSON.parse(frame));
+            },
+            close(code) {
+                this.closeCode = code;
+                this.readyState = 3;
+            }
+        });
+        const blob = (i) => ({ id: uuidv4(), payload: { i, blob: 'x'.repeat(300) } });
+        const system = new PubSubSystem({ socketHighWaterMark: 1024 });
+
+        try {
+            system.createTopic('bytes-test.dlq');
+            for (const policy of ['DROP_OLDEST', 'BLOCK', 'DISCONNECT']) {
+                system.createTopic(`bytes-${policy}`, {
+                    backpressurePolicy: policy, maxQueueBytes: 1000, deadLetterTopic: 'bytes-test.dlq'
+                });
+                system.subscribe(`stalled-${policy}`, stalledSocket(), `bytes-${policy}`);
+            }
+            const usage = (policy) => system.getStats().subscribers[`stalled-${policy}`];
+
+            // DROP_OLDEST evicts the oldest events to make room for new ones
+            for (let i = 0; i < 10; i++) {
+                system.publish('bytes-DROP_OLDEST', blob(i));
+            }
+            const dropped = usage('DROP_OLDEST');
+            const evicted = system.storage.getHistory('bytes-test.dlq').filter(event => event.message.reason === 'DROP_OLDEST');
+            const queuedOffsets = system.subscribers.get('stalled-DROP_OLDEST').queue.map(event => event.offset);
+            this.recordTest('Queue Byte Limit (DROP_OLDEST)',
+                dropped.queued_bytes <= 1000 && dropped.queued_messages > 0 &&
+                evicted.length + dropped.queued_messages === 10 &&
+                queuedOffsets[queuedOffsets.length - 1] === 9 && evicted[0].message.event.offset === 0,
+                `Queued: ${dropped.queued_messages} events / ${dropped.queued_bytes} bytes, evicted: ${evicted.length}`);
+
+            // BLOCK refuses the publish that would overflow the queue
+            let accepted = 0;
+            let refusal = null;
+            for (let i = 0; i < 10 && refusal === null; i++) {
+                try {
+                    system.publish('bytes-BLOCK', blob(i));
+                    accepted++;
+                } catch (error) {
+                    refusal = error.message;
+                }
+            }
+            const blocked = usage('BLOCK');
+            this.recordTest('Queue Byte Limit (BLOCK)',
+                refusal === 'QUEUE_FULL' && blocked.queued_messages === accepted &&
+                blocked.queued_bytes <= 1000 && system.storage.getNextOffset('bytes-BLOCK') === accepted,
+                `Accepted: ${accepted}, then: ${refusal}, queued bytes: ${blocked.queued_bytes}`);
+
+            // DISCONNECT closes the slow consumer's connection
+            const socket = system.subscribers.get('stalled-DISCONNECT').ws;
+            for (let i = 0; i < 10 && socket.closeCode === null; i++) {
+                system.publish('bytes-DISCONNECT', blob(i));
+            }
+            const slowConsumer = socket.sent.find(frame => frame.type === 'error');
+            this.recordTest('Queue Byte Limit (DISCONNECT)',
+                socket.closeCode === 1008 && slowConsumer !== undefined && slowConsumer.error.code === 'SLOW_CONSUMER',
+                `Close code: ${socket.closeCode}`);
+
+        } catch (error) {
+            this.recordTest('Queue Byte Limit', false, `Error: ${error.message}`);
+        } finally {
+            await system.gracefulShutdown();
+        }
+    }
+
+    // Test that invalid server options fail the start instead of falling back to defaults
+    async testInvalidServerOptions() {
+        this.log('='.repeat(60), 'INFO');
+        this.log('TESTING INVALID SERVER OPTIONS', 'INFO');
+        this.log('='.repeat(60), 'INFO');
+
+        const cases = [
+            [{ backpressurePolicy: 'DROP_NEWEST' }, 'INVALID_BACKPRESSURE_POLICY'],
+            [{ scheduledOnShutdown: 'flsuh' }, 'INVALID_SCHEDULED_SHUTDOWN_POLICY'],
+            [{ logFsyncPolicy: 'sometimes' }, 'INVALID_FSYNC_POLICY'],
+            [{ storage: 'disk' }, 'INVALID_STORAGE_BACKEND'],
+            [{ autoCreateTopics: 'always' }, 'INVALID_AUTO_CREATE_POLICY'],
+            [{ schemaCompatibility: 'both' }, 'INVALID_SCHEMA_COMPATIBILITY']
+        ];
+
+        const failures = [];
+        for (const [options, expected] of cases) {
+            try {
+                new PubSubServer({ port: 0, ...options });
+                failures.push(`${JSON.stringify(options)} accepted`);
+            } catch (error) {
+                if (error.message !== expected) {
+                    failures.push(`${JSON.stringify(options)} failed with ${error.message}`);
+                }
+            }
+        }
+        this.recordTest('Invalid Server Options', failures.length === 0, failures.join('; ') || `${cases.length} rejected`);
+    }
+
+    // Print final test results
+    printTestResults() {
+        this.log('='.repeat(80), 'INFO');
+        this.log('TEST RESULTS SUMMARY', 'INFO');
+        this.log('='.repeat(80), 'INFO');
+
+        const total = this.testResults.passed + this.testResults.failed;
+        const passRate = total > 0 ? ((this.testResults.passed / total) * 100).toFixed(1) : 0;
+
+        this.log(`Total Tests: ${total}`, 'INFO');
+        this.log(`Passed: ${this.testResults.passed}`, 'SUCCESS');
+        this.log(`Failed: ${this.testResults.failed}`, this.testResults.failed > 0 ? 'ERROR' : 'INFO');
+        this.log(`Pass Rate: ${passRate}%`, passRate === '100.0' ? 'SUCCESS' : 'ERROR');
+
+        if (this.testResults.failed > 0) {
+            this.log('\nFAILED TESTS:', 'ERROR');
+            this.testResults.tests
+                .filter(test => !test.passed)
+                .forEach(test => {
+                    this.log(`  ❌ ${test.testName}: ${test.details}`, 'ERROR');
+                });
+        }
+
+        this.log('='.repeat(80), 'INFO');
+    }
+
+    // Main test runner
+    async run() {
+        this.log('🚀 Starting Comprehensive PubSub System Tests', 'INFO');
+        this.log(`Base URL: ${this.baseUrl}`, 'INFO');
+        this.log(`WebSocket URL: ${this.wsUrl}`, 'INFO');
+
+        try {
+            await this.testRestEndpoints();
+            await this.wait(1000);
+
+            await this.testWebSocketOperations();
+            await this.wait(1000);
+
+            await this.testTopicDeletion();
+            await this.wait(1000);
+
+            await this.testEdgeCases();
+
+            await this.testWildcardMatching();
+
+            await this.testBlockBackpressure();
+
+            await this.testMessageLogCompaction();
+
+            await this.testFileStorage();
+
+            await this.testAcksAndRedelivery();
+
+            await this.testLowPriorityEviction();
+
+            await this.testTenantHealth();
+
+            await this.testKeyedGroupRebalance();
+
+            await this.testEventFrames();
+
+            await this.testSessionResumption();
+
+            await this.testResumeWhileClosing();
+
+            await this.testDurableSubscriptions();
+
+            await this.testRateLimits();
+
+            await this.testPublishClientRateLimit();
+
+            await this.testPayloadValidation();
+
+            await this.testSchemaRegistry();
+
+            await this.testContentFilters();
+
+            await this.testScheduledPublish();
+
+            await this.testPlugins();
+
+            await this.testTopicAutoCreation();
+
+            await this.testIdleTopicExpiry();
+
+            await this.testRetainedMessages();
+
+            await this.testPublishDeduplication();
+
+            await this.testConsumerGroups();
+
+            await this.testReplayFromOffset();
+
+            await this.testDeadLetterTopic();
+
+            await this.testQueueByteLimit();
+
+            await this.testInvalidServerOptions();
+
+        } catch (error) {
+            this.log(`Test suite failed: ${error.message}`, 'ERROR');
+        }
+
+        this.printTestResults();
+
+        // Exit with appropriate code
+        setTimeout(() => {
+            process.exit(this.testResults.failed > 0 ? 1 : 0);
+        }, 2000);
+    }
+}
+
+/**
+ * Start a server in this process on a free port, for `npm test`
+ */
+async function startEmbeddedServer(options = {}) {
+    const server = new PubSubServer({ port: 0, host: '127.0.0.1', ...options });
+    await server.start();
+    return {
+        server,
+        baseUrl: `http://127.0.0.1:${server.port}`,
+        wsUrl: `ws://127.0.0.1:${server.port}/ws`
+    };
+}
+
+// Run tests if this file is executed directly; --embedded starts its own servers
+if (import.meta.url === `file://${process.argv[1]}`) {
+    if (process.argv.includes('--embedded')) {
+        const main = await startEmbeddedServer({ sessionGraceMs: 500 });
+        const tester = new ComprehensiveTest(main.baseUrl, main.wsUrl);
+        tester.run().catch(console.error);
+    } else {
+        const tester = new ComprehensiveTest();
+        tester.run().catch(console.error);
+    }
 }
 
 export { ComprehensiveTest };
@@ -0,0 +1,40 @@
+/**
+ * Example plugin: logs publishes, subscriptions and connections
+ *
+ * Options:
+ *   topics - only log events of these topics (default: all)
+ */
+export default function createAuditLog(options = {}) {
+    const topics = Array.isArray(options.topics) ? new Set(options.topics) : null;
+    const watched = (topic) => !topics || topics.has(topic);
+
+    return {
+        name: 'audit-log',
+
+        afterPublish({ tenant, topic, event, internal }) {
+            if (watched(topic)) {
+                console.log(`[audit] ${tenant} published ${topic}#${event.offset}${internal ? ' (internal)' : ''}`);
+            }
+        },
+
+        onSubscribe({ tenant, clientId, topic }) {
+            if (watched(topic)) {
+                console.log(`[audit] ${tenant} ${clientId} subscribed to ${topic}`);
+            }
+        },
+
+        onUnsubscribe({ tenant, clientId, topic, reason }) {
+            if (watched(topic)) {
+                console.log(`[audit] ${tenant} ${clientId} unsubscribed from ${topic} (${reason})`);
+            }
+        },
+
+        onClientConnected({ tenant, clientId, remoteAddress }) {
+            console.log(`[audit] ${tenant} client ${clientId} connected from ${remoteAddress}`);
+        },
+
+        onClientDisconnected({ tenant, clientId, code }) {
+            console.log(`[audit] ${tenant} client ${clientId} disconnected (${code})`);
+        }
+    };
+}
@@ -0,0 +1,347 @@
+/**
+ * JSON Schema validation of published payloads
+ *
+ * Supports the commonly used subset of JSON Schema (draft 2020-12):
+ *
+ *   type, enum, const                               any value
+ *   properties, required, additionalProperties,
+ *   minProperties, maxProperties                    objects
+ *   items, minItems, maxItems, uniqueItems          arrays
+ *   minLength, maxLength, pattern                   strings
+ *   minimum, maximum, exclusiveMinimum,
+ *   exclusiveMaximum, multipleOf                    numbers
+ *   allOf, anyOf, oneOf, not                        composition
+ *
+ * plus the annotations title, description, default, examples, format
+ * (not enforced), $schema, $id and $comment. Schemas using any other
+ * keyword, such as $ref, are rejected rather than half-enforced.
+ */
+
+export const SCHEMA_TYPES = ['null', 'boolean', 'object', 'array', 'number', 'integer', 'string'];
+
+const ANNOTATIONS = ['$schema', '$id', '$comment', 'title', 'description', 'default', 'examples', 'format'];
+const MAX_REPORTED_ERRORS = 20;
+
+/**
+ * Validate a schema and compile it into a function (value, path) that
+ * returns the list of { path, message } violations (empty if valid)
+ */
+export function compileSchema(schema) {
+    const check = compileNode(schema, 'schema');
+    return (value, path = '$') => {
+        const errors = [];
+        check(value, path, errors);
+        return errors.slice(0, MAX_REPORTED_ERRORS);
+    };
+}
+
+/**
+ * Whether two JSON values are equal
+ */
+export function deepEqual(a, b) {
+    if (a === b) {
+        return true;
+    }
+    if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null ||
+        Array.isArray(a) !== Array.isArray(b)) {
+        return false;
+    }
+    if (Array.isArray(a)) {
+        return a.length === b.length && a.every((item, i) => deepEqual(item, b[i]));
+    }
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length &&
+        keys.every(key => Object.prototype.hasOwnProperty.call(b, key) && deepEqual(a[key], b[key]));
+}
+
+/**
+ * JSON Schema type name of a value
+ */
+export function typeOf(value) {
+    if (value === null) {
+        return 'null';
+    }
+    if (Array.isArray(value)) {
+        return 'array';
+    }
+    if (typeof value === 'number') {
+        return Number.isInteger(value) ? 'integer' : 'number';
+    }
+    return typeof value;
+}
+
+function invalid(path, reason) {
+    const error = new Error('INVALID_SCHEMA');
+    error.details = `${path}: ${reason}`;
+    return error;
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isNonNegativeInteger(value) {
+    return Number.isInteger(value) && value >= 0;
+}
+
+function fail(errors, path, message) {
+    if (errors.length < MAX_REPORTED_ERRORS) {
+        errors.push({ path, message });
+    }
+}
+
+function matchesType(value, type) {
+    const actual = typeOf(value);
+    return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function compileNode(schema, path) {
+    if (schema === true) {
+        return () => {};
+    }
+    if (schema === false) {
+        return (value, dataPath, errors) => fail(errors, dataPath, 'no value is allowed here');
+    }
+    if (!isPlainObject(schema)) {
+        throw invalid(path, 'schema must be an object or boolean');
+    }
+
+    const checks = [];
+    for (const [keyword, operand] of Object.entries(schema)) {
+        if (ANNOTATIONS.includes(keyword)) {
+            continue;
+        }
+        const check = compileKeyword(schema, keyword, operand, `${path}.${keyword}`);
+        if (check) {
+            checks.push(check);
+        }
+    }
+
+    return (value, dataPath, errors) => {
+        for (const check of checks) {
+            check(value, dataPath, errors);
+        }
+    };
+}
+
+function compileKeyword(schema, keyword, operand, path) {
+    switch (keyword) {
+        case 'type': {
+            const types = Array.isArray(operand) ? operand : [operand];
+            if (types.length === 0 || !types.every(type => SCHEMA_TYPES.includes(type))) {
+                throw invalid(path, `must be one of ${SCHEMA_TYPES.join(', ')} or an array of them`);
+            }
+            return (value, dataPath, errors) => {
+                if (!types.some(type => matchesType(value, type))) {
+                    fail(errors, dataPath, `must be ${types.join(' or ')}, got ${typeOf(value)}`);
+                }
+            };
+        }
+        case 'enum': {
+            if (!Array.isArray(operand) || operand.length === 0) {
+                throw invalid(path, 'must be a non-empty array');
+            }
+            return (value, dataPath, errors) => {
+                if (!operand.some(allowed => deepEqual(value, allowed))) {
+                    fail(errors, dataPath, `must be one of ${operand.map(allowed => JSON.stringify(allowed)).join(', ')}`);
+                }
+            };
+        }
+        case 'const':
+            return (value, dataPath, errors) => {
+                if (!deepEqual(value, operand)) {
+                    fail(errors, dataPath, `must be ${JSON.stringify(operand)}`);
+                }
+            };
+        case 'properties': {
+            if (!isPlainObject(operand)) {
+                throw invalid(path, 'must be an object of schemas');
+            }
+            const properties = Object.entries(operand).map(([name, child]) =>
+                [name, compileNode(child, `${path}.${name}`)]);
+            return (value, dataPath, errors) => {
+                if (!isPlainObject(value)) {
+                    return;
+                }
+                for (const [name, check] of properties) {
+                    if (Object.prototype.hasOwnProperty.call(value, name)) {
+                        check(value[name], `${dataPath}.${name}`, errors);
+                    }
+                }
+            };
+        }
+        case 'required': {
+            if (!Array.isArray(operand) || !operand.every(name => typeof name === 'string')) {
+                throw invalid(path, 'must be an array of property names');
+            }
+            return (value, dataPath, errors) => {
+                if (!isPlainObject(value)) {
+                    return;
+                }
+                for (const name of operand) {
+                    if (!Object.prototype.hasOwnProperty.call(value, name)) {
+                        fail(errors, `${dataPath}.${name}`, 'is required');
+                    }
+                }
+            };
+        }
+        case 'additionalProperties': {
+            const check = compileNode(operand, path);
+            const known = new Set(isPlainObject(schema.properties) ? Object.keys(schema.properties) : []);
+            return (value, dataPath, errors) => {
+                if (!isPlainObject(value)) {
+                    return;
+                }
+                for (const name of Object.keys(value)) {
+                    if (!known.has(name)) {
+                        if (operand === false) {
+                            fail(errors, `${dataPath}.${name}`, 'is not an allowed property');
+                        } else {
+                            check(value[name], `${dataPath}.${name}`, errors);
+                        }
+                    }
+                }
+            };
+        }
+        case 'minProperties':
+        case 'maxProperties': {
+            if (!isNonNegativeInteger(operand)) {
+                throw invalid(path, 'must be a non-negative integer');
+            }
+            const min = keyword === 'minProperties';
+            return (value, dataPath, errors) => {
+                if (!isPlainObject(value)) {
+                    return;
+                }
+                const count = Object.keys(value).length;
+                if (min ? count < operand : count > operand) {
+                    fail(errors, dataPath, `must have ${min ? 'at least' : 'at most'} ${operand} properties`);
+                }
+            };
+        }
+        case 'items': {
+            const check = compileNode(operand, path);
+            return (value, dataPath, errors) => {
+                if (Array.isArray(value)) {
+                    value.forEach((item, i) => check(item, `${dataPath}[${i}]`, errors));
+                }
+            };
+        }
+        case 'minItems':
+        case 'maxItems': {
+            if (!isNonNegativeInteger(operand)) {
+                throw invalid(path, 'must be a non-negative integer');
+            }
+            const min = keyword === 'minItems';
+            return (value, dataPath, errors) => {
+                if (Array.isArray(value) && (min ? value.length < operand : value.length > operand)) {
+                    fail(errors, dataPath, `must have ${min ? 'at least' : 'at most'} ${operand} items`);
+                }
+            };
+        }
+        case 'uniqueItems': {
+            if (typeof operand !== 'boolean') {
+                throw invalid(path, 'must be a boolean');
+            }
+            return (value, dataPath, errors) => {
+                if (operand && Array.isArray(value) &&
+                    value.some((item, i) => value.findIndex(other => deepEqual(item, other)) !== i)) {
+                    fail(errors, dataPath, 'must not contain duplicate items');
+                }
+            };
+        }
+        case 'minLength':
+        case 'maxLength': {
+            if (!isNonNegativeInteger(operand)) {
+                throw invalid(path, 'must be a non-negative integer');
+            }
+            const min = keyword === 'minLength';
+            return (value, dataPath, errors) => {
+                if (typeof value !== 'string') {
+                    return;
+                }
+                const length = [...value].length;
+                if (min ? length < operand : length > operand) {
+                    fail(errors, dataPath, `must be ${min ? 'at least' : 'at most'} ${operand} characters long`);
+                }
+            };
+        }
+        case 'pattern': {
+            let regex;
+            try {
+                regex = new RegExp(operand, 'u');
+            } catch (error) {
+                throw invalid(path, 'must be a valid regular expression');
+            }
+            return (value, dataPath, errors) => {
+                if (typeof value === 'string' && !regex.test(value)) {
+                    fail(errors, dataPath, `must match ${operand}`);
+                }
+            };
+        }
+        case 'minimum':
+        case 'maximum':
+        case 'exclusiveMinimum':
+        case 'exclusiveMaximum': {
+            if (typeof operand !== 'number') {
+                throw invalid(path, 'must be a number');
+            }
+            const [test, relation] = {
+                minimum: [(value) => value >= operand, '>='],
+                maximum: [(value) => value <= operand, '<='],
+                exclusiveMinimum: [(value) => value > operand, '>'],
+                exclusiveMaximum: [(value) => value < operand, '<']
+            }[keyword];
+            return (value, dataPath, errors) => {
+                if (typeof value === 'number' && !test(value)) {
+                    fail(errors, dataPath, `must be ${relation} ${operand}`);
+                }
+            };
+        }
+        case 'multipleOf': {
+            if (typeof operand !== 'number' || !(operand > 0)) {
+                throw invalid(path, 'must be a positive number');
+            }
+            return (value, dataPath, errors) => {
+                if (typeof value === 'number' && !Number.isInteger(Number((value / operand).toPrecision(12)))) {
+                    fail(errors, dataPath, `must be a multiple of ${operand}`);
+                }
+            };
+        }
+        case 'allOf':
+        case 'anyOf':
+        case 'oneOf': {
+            if (!Array.isArray(operand) || operand.length === 0) {
+                throw invalid(path, 'must be a non-empty array of schemas');
+            }
+            const children = operand.map((child, i) => compileNode(child, `${path}[${i}]`));
+            if (keyword === 'allOf') {
+                return (value, dataPath, errors) => children.forEach(check => check(value, dataPath, errors));
+            }
+            return (value, dataPath, errors) => {
+                const matches = children.filter(check => {
+                    const childErrors = [];
+                    check(value, dataPath, childErrors);
+                    return childErrors.length === 0;
+                }).length;
+                if (keyword === 'anyOf' ? matches === 0 : matches !== 1) {
+                    fail(errors, dataPath, keyword === 'anyOf'
+                        ? 'must match at least one schema in anyOf'
+                        : `must match exactly one schema in oneOf (matched ${matches})`);
+                }
+            };
+        }
+        case 'not': {
+            const check = compileNode(operand, path);
+            return (value, dataPath, errors) => {
+                const childErrors = [];
+                check(value, dataPath, childErrors);
+                if (childErrors.length === 0) {
+                    fail(errors, dataPath, 'must not match the schema in not');
+                }
+            };
+        }
+        default:
+            throw invalid(path, `unsupported keyword ${keyword}`);
+    }
+}
@@ -0,0 +1,166 @@
+/**
+ * Subscription content filters
+ *
+ * A filter is a JSON expression evaluated against the published message
+ * (`{ id, payload, headers }`). Field paths use dot notation:
+ *
+ *   { "payload.region": "eu" }                              equality
+ *   { "payload.amount": { "$gte": 100 } }                   comparison
+ *   { "headers.type": { "$in": ["created", "updated"] } }   membership
+ *   { "$or": [{ ... }, { ... }] }, { "$and": [...] }, { "$not": { ... } }
+ *
+ * Supported operators: $eq, $ne, $gt, $gte, $lt, $lte, $in, $nin, $exists.
+ * Numeric comparisons accept numeric strings such as "99.5".
+ */
+
+const COMPARISON_OPERATORS = ['$gt', '$gte', '$lt', '$lte'];
+
+/**
+ * Validate a filter expression and compile it into a predicate over events
+ */
+export function compileFilter(expression) {
+    const predicate = compileExpression(expression, 'filter');
+    return (event) => predicate(event.message);
+}
+
+function invalid(path, reason) {
+    const error = new Error('INVALID_FILTER');
+    error.details = `${path}: ${reason}`;
+    return error;
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isScalar(value) {
+    return value === null || ['string', 'number', 'boolean'].includes(typeof value);
+}
+
+function compileExpression(expression, path) {
+    if (!isPlainObject(expression)) {
+        throw invalid(path, 'expression must be an object');
+    }
+
+    const predicates = Object.entries(expression).map(([key, value]) => {
+        switch (key) {
+            case '$and':
+            case '$or': {
+                if (!Array.isArray(value) || value.length === 0) {
+                    throw invalid(`${path}.${key}`, 'must be a non-empty array of expressions');
+                }
+                const children = value.map((child, i) => compileExpression(child, `${path}.${key}[${i}]`));
+                return key === '$and'
+                    ? (message) => children.every(child => child(message))
+                    : (message) => children.some(child => child(message));
+            }
+            case '$not': {
+                const child = compileExpression(value, `${path}.$not`);
+                return (message) => !child(message);
+            }
+            default:
+                if (key.startsWith('$')) {
+                    throw invalid(path, `unknown logical operator ${key}`);
+                }
+                return compileFieldCondition(key, value, `${path}.${key}`);
+        }
+    });
+
+    return (message) => predicates.every(predicate => predicate(message));
+}
+
+function compileFieldCondition(field, condition, path) {
+    const segments = field.split('.');
+    if (segments.some(segment => segment.length === 0)) {
+        throw invalid(path, 'field path must not contain empty segments');
+    }
+
+    const read = (message) => segments.reduce(
+        (value, segment) => (value !== null && typeof value === 'object' ? value[segment] : undefined),
+        message
+    );
+
+    // A bare value means equality
+    if (!isPlainObject(condition)) {
+        if (!isScalar(condition)) {
+            throw invalid(path, 'value must be a string, number, boolean, null or an operator object');
+        }
+        return (message) => read(message) === condition;
+    }
+
+    const checks = Object.entries(condition).map(([operator, operand]) =>
+        compileOperator(operator, operand, `${path}.${operator}`));
+
+    return (message) => {
+        const value = read(message);
+        return checks.every(check => check(value));
+    };
+}
+
+function compileOperator(operator, operand, path) {
+    switch (operator) {
+        case '$eq':
+        case '$ne': {
+            if (!isScalar(operand)) {
+                throw invalid(path, 'operand must be a string, number, boolean or null');
+            }
+            return operator === '$eq'
+                ? (value) => value === operand
+                : (value) => value !== operand;
+        }
+        case '$in':
+        case '$nin': {
+            if (!Array.isArray(operand) || !operand.every(isScalar)) {
+                throw invalid(path, 'operand must be an array of strings, numbers, booleans or null');
+            }
+            const values = new Set(operand);
+            return operator === '$in'
+                ? (value) => values.has(value)
+                : (value) => !values.has(value);
+        }
+        case '$exists': {
+            if (typeof operand !== 'boolean') {
+                throw invalid(path, 'operand must be a boolean');
+            }
+            return (value) => (value !== undefined) === operand;
+        }
+        default: {
+            if (!COMPARISON_OPERATORS.includes(operator)) {
+                throw invalid(path, `unknown operator ${operator}`);
+            }
+            if (typeof operand !== 'number' && typeof operand !== 'string') {
+                throw invalid(path, 'operand must be a number or string');
+            }
+            return (value) => compare(operator, coerce(value, operand), operand);
+        }
+    }
+}
+
+/**
+ * Bring a field value to the operand's type, or undefined if it cannot be
+ */
+function coerce(value, operand) {
+    if (typeof operand === 'number') {
+        if (typeof value === 'number') {
+            return value;
+        }
+        if (typeof value === 'string' && value.trim() !== '' && !Number.isNaN(Number(value))) {
+            return Number(value);
+        }
+        return undefined;
+    }
+    return typeof value === 'string' ? value : undefined;
+}
+
+function compare(operator, value, operand) {
+    if (value === undefined) {
+        return false;
+    }
+
+    switch (operator) {
+        case '$gt': return value > operand;
+        case '$gte': return value >= operand;
+        case '$lt': return value < operand;
+        default: return value <= operand;
+    }
+}
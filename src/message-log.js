@@ -0,0 +1,263 @@
+import fs from 'fs';
+import path from 'path';
+import { StringDecoder } from 'string_decoder';
+
+export const FSYNC_POLICIES = ['always', 'interval', 'never'];
+
+const SEGMENT_PATTERN = /^(segment|snapshot)-(\d{6})\.log$/;
+
+// Bytes read from (or buffered for writing to) a log file at a time
+const CHUNK_SIZE = 64 * 1024;
+
+/**
+ * Append-only, segmented on-disk log of topic and publish operations.
+ *
+ * Each record is a JSON line. Segments roll over once they exceed
+ * segmentSize bytes. The fsync policy decides durability vs throughput:
+ * 'always' syncs every append, 'interval' syncs periodically and 'never'
+ * leaves flushing to the operating system.
+ *
+ * compact() replaces all files with a snapshot of the current state;
+ * reading starts from the newest snapshot, so files before it are unused.
+ */
+export class MessageLog {
+    constructor(options = {}) {
+        if (!options.directory) {
+            throw new Error('LOG_DIRECTORY_REQUIRED');
+        }
+
+        this.directory = options.directory;
+        this.segmentSize = options.segmentSize || 64 * 1024 * 1024; // 64 MB
+        this.fsyncPolicy = options.fsyncPolicy || 'interval';
+        this.fsyncIntervalMs = options.fsyncIntervalMs || 1000;
+
+        if (!FSYNC_POLICIES.includes(this.fsyncPolicy)) {
+            throw new Error('INVALID_FSYNC_POLICY');
+        }
+
+        fs.mkdirSync(this.directory, { recursive: true });
+
+        // Start a fresh segment so a torn tail from a crash is never appended to
+        const segments = this.listSegments();
+        this.segmentIndex = segments.length > 0 ? segments[segments.length - 1].index + 1 : 1;
+        this.openSegment();
+
+        // Sizes compactionDue() weighs against each other
+        this.snapshotBytes = 0;
+        this.bytesSinceSnapshot = 0;
+        for (const segment of segments.slice(findSnapshot(segments))) {
+            const size = fs.statSync(segment.file).size;
+            if (segment.snapshot) {
+                this.snapshotBytes = size;
+            } else {
+                this.bytesSinceSnapshot += size;
+            }
+        }
+
+        this.dirty = false;
+        this.fsyncTimer = null;
+        if (this.fsyncPolicy === 'interval') {
+            this.fsyncTimer = setInterval(() => this.sync(), this.fsyncIntervalMs);
+            this.fsyncTimer.unref();
+        }
+    }
+
+    /**
+     * List segment and snapshot files in index order
+     */
+    listSegments() {
+        return fs.readdirSync(this.directory)
+            .map(file => {
+                const match = SEGMENT_PATTERN.exec(file);
+                return match ? {
+                    index: parseInt(match[2], 10),
+                    file: path.join(this.directory, file),
+                    snapshot: match[1] === 'snapshot'
+                } : null;
+            })
+            .filter(Boolean)
+            .sort((a, b) => a.index - b.index);
+    }
+
+    /**
+     * Open the current segment for appending
+     */
+    openSegment() {
+        this.fd = fs.openSync(this.filePath('segment', this.segmentIndex), 'a');
+        this.segmentBytes = fs.fstatSync(this.fd).size;
+    }
+
+    /**
+     * Close the current segment and start a new one
+     */
+    rollSegment() {
+        fs.fsyncSync(this.fd);
+        fs.closeSync(this.fd);
+        this.segmentIndex++;
+        this.openSegment();
+    }
+
+    /**
+     * Append a record to the log
+     */
+    append(record) {
+        const line = JSON.stringify(record) + '\n';
+        const bytes = Buffer.byteLength(line);
+
+        if (this.segmentBytes > 0 && this.segmentBytes + bytes > this.segmentSize) {
+            this.rollSegment();
+        }
+
+        fs.writeSync(this.fd, line);
+        this.segmentBytes += bytes;
+        this.bytesSinceSnapshot += bytes;
+        this.dirty = true;
+
+        if (this.fsyncPolicy === 'always') {
+            this.sync();
+        }
+    }
+
+    /**
+     * Flush pending writes to disk
+     */
+    sync() {
+        if (!this.dirty || this.fd === null) {
+            return;
+        }
+
+        try {
+            fs.fsyncSync(this.fd);
+            this.dirty = false;
+        } catch (error) {
+            console.warn('Failed to fsync message log:', error.message);
+        }
+    }
+
+    /**
+     * Whether enough has been appended since the last snapshot to make
+     * compacting worthwhile: at least a segment, and at least the snapshot's size
+     */
+    compactionDue() {
+        return this.bytesSinceSnapshot >= Math.max(this.segmentSize, this.snapshotBytes);
+    }
+
+    /**
+     * Write records (an iterable describing the whole current state) as a new
+     * snapshot, delete every older file and continue in a fresh segment
+     */
+    compact(records) {
+        const snapshotIndex = this.segmentIndex + 1;
+        const file = this.filePath('snapshot', snapshotIndex);
+        const tmpFile = `${file}.tmp`;
+
+        let bytes = 0;
+        const fd = fs.openSync(tmpFile, 'w');
+        try {
+            let chunk = '';
+            for (const record of records) {
+                chunk += JSON.stringify(record) + '\n';
+                if (chunk.length >= CHUNK_SIZE) {
+                    bytes += fs.writeSync(fd, chunk);
+                    chunk = '';
+                }
+            }
+            bytes += fs.writeSync(fd, chunk);
+            fs.fsyncSync(fd);
+        } finally {
+            fs.closeSync(fd);
+        }
+        fs.renameSync(tmpFile, file);
+
+        // Everything appended so far is covered by the snapshot
+        fs.closeSync(this.fd);
+        this.dirty = false;
+        this.segmentIndex = snapshotIndex + 1;
+        this.openSegment();
+        this.snapshotBytes = bytes;
+        this.bytesSinceSnapshot = 0;
+
+        for (const segment of this.listSegments()) {
+            if (segment.index < snapshotIndex) {
+                fs.unlinkSync(segment.file);
+            }
+        }
+    }
+
+    /**
+     * Read all records in order, starting from the newest snapshot.
+     * Files are streamed in chunks; a torn final line (e.g. after a crash)
+     * is skipped.
+     */
+    *readAll() {
+        const segments = this.listSegments();
+        for (const { file } of segments.slice(findSnapshot(segments))) {
+            for (const line of readLines(file)) {
+                if (line.length === 0) {
+                    continue;
+                }
+                try {
+                    yield JSON.parse(line);
+                } catch (error) {
+                    console.warn(`Skipping corrupt record in ${file}`);
+                }
+            }
+        }
+    }
+
+    /**
+     * Path of the segment or snapshot file with an index
+     */
+    filePath(kind, index) {
+        return path.join(this.directory, `${kind}-${String(index).padStart(6, '0')}.log`);
+    }
+
+    /**
+     * Sync and close the log
+     */
+    close() {
+        if (this.fsyncTimer) {
+            clearInterval(this.fsyncTimer);
+            this.fsyncTimer = null;
+        }
+
+        if (this.fd !== null) {
+            this.sync();
+            fs.closeSync(this.fd);
+            this.fd = null;
+        }
+    }
+}
+
+/**
+ * Index of the newest snapshot in a list of segments, or 0 if there is none
+ */
+function findSnapshot(segments) {
+    for (let i = segments.length - 1; i >= 0; i--) {
+        if (segments[i].snapshot) {
+            return i;
+        }
+    }
+    return 0;
+}
+
+/**
+ * Lines of a file, read a chunk at a time
+ */
+function* readLines(file) {
+    const fd = fs.openSync(file, 'r');
+    const decoder = new StringDecoder('utf8');
+    const buffer = Buffer.alloc(CHUNK_SIZE);
+    let pending = '';
+    try {
+        let bytesRead;
+        while ((bytesRead = fs.readSync(fd, buffer, 0, CHUNK_SIZE, null)) > 0) {
+            const lines = (pending + decoder.write(buffer.subarray(0, bytesRead))).split('\n');
+            pending = lines.pop();
+            yield* lines;
+        }
+        yield pending + decoder.end();
+    } finally {
+        fs.closeSync(fd);
+    }
+}
@@ -0,0 +1,160 @@
+import fs from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+
+export const PLUGIN_HOOKS = [
+    'beforePublish',
+    'afterPublish',
+    'onSubscribe',
+    'onUnsubscribe',
+    'onTopicCreated',
+    'onTopicDeleted',
+    'onClientConnected',
+    'onClientDisconnected'
+];
+
+/**
+ * Broker plugins
+ *
+ * A plugin is an object with a name and any of the PLUGIN_HOOKS as
+ * methods. Every hook receives a context object that includes the tenant
+ * id. beforePublish runs synchronously before a client's message is
+ * published or scheduled (deliverAt is set then): it may return a
+ * replacement message object, or reject the publish by throwing
+ * rejectPublish(reason). Broker-originated publishes (dead letters, fired
+ * schedules) skip it. All other hooks are notifications; they may be async
+ * and their errors are logged, never propagated.
+ *
+ *   beforePublish({ tenant, topic, message, options, deliverAt })
+ *   afterPublish({ tenant, topic, event, internal })
+ *   onSubscribe({ tenant, clientId, topic, options })
+ *   onUnsubscribe({ tenant, clientId, topic, reason })   reason: 'unsubscribed' | 'disconnected'
+ *   onTopicCreated({ tenant, topic, config })
+ *   onTopicDeleted({ tenant, topic, reason })            reason: 'deleted' | 'expired'
+ *   onClientConnected({ tenant, clientId, remoteAddress })
+ *   onClientDisconnected({ tenant, clientId, code })
+ *
+ * Plugins are loaded from modules whose default export is either a plugin
+ * or a (possibly async) factory function (options) -> plugin.
+ */
+export class PluginManager {
+    constructor() {
+        this.plugins = [];
+    }
+
+    /**
+     * Load plugins from a JSON file of the form
+     * { "plugins": [{ "module": "./plugins/audit-log.js", "options": {...} }] }
+     * with module paths relative to the file
+     */
+    static loadDefinitions(file) {
+        const config = JSON.parse(fs.readFileSync(file, 'utf8'));
+        if (!Array.isArray(config.plugins)) {
+            throw new Error('INVALID_PLUGIN_CONFIG');
+        }
+
+        const baseDir = path.dirname(path.resolve(file));
+        return config.plugins.map(definition => ({
+            ...definition,
+            module: definition.module && path.resolve(baseDir, definition.module)
+        }));
+    }
+
+    /**
+     * Register plugin objects and { module, options } definitions in order
+     */
+    async load(definitions = []) {
+        for (const definition of definitions) {
+            if (typeof definition.module !== 'string') {
+                this.register(definition);
+                continue;
+            }
+
+            const exported = (await import(pathToFileURL(path.resolve(definition.module)).href)).default;
+            const plugin = typeof exported === 'function' ? await exported(definition.options || {}) : exported;
+            this.register(plugin);
+        }
+    }
+
+    /**
+     * Add a plugin; hooks run in registration order
+     */
+    register(plugin) {
+        if (!plugin || typeof plugin !== 'object' || typeof plugin.name !== 'string' || plugin.name.length === 0) {
+            throw new Error('INVALID_PLUGIN');
+        }
+
+        for (const hook of PLUGIN_HOOKS) {
+            if (plugin[hook] !== undefined && typeof plugin[hook] !== 'function') {
+                throw new Error('INVALID_PLUGIN');
+            }
+        }
+
+        this.plugins.push(plugin);
+    }
+
+    /**
+     * Run beforePublish hooks and return the (possibly replaced) message.
+     * A failing plugin rejects the publish.
+     */
+    beforePublish(context) {
+        let message = context.message;
+
+        for (const plugin of this.plugins) {
+            if (!plugin.beforePublish) {
+                continue;
+            }
+
+            let result;
+            try {
+                result = plugin.beforePublish({ ...context, message });
+            } catch (error) {
+                if (error.message === 'PUBLISH_REJECTED') {
+                    throw error;
+                }
+                console.error(`Plugin ${plugin.name} beforePublish failed:`, error.message);
+                throw rejectPublish(`plugin ${plugin.name} failed`);
+            }
+
+            if (result !== undefined) {
+                if (result === null || typeof result !== 'object' || Array.isArray(result)) {
+                    console.error(`Plugin ${plugin.name} beforePublish returned an invalid message`);
+                    throw rejectPublish(`plugin ${plugin.name} failed`);
+                }
+                message = result;
+            }
+        }
+
+        return message;
+    }
+
+    /**
+     * Notify every plugin implementing a hook
+     */
+    emit(hook, context) {
+        for (const plugin of this.plugins) {
+            if (!plugin[hook]) {
+                continue;
+            }
+
+            const fail = (error) => console.error(`Plugin ${plugin.name} ${hook} failed:`, error && error.message);
+            try {
+                const result = plugin[hook](context);
+                if (result && typeof result.then === 'function') {
+                    result.catch(fail);
+                }
+            } catch (error) {
+                fail(error);
+            }
+        }
+    }
+}
+
+/**
+ * Error a beforePublish hook throws to reject a publish
+ */
+export function rejectPublish(reason) {
+    const error = new Error('PUBLISH_REJECTED');
+    error.details = reason;
+    return error;
+}
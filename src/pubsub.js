@@ -1,4 +1,31 @@
 import { v4 as uuidv4 } from 'uuid';
+import { isTopicPattern, compileTopicPattern, matchesTopic } from './topic-pattern.js';
+import { compileFilter } from './message-filter.js';
+import { compileSchema, deepEqual } from './json-schema.js';
+import { checkCompatibility, SCHEMA_COMPATIBILITY_MODES, DEFAULT_SCHEMA_COMPATIBILITY } from './schema-registry.js';
+import { PublishScheduler } from './scheduler.js';
+import { MemoryStorage, encodeStats, decodeStats } from './storage.js';
+import { PluginManager } from './plugins.js';
+import { RateLimiter } from './rate-limit.js';
+
+export const BACKPRESSURE_POLICIES = ['DROP_OLDEST', 'DISCONNECT', 'BLOCK'];
+export const GROUP_STRATEGIES = ['round_robin'];
+export const ACK_MODES = ['auto', 'manual'];
+export const MIN_PRIORITY = 0;
+export const MAX_PRIORITY = 9;
+export const DEFAULT_PRIORITY = 4;
+export const SCHEDULED_SHUTDOWN_POLICIES = ['report', 'flush'];
+export const DEFAULT_PARTITIONS = 16;
+export const DEFAULT_MAX_QUEUE_BYTES = 10 * 1024 * 1024; // 10 MB
+export const DEFAULT_SOCKET_HIGH_WATER_MARK = 1024 * 1024; // 1 MB
+export const AUTO_CREATE_POLICIES = ['strict', 'publish', 'subscribe', 'pattern'];
+export const SEEK_POSITIONS = ['earliest', 'latest'];
+
+// Per-topic key stats stop tracking new keys beyond this many
+const MAX_TRACKED_KEYS = 10000;
+
+// How often topics with an idle TTL are checked for expiry
+const EXPIRY_SWEEP_MS = 1000;
 
 /**
  * In-memory Pub/Sub system with concurrency safety and backpressure handling
@@ -7,51 +34,552 @@ export class PubSubSystem {
     constructor(options = {}) {
         // Configuration
         this.maxQueueSize = options.maxQueueSize || 1000;
+        this.maxQueueBytes = options.maxQueueBytes || DEFAULT_MAX_QUEUE_BYTES;
+        this.socketHighWaterMark = options.socketHighWaterMark || DEFAULT_SOCKET_HIGH_WATER_MARK;
         this.ringBufferSize = options.ringBufferSize || 100;
-        this.backpressurePolicy = options.backpressurePolicy || 'DROP_OLDEST'; // or 'DISCONNECT'
+        this.backpressurePolicy = options.backpressurePolicy || 'DROP_OLDEST'; // or 'DISCONNECT', 'BLOCK'
+        this.maxDeliveryAttempts = options.maxDeliveryAttempts || null; // unlimited
+        this.dedupWindowMs = options.dedupWindowMs ?? 5 * 60 * 1000;
+        this.dedupWindowSize = options.dedupWindowSize ?? 10000;
+        this.scheduledOnShutdown = options.scheduledOnShutdown || 'report'; // or 'flush'
+        this.partitions = options.partitions || DEFAULT_PARTITIONS;
+        this.idleTtlMs = options.idleTtlMs || null; // topics never expire
+        this.maxPayloadBytes = options.maxPayloadBytes || null; // unlimited
+        this.schemaCompatibility = options.schemaCompatibility || DEFAULT_SCHEMA_COMPATIBILITY;
+
+        // Missing topics are created on publish, on subscribe, or on either when
+        // the name matches one of autoCreatePatterns ('pattern'); 'strict' never
+        this.autoCreateTopics = options.autoCreateTopics || 'strict';
+        this.autoCreatePatterns = (options.autoCreatePatterns || []).map(pattern => compileTopicPattern(pattern));
+
+        // Optional limits: { maxTopics, maxSubscribers, maxPublishRate (per second), maxRetainedBytes }
+        this.quotas = options.quotas || {};
+        this.publishWindow = { start: 0, count: 0 };
+        this.ackTimeoutMs = options.ackTimeoutMs || 30000;
+        this.maxInFlight = options.maxInFlight || 100;
+
+        // Optional durable log (MessageLog) of topic and publish operations
+        this.messageLog = options.messageLog || null;
+        this.compactionScheduled = false;
+
+        // Stored topic state (configs, offsets, history, retained events, stats); see storage.js
+        this.storage = options.storage || new MemoryStorage();
+
+        // Lifecycle hooks (PluginManager, may be shared between tenants); see plugins.js
+        this.plugins = options.plugins || new PluginManager();
+        this.tenantId = options.tenantId || null;
+
+        // Token-bucket limits applied by the WebSocket handler and REST API; see rate-limit.js
+        this.rateLimiter = options.rateLimiter || new RateLimiter();
 
         // Core data structures
-        this.topics = new Map(); // topicName -> { subscribers: Set, messageHistory: Array }
-        this.subscribers = new Map(); // clientId -> { ws, topics: Set, queue: Array }
+        this.topics = new Map(); // topicName -> live state { name, subscribers: Set, groups: Map, recentIds: Map, config, retainedBytes }
+        this.subscribers = new Map(); // clientId -> { ws, topics: Set, patterns: Set, groups: Map, ackModes: Map, filters: Map, queue: Array, queueUsage: Map }
+        this.patternSubscriptions = new Map(); // pattern -> { segments: Array, subscribers: Set }
         this.stats = {
             totalMessages: 0,
-            totalSubscribers: 0,
-            topicStats: new Map() // topicName -> { messages, subscribers }
+            totalSubscribers: 0
         };
 
+        // Unacknowledged messages of removed subscribers, kept for their client id's return
+        this.unacked = new Map(); // clientId -> Map topicName -> { entries: Array, timer }
+
         // Server state
         this.startTime = Date.now();
         this.isShuttingDown = false;
 
         // Mutex-like mechanism for critical sections
         this.operationLocks = new Map();
+
+        // Delayed publishes waiting for their delivery time
+        this.scheduler = new PublishScheduler(this);
+
+        // Set while publishing a dead-letter envelope so DLT cycles cannot recurse
+        this.isDeadLettering = false;
+
+        // Subscribers with newly queued messages, flushed together once per tick
+        this.pendingFlushes = new Set();
+        this.flushScheduled = false;
+
+        // Deletes topics whose idle TTL has run out
+        this.expiryTimer = setInterval(() => this.expireIdleTopics(), EXPIRY_SWEEP_MS);
+        this.expiryTimer.unref();
+
+        this.loadTopics();
+    }
+
+    /**
+     * Attach the topics already held by the storage backend
+     */
+    loadTopics() {
+        for (const topicName of this.storage.open()) {
+            const topic = this.attachTopic(topicName);
+            for (const event of this.storage.getHistory(topicName)) {
+                this.rememberMessageId(topic, event);
+            }
+            this.storage.updateTopicStats(topicName, topicStats => {
+                topicStats.subscribers = 0;
+                this.stats.totalMessages += topicStats.messages;
+            });
+        }
     }
 
     /**
-     * Create a new topic
+     * Create a new topic with optional per-topic overrides for
+     * ringBufferSize, maxQueueSize, maxQueueBytes, backpressurePolicy, deadLetterTopic,
+     * maxDeliveryAttempts, dedupWindowMs, dedupWindowSize, partitions, idleTtlMs,
+     * maxPayloadBytes, schema (JSON Schema published payloads must match,
+     * registered as version 1) and schemaCompatibility (see registerSchema).
+     * options.autoCreated marks topics created by the auto-creation policy.
      */
-    createTopic(topicName) {
+    createTopic(topicName, options = {}) {
+        if (isTopicPattern(topicName)) {
+            throw new Error('INVALID_TOPIC_NAME');
+        }
+
         if (this.topics.has(topicName)) {
             throw new Error('TOPIC_ALREADY_EXISTS');
         }
 
-        this.topics.set(topicName, {
-            subscribers: new Set(),
-            messageHistory: []
-        });
+        this.checkTopicQuota();
+
+        const config = this.resolveTopicConfig(options);
+        if (config.deadLetterTopic === topicName) {
+            throw new Error('INVALID_TOPIC_CONFIG');
+        }
+
+        const schemaEntry = config.schema !== null ? createSchemaEntry(1, config.schema) : null;
+        if (schemaEntry) {
+            config.schemaVersion = schemaEntry.version;
+        }
+
+        this.addTopic(topicName, config);
+        this.logOperation({ op: 'topic_created', topic: topicName, config });
+        if (schemaEntry) {
+            this.storage.setSchema(topicName, schemaEntry);
+            this.logOperation({ op: 'schema_registered', topic: topicName, entry: schemaEntry });
+        }
+        this.plugins.emit('onTopicCreated', { tenant: this.tenantId, topic: topicName, config });
+
+        return { status: 'created', topic: topicName };
+    }
 
-        this.stats.topicStats.set(topicName, {
+    /**
+     * Store a new topic with empty stats and set up its live state
+     */
+    addTopic(topicName, config) {
+        this.storage.createTopic(topicName, config, {
             messages: 0,
-            subscribers: 0
+            subscribers: 0,
+            redelivered: 0,
+            deadLettered: 0,
+            duplicates: 0,
+            partitionMessages: new Array(config.partitions).fill(0),
+            keyedMessages: 0,
+            keyCounts: new Map() // key -> messages, up to MAX_TRACKED_KEYS keys
         });
+        this.attachTopic(topicName);
+    }
 
-        return { status: 'created', topic: topicName };
+    /**
+     * Set up the live (in-memory only) state of a stored topic
+     */
+    attachTopic(topicName) {
+        const retained = this.storage.getRetained(topicName);
+        const config = this.storage.getTopicConfig(topicName);
+        const topic = {
+            name: topicName,
+            subscribers: new Set(), // broadcast (ungrouped) subscribers
+            groups: new Map(), // groupName -> { strategy, members: Array, nextIndex }
+            recentIds: new Map(), // message.id -> { offset, at } in publish order
+            durableClients: new Map(), // durable subscription name -> attached clientId
+            config,
+            validator: config.schema ? compileSchema(config.schema) : null, // compiled config.schema
+            retainedBytes: retained ? Buffer.byteLength(JSON.stringify(retained.message)) : 0,
+            lastActivity: Date.now() // last publish or membership change, for the idle TTL
+        };
+        this.topics.set(topicName, topic);
+        return topic;
+    }
+
+    /**
+     * Merge per-topic overrides with the global defaults
+     */
+    resolveTopicConfig(options = {}) {
+        const config = {
+            ringBufferSize: options.ringBufferSize ?? this.ringBufferSize,
+            maxQueueSize: options.maxQueueSize ?? this.maxQueueSize,
+            maxQueueBytes: options.maxQueueBytes ?? this.maxQueueBytes,
+            backpressurePolicy: options.backpressurePolicy ?? this.backpressurePolicy,
+            deadLetterTopic: options.deadLetterTopic ?? null,
+            maxDeliveryAttempts: options.maxDeliveryAttempts ?? this.maxDeliveryAttempts,
+            dedupWindowMs: options.dedupWindowMs ?? this.dedupWindowMs,
+            dedupWindowSize: options.dedupWindowSize ?? this.dedupWindowSize,
+            partitions: options.partitions ?? this.partitions,
+            idleTtlMs: options.idleTtlMs ?? this.idleTtlMs,
+            maxPayloadBytes: options.maxPayloadBytes ?? this.maxPayloadBytes,
+            schema: options.schema ?? null,
+            schemaVersion: options.schemaVersion ?? null,
+            schemaCompatibility: options.schemaCompatibility ?? this.schemaCompatibility,
+            autoCreated: options.autoCreated === true
+        };
+
+        if (!Number.isInteger(config.ringBufferSize) || config.ringBufferSize < 0) {
+            throw new Error('INVALID_TOPIC_CONFIG');
+        }
+        if (!Number.isInteger(config.maxQueueSize) || config.maxQueueSize < 1 ||
+            !Number.isInteger(config.maxQueueBytes) || config.maxQueueBytes < 1) {
+            throw new Error('INVALID_TOPIC_CONFIG');
+        }
+        if (!BACKPRESSURE_POLICIES.includes(config.backpressurePolicy)) {
+            throw new Error('INVALID_TOPIC_CONFIG');
+        }
+        if (config.deadLetterTopic !== null &&
+            (typeof config.deadLetterTopic !== 'string' || isTopicPattern(config.deadLetterTopic))) {
+            throw new Error('INVALID_TOPIC_CONFIG');
+        }
+        if (config.maxDeliveryAttempts !== null &&
+            (!Number.isInteger(config.maxDeliveryAttempts) || config.maxDeliveryAttempts < 1)) {
+            throw new Error('INVALID_TOPIC_CONFIG');
+        }
+        if (!Number.isInteger(config.dedupWindowMs) || config.dedupWindowMs < 0 ||
+            !Number.isInteger(config.dedupWindowSize) || config.dedupWindowSize < 0) {
+            throw new Error('INVALID_TOPIC_CONFIG');
+        }
+        if (!Number.isInteger(config.partitions) || config.partitions < 1) {
+            throw new Error('INVALID_TOPIC_CONFIG');
+        }
+        if (config.idleTtlMs !== null && (!Number.isInteger(config.idleTtlMs) || config.idleTtlMs < 1)) {
+            throw new Error('INVALID_TOPIC_CONFIG');
+        }
+        if (config.maxPayloadBytes !== null && (!Number.isInteger(config.maxPayloadBytes) || config.maxPayloadBytes < 1)) {
+            throw new Error('INVALID_TOPIC_CONFIG');
+        }
+        if (!SCHEMA_COMPATIBILITY_MODES.includes(config.schemaCompatibility)) {
+            throw new Error('INVALID_TOPIC_CONFIG');
+        }
+        if (config.schema !== null) {
+            compileSchema(config.schema); // throws INVALID_SCHEMA
+        }
+
+        return config;
+    }
+
+    /**
+     * Create a missing topic if the auto-creation policy allows it for the
+     * operation ('publish' or 'subscribe')
+     */
+    autoCreateTopic(topicName, operation) {
+        if (this.mayAutoCreate(topicName, operation)) {
+            this.createTopic(topicName, { autoCreated: true });
+        }
+    }
+
+    /**
+     * Check whether the auto-creation policy allows the operation to create
+     * a topic that does not exist yet
+     */
+    mayAutoCreate(topicName, operation) {
+        if (this.topics.has(topicName) || typeof topicName !== 'string' || isTopicPattern(topicName)) {
+            return false;
+        }
+
+        switch (this.autoCreateTopics) {
+            case 'publish':
+            case 'subscribe':
+                return this.autoCreateTopics === operation;
+            case 'pattern':
+                return this.autoCreatePatterns.some(segments => matchesTopic(segments, topicName));
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * Look up the topic a client publish goes to. A missing topic the policy
+     * may auto-create is returned as a draft with the config it would get;
+     * the caller creates it once the publish has passed its checks, so a
+     * rejected publish leaves no topic behind.
+     */
+    getPublishTarget(topicName) {
+        const topic = this.topics.get(topicName);
+        if (topic || !this.mayAutoCreate(topicName, 'publish')) {
+            return topic;
+        }
+
+        this.checkTopicQuota();
+        return {
+            name: topicName,
+            draft: true,
+            groups: new Map(),
+            recentIds: new Map(),
+            config: this.resolveTopicConfig({ autoCreated: true }),
+            validator: null, // auto-created topics have no schema
+            retainedBytes: 0
+        };
+    }
+
+    /**
+     * Create the topic of an accepted publish if it is still a draft
+     */
+    createPublishTarget(topic) {
+        if (!topic.draft) {
+            return topic;
+        }
+
+        this.createTopic(topic.name, { autoCreated: true });
+        return this.topics.get(topic.name);
+    }
+
+    /**
+     * Change the payload rules of an existing topic: schema (registered as
+     * a new version, see registerSchema; null stops validating), schemaCompatibility
+     * and maxPayloadBytes (null for unlimited). Other settings are fixed at creation.
+     */
+    updateTopic(topicName, updates = {}) {
+        const topic = this.topics.get(topicName);
+        if (!topic) {
+            throw new Error('TOPIC_NOT_FOUND');
+        }
+
+        const changes = {};
+        if (updates.maxPayloadBytes !== undefined) {
+            changes.maxPayloadBytes = updates.maxPayloadBytes;
+        }
+        if (updates.schemaCompatibility !== undefined) {
+            changes.schemaCompatibility = updates.schemaCompatibility;
+        }
+        if (updates.schema === null) {
+            changes.schema = null;
+            changes.schemaVersion = null;
+        }
+        if (changes.maxPayloadBytes != null &&
+            (!Number.isInteger(changes.maxPayloadBytes) || changes.maxPayloadBytes < 1)) {
+            throw new Error('INVALID_TOPIC_CONFIG');
+        }
+        if (changes.schemaCompatibility !== undefined && !SCHEMA_COMPATIBILITY_MODES.includes(changes.schemaCompatibility)) {
+            throw new Error('INVALID_TOPIC_CONFIG');
+        }
+
+        // A new schema is checked against the compatibility mode being set
+        if (updates.schema !== undefined && updates.schema !== null) {
+            this.registerSchema(topicName, updates.schema, { compatibility: changes.schemaCompatibility });
+        }
+
+        if (Object.keys(changes).length > 0) {
+            this.setTopicConfig(topic, { ...this.normalizeTopicConfig(topic.config), ...changes });
+            this.logOperation({ op: 'topic_updated', topic: topicName, config: topic.config });
+        }
+
+        return {
+            status: 'updated',
+            topic: topicName,
+            config: describeTopicConfig(this.normalizeTopicConfig(topic.config))
+        };
+    }
+
+    /**
+     * Store a topic's new config and recompile its schema
+     */
+    setTopicConfig(topic, config) {
+        this.storage.setTopicConfig(topic.name, config);
+        topic.config = config;
+        topic.validator = config.schema ? compileSchema(config.schema) : null;
+    }
+
+    /**
+     * Fill in payload settings missing from configs stored before they existed
+     */
+    normalizeTopicConfig(config) {
+        return {
+            ...config,
+            maxPayloadBytes: config.maxPayloadBytes ?? null,
+            schema: config.schema ?? null,
+            schemaVersion: config.schemaVersion ?? null,
+            schemaCompatibility: config.schemaCompatibility ?? this.schemaCompatibility
+        };
+    }
+
+    /**
+     * Register a new schema version for a topic and make it the one
+     * published payloads are validated against. The schema must satisfy the
+     * topic's compatibility mode (or options.compatibility) against the
+     * active version, otherwise SCHEMA_INCOMPATIBLE lists the problems.
+     * Registering the active schema again is a no-op.
+     */
+    registerSchema(topicName, schema, options = {}) {
+        const topic = this.topics.get(topicName);
+        if (!topic) {
+            throw new Error('TOPIC_NOT_FOUND');
+        }
+
+        compileSchema(schema); // throws INVALID_SCHEMA
+        const config = this.normalizeTopicConfig(topic.config);
+        if (config.schemaVersion !== null && deepEqual(config.schema, schema)) {
+            return { status: 'unchanged', topic: topicName, version: config.schemaVersion };
+        }
+
+        const compatibility = options.compatibility ?? config.schemaCompatibility;
+        const problems = this.checkSchemaCompatibility(topicName, schema, compatibility);
+        if (problems.length > 0) {
+            const error = new Error('SCHEMA_INCOMPATIBLE');
+            error.details = problems;
+            throw error;
+        }
+
+        const versions = this.storage.listSchemas(topicName);
+        const entry = createSchemaEntry(versions.length > 0 ? versions[versions.length - 1].version + 1 : 1, schema);
+        this.applySchemaEntry(topic, entry);
+        this.logOperation({ op: 'schema_registered', topic: topicName, entry });
+
+        return { status: 'registered', topic: topicName, version: entry.version };
+    }
+
+    /**
+     * Problems registering schema would have under a compatibility mode
+     * (default: the topic's); empty if it is compatible
+     */
+    checkSchemaCompatibility(topicName, schema, compatibility) {
+        const topic = this.topics.get(topicName);
+        if (!topic) {
+            throw new Error('TOPIC_NOT_FOUND');
+        }
+
+        compileSchema(schema); // throws INVALID_SCHEMA
+        const config = this.normalizeTopicConfig(topic.config);
+        const labels = {
+            previous: config.schemaVersion !== null ? `version ${config.schemaVersion}` : 'the active schema',
+            next: 'the new schema'
+        };
+        return checkCompatibility(config.schema, schema, compatibility ?? config.schemaCompatibility, labels);
+    }
+
+    /**
+     * Store a schema version and make it the topic's active schema
+     */
+    applySchemaEntry(topic, entry) {
+        this.storage.setSchema(topic.name, entry);
+        this.setTopicConfig(topic, {
+            ...this.normalizeTopicConfig(topic.config),
+            schema: entry.schema,
+            schemaVersion: entry.version
+        });
+    }
+
+    /**
+     * Topics with registered schemas
+     */
+    getSchemaSubjects() {
+        const subjects = [];
+        for (const [name, topic] of this.topics) {
+            const versions = this.storage.listSchemas(name);
+            if (versions.length > 0) {
+                const config = this.normalizeTopicConfig(topic.config);
+                subjects.push({
+                    topic: name,
+                    versions: versions.length,
+                    latest_version: versions[versions.length - 1].version,
+                    active_version: config.schemaVersion,
+                    compatibility: config.schemaCompatibility
+                });
+            }
+        }
+        return { subjects };
+    }
+
+    /**
+     * Schema versions of a topic
+     */
+    getSchemas(topicName) {
+        const topic = this.topics.get(topicName);
+        if (!topic) {
+            throw new Error('TOPIC_NOT_FOUND');
+        }
+
+        const config = this.normalizeTopicConfig(topic.config);
+        return {
+            topic: topicName,
+            compatibility: config.schemaCompatibility,
+            active_version: config.schemaVersion,
+            versions: this.storage.listSchemas(topicName).map(entry => ({
+                version: entry.version,
+                created_at: entry.created_at
+            }))
+        };
+    }
+
+    /**
+     * One schema version of a topic ('latest' for the newest)
+     */
+    getSchemaVersion(topicName, version) {
+        const topic = this.topics.get(topicName);
+        if (!topic) {
+            throw new Error('TOPIC_NOT_FOUND');
+        }
+
+        let entry;
+        if (version === 'latest') {
+            const versions = this.storage.listSchemas(topicName);
+            entry = versions.length > 0 ? versions[versions.length - 1] : null;
+        } else {
+            entry = this.storage.getSchema(topicName, version);
+        }
+        if (!entry) {
+            throw new Error('SCHEMA_VERSION_NOT_FOUND');
+        }
+
+        return {
+            topic: topicName,
+            version: entry.version,
+            active: topic.config.schemaVersion === entry.version,
+            created_at: entry.created_at,
+            schema: entry.schema
+        };
+    }
+
+    /**
+     * Reject a client message whose payload is over the topic's size limit
+     * (PAYLOAD_TOO_LARGE) or does not match its schema (SCHEMA_VALIDATION_FAILED,
+     * details listing { path, message } per violation). Returns the schema
+     * version the payload was validated against, or null.
+     */
+    validatePayload(topic, message) {
+        const payload = message && typeof message === 'object' ? message.payload : undefined;
+
+        if (topic.config.maxPayloadBytes) {
+            const bytes = Buffer.byteLength(JSON.stringify(payload ?? null));
+            if (bytes > topic.config.maxPayloadBytes) {
+                const error = new Error('PAYLOAD_TOO_LARGE');
+                error.details = `payload is ${bytes} bytes, limit is ${topic.config.maxPayloadBytes}`;
+                throw error;
+            }
+        }
+
+        if (topic.validator) {
+            const violations = topic.validator(payload, 'payload');
+            if (violations.length > 0) {
+                const error = new Error('SCHEMA_VALIDATION_FAILED');
+                error.details = violations;
+                throw error;
+            }
+            return topic.config.schemaVersion ?? null;
+        }
+        return null;
+    }
+
+    /**
+     * Get the effective configuration for a topic
+     */
+    getTopicConfig(topicName) {
+        const topic = this.topics.get(topicName);
+        return topic ? topic.config : this.resolveTopicConfig();
     }
 
     /**
-     * Delete a topic and notify all subscribers
+     * Delete a topic and notify all subscribers. reason is passed to the
+     * onTopicDeleted hooks ('deleted' or 'expired').
      */
-    deleteTopic(topicName) {
+    deleteTopic(topicName, reason = 'deleted') {
         const topic = this.topics.get(topicName);
         if (!topic) {
             throw new Error('TOPIC_NOT_FOUND');
@@ -65,7 +593,9 @@ export class PubSubSystem {
             ts: new Date().toISOString()
         };
 
-        for (const clientId of topic.subscribers) {
+        // Wildcard subscribers are told too; an expired topic has no other subscribers
+        const members = this.getTopicMembers(topic);
+        for (const clientId of new Set([...members, ...this.getRecipients(topicName)])) {
             const subscriber = this.subscribers.get(clientId);
             if (subscriber && subscriber.ws.readyState === 1) { // WebSocket.OPEN
                 try {
@@ -77,217 +607,1885 @@ export class PubSubSystem {
         }
 
         // Remove topic from all subscribers' topic sets
-        for (const clientId of topic.subscribers) {
+        for (const clientId of members) {
             const subscriber = this.subscribers.get(clientId);
             if (subscriber) {
                 subscriber.topics.delete(topicName);
+                subscriber.groups.delete(topicName);
+                subscriber.filters.delete(topicName);
+                subscriber.durables.delete(topicName);
+                this.clearAckState(subscriber, topicName);
+            }
+        }
+
+        // Clean up
+        this.scheduler.cancelTopic(topicName);
+        for (const clientId of [...this.unacked.keys()]) {
+            this.takeUnacked(clientId, topicName);
+        }
+        this.topics.delete(topicName);
+        this.storage.deleteTopic(topicName);
+        this.logOperation({ op: 'topic_deleted', topic: topicName });
+        this.plugins.emit('onTopicDeleted', { tenant: this.tenantId, topic: topicName, reason });
+
+        return { status: 'deleted', topic: topicName };
+    }
+
+    /**
+     * When an idle topic will be deleted (epoch ms), or null if it has no
+     * idle TTL or is in use. Exact and group subscribers, durable
+     * subscriptions and pending scheduled messages keep a topic alive;
+     * wildcard subscriptions do not.
+     */
+    getExpiry(topic) {
+        if (topic.config.idleTtlMs == null) {
+            return null;
+        }
+        if (this.getTopicMembers(topic).size > 0 || this.scheduler.hasPending(topic.name) ||
+            this.storage.listDurables(topic.name).length > 0) {
+            return null;
+        }
+        return topic.lastActivity + topic.config.idleTtlMs;
+    }
+
+    /**
+     * Delete every topic whose idle TTL has run out
+     */
+    expireIdleTopics() {
+        const now = Date.now();
+        for (const topic of [...this.topics.values()]) {
+            const expiresAt = this.getExpiry(topic);
+            if (expiresAt === null || expiresAt > now) {
+                continue;
+            }
+
+            try {
+                this.deleteTopic(topic.name, 'expired');
+            } catch (error) {
+                console.warn(`Failed to expire topic ${topic.name}:`, error.message);
+            }
+        }
+    }
+
+    /**
+     * Get every client attached to a topic, grouped or not
+     */
+    getTopicMembers(topic) {
+        const members = new Set(topic.subscribers);
+        for (const group of topic.groups.values()) {
+            for (const clientId of group.members) {
+                members.add(clientId);
+            }
+        }
+        return members;
+    }
+
+    /**
+     * Get all topics with subscriber counts
+     */
+    getTopics() {
+        const topics = [];
+        for (const [name, topic] of this.topics) {
+            const expiresAt = this.getExpiry(topic);
+            topics.push({
+                name,
+                subscribers: this.getTopicMembers(topic).size,
+                auto_created: topic.config.autoCreated === true,
+                pending_expiry: expiresAt !== null,
+                expires_at: expiresAt !== null ? new Date(expiresAt).toISOString() : null,
+                config: describeTopicConfig(this.normalizeTopicConfig(topic.config))
+            });
+        }
+        return { topics };
+    }
+
+    /**
+     * Subscribe a client to a topic with optional message replay.
+     * Replay starts at options.fromOffset (inclusive) or options.fromTs
+     * (epoch ms, inclusive) when given, otherwise the last N messages.
+     * With options.group the client joins a consumer group that shares
+     * the topic's stream using options.groupStrategy. With options.ackMode
+     * 'manual' every delivered message stays in flight until acked and is
+     * redelivered after options.ackTimeoutMs. With options.filter only
+     * events matching the filter expression are delivered. With
+     * options.durable the client attaches to a named durable subscription
+     * and replay starts at its committed cursor (see commitDurable).
+     */
+    subscribe(clientId, ws, topicName, lastN = 0, options = {}) {
+        if (isTopicPattern(topicName)) {
+            return this.subscribePattern(clientId, ws, topicName, lastN, options);
+        }
+
+        this.autoCreateTopic(topicName, 'subscribe');
+        if (!this.topics.has(topicName)) {
+            throw new Error('TOPIC_NOT_FOUND');
+        }
+
+        const topic = this.topics.get(topicName);
+        const groupStrategy = options.groupStrategy || 'round_robin';
+        if (options.group) {
+            if (!GROUP_STRATEGIES.includes(groupStrategy)) {
+                throw new Error('INVALID_SUBSCRIPTION_OPTION');
+            }
+            const existingGroup = topic.groups.get(options.group);
+            if (existingGroup && options.groupStrategy && existingGroup.strategy !== options.groupStrategy) {
+                throw new Error('GROUP_STRATEGY_MISMATCH');
+            }
+        }
+
+        const ackMode = options.ackMode || 'auto';
+        if (!ACK_MODES.includes(ackMode)) {
+            throw new Error('INVALID_SUBSCRIPTION_OPTION');
+        }
+
+        if (options.durable !== undefined) {
+            // A durable subscription replays from its own cursor and has one reader at a time
+            if (typeof options.durable !== 'string' || options.durable.length === 0 ||
+                options.group || ackMode !== 'auto' || options.fromTs !== undefined || lastN > 0) {
+                throw new Error('INVALID_SUBSCRIPTION_OPTION');
             }
+            const attachedClientId = topic.durableClients.get(options.durable);
+            if (attachedClientId !== undefined && attachedClientId !== clientId) {
+                throw new Error('DURABLE_SUBSCRIPTION_IN_USE');
+            }
+        }
+
+        const filter = options.filter !== undefined ? compileFilter(options.filter) : null;
+        const subscriber = this.registerSubscriber(clientId, ws);
+        this.setSubscriptionFilter(subscriber, topicName, options.filter, filter);
+
+        // Re-subscribing replaces any previous (grouped or ungrouped) membership
+        this.detachFromTopic(clientId, topicName);
+
+        // Add to topic and subscriber tracking
+        if (options.group) {
+            this.joinGroup(topic, options.group, groupStrategy, clientId);
+            subscriber.groups.set(topicName, options.group);
+        } else {
+            topic.subscribers.add(clientId);
+        }
+        subscriber.topics.add(topicName);
+        const durable = options.durable !== undefined ?
+            this.attachDurable(clientId, subscriber, topic, options.durable, options.fromOffset) : null;
+
+        // Track acknowledgements; in-flight messages survive a re-subscribe
+        if (ackMode === 'manual') {
+            const ackState = subscriber.ackModes.get(topicName) || { inFlight: new Map(), inFlightKeys: new Map() };
+            ackState.timeoutMs = options.ackTimeoutMs ?? this.ackTimeoutMs;
+            ackState.maxInFlight = options.maxInFlight ?? this.maxInFlight;
+            subscriber.ackModes.set(topicName, ackState);
+        } else {
+            this.clearAckState(subscriber, topicName);
+        }
+
+        // Messages this client id left unacknowledged when it was last removed
+        const unacked = this.takeUnacked(clientId, topicName);
+        for (const entry of unacked) {
+            this.requeueUnacked(clientId, subscriber, entry);
+        }
+        if (unacked.length > 0) {
+            this.scheduleFlush(clientId);
+        }
+
+        // Update stats
+        this.updateTopicSubscriberStats(topicName);
+
+        // Deliver the retained value and replay history if requested
+        const replay = durable ?
+            this.replayToSubscriber(clientId, topic, 0, { fromOffset: durable.cursor }, filter) :
+            this.replayToSubscriber(clientId, topic, lastN, options, filter);
+        this.plugins.emit('onSubscribe', { tenant: this.tenantId, clientId, topic: topicName, options });
+
+        return {
+            status: 'subscribed',
+            topic: topicName,
+            clientId,
+            ...(options.group && { group: options.group }),
+            ...(ackMode === 'manual' && { ack_mode: ackMode }),
+            ...(filter && { filter: options.filter }),
+            ...(durable && { durable: durable.name, cursor: durable.cursor }),
+            ...(replay && { replay })
+        };
+    }
+
+    /**
+     * Attach a client to a durable subscription, creating it at fromOffset
+     * (default: the next offset) if it does not exist yet
+     */
+    attachDurable(clientId, subscriber, topic, name, fromOffset) {
+        let durable = this.storage.getDurable(topic.name, name);
+        if (!durable) {
+            const nextOffset = this.storage.getNextOffset(topic.name);
+            durable = {
+                name,
+                cursor: fromOffset !== undefined ? Math.min(fromOffset, nextOffset) : nextOffset,
+                createdAt: Date.now(),
+                committedAt: null
+            };
+            this.saveDurable(topic.name, durable);
+        }
+
+        topic.durableClients.set(name, clientId);
+        subscriber.durables.set(topic.name, name);
+        return durable;
+    }
+
+    /**
+     * Store a durable subscription's state and log it
+     */
+    saveDurable(topicName, durable) {
+        this.storage.setDurable(topicName, durable);
+        this.logOperation({ op: 'durable_saved', topic: topicName, durable });
+    }
+
+    /**
+     * Move a durable subscription's cursor past a processed offset. Only the
+     * attached client can commit, and cursors never move backwards.
+     */
+    commitDurable(clientId, topicName, name, offset) {
+        const { topic, durable } = this.findDurable(topicName, name);
+        if (topic.durableClients.get(name) !== clientId) {
+            throw new Error('DURABLE_SUBSCRIPTION_NOT_ATTACHED');
+        }
+
+        if (!Number.isInteger(offset) || offset < 0 || offset >= this.storage.getNextOffset(topicName)) {
+            throw new Error('INVALID_OFFSET');
+        }
+
+        let cursor = durable.cursor;
+        if (offset + 1 > cursor) {
+            cursor = offset + 1;
+            this.saveDurable(topicName, { ...durable, cursor, committedAt: Date.now() });
+        }
+
+        return { status: 'committed', topic: topicName, durable: name, cursor };
+    }
+
+    /**
+     * Move the cursor of a durable subscription with no attached client to
+     * target.offset, the first event at or after target.ts (epoch ms), or
+     * target.position ('earliest' retained event or 'latest')
+     */
+    seekDurable(topicName, name, target = {}) {
+        const { topic, durable } = this.findDurable(topicName, name);
+        if (topic.durableClients.has(name)) {
+            throw new Error('DURABLE_SUBSCRIPTION_IN_USE');
+        }
+
+        const history = this.storage.getHistory(topicName);
+        const nextOffset = this.storage.getNextOffset(topicName);
+        let cursor;
+        if (Number.isInteger(target.offset) && target.offset >= 0) {
+            cursor = Math.min(target.offset, nextOffset);
+        } else if (Number.isFinite(target.ts)) {
+            const event = history.find(message => Date.parse(message.ts) >= target.ts);
+            cursor = event ? event.offset : nextOffset;
+        } else if (target.position === 'earliest') {
+            cursor = history.length > 0 ? history[0].offset : nextOffset;
+        } else if (target.position === 'latest') {
+            cursor = nextOffset;
+        } else {
+            throw new Error('INVALID_SEEK_TARGET');
+        }
+
+        this.saveDurable(topicName, { ...durable, cursor });
+        return this.describeDurable(topic, this.storage.getDurable(topicName, name));
+    }
+
+    /**
+     * Delete a durable subscription with no attached client
+     */
+    deleteDurable(topicName, name) {
+        const { topic } = this.findDurable(topicName, name);
+        if (topic.durableClients.has(name)) {
+            throw new Error('DURABLE_SUBSCRIPTION_IN_USE');
+        }
+
+        this.storage.deleteDurable(topicName, name);
+        this.logOperation({ op: 'durable_deleted', topic: topicName, name });
+
+        return { status: 'deleted', topic: topicName, durable: name };
+    }
+
+    /**
+     * Look up a topic and one of its durable subscriptions
+     */
+    findDurable(topicName, name) {
+        const topic = this.topics.get(topicName);
+        if (!topic) {
+            throw new Error('TOPIC_NOT_FOUND');
+        }
+
+        const durable = this.storage.getDurable(topicName, name);
+        if (!durable) {
+            throw new Error('DURABLE_SUBSCRIPTION_NOT_FOUND');
+        }
+
+        return { topic, durable };
+    }
+
+    /**
+     * List durable subscriptions with their cursors and lag, optionally for one topic
+     */
+    getDurableSubscriptions(topicName) {
+        if (topicName && !this.topics.has(topicName)) {
+            throw new Error('TOPIC_NOT_FOUND');
+        }
+
+        const subscriptions = [];
+        for (const topic of this.topics.values()) {
+            if (!topicName || topic.name === topicName) {
+                for (const durable of this.storage.listDurables(topic.name)) {
+                    subscriptions.push(this.describeDurable(topic, durable));
+                }
+            }
+        }
+        return { subscriptions };
+    }
+
+    /**
+     * Get one durable subscription with its cursor and lag
+     */
+    getDurableSubscription(topicName, name) {
+        const { topic, durable } = this.findDurable(topicName, name);
+        return this.describeDurable(topic, durable);
+    }
+
+    /**
+     * External view of a durable subscription. lag counts the events
+     * published after the cursor; missed counts those of them that already
+     * left the topic's history and can no longer be delivered.
+     */
+    describeDurable(topic, durable) {
+        const history = this.storage.getHistory(topic.name);
+        const nextOffset = this.storage.getNextOffset(topic.name);
+        const firstAvailable = history.length > 0 ? history[0].offset : nextOffset;
+        const clientId = topic.durableClients.get(durable.name);
+
+        return {
+            topic: topic.name,
+            name: durable.name,
+            cursor: durable.cursor,
+            next_offset: nextOffset,
+            lag: nextOffset - durable.cursor,
+            first_available_offset: firstAvailable,
+            missed: Math.max(0, firstAvailable - durable.cursor),
+            attached: clientId !== undefined,
+            client_id: clientId !== undefined ? clientId : null,
+            created_at: new Date(durable.createdAt).toISOString(),
+            committed_at: durable.committedAt ? new Date(durable.committedAt).toISOString() : null
+        };
+    }
+
+    /**
+     * Add a client to a topic's consumer group, creating the group if needed
+     */
+    joinGroup(topic, groupName, strategy, clientId) {
+        if (!topic.groups.has(groupName)) {
+            topic.groups.set(groupName, {
+                name: groupName,
+                strategy,
+                members: [],
+                nextIndex: 0,
+                delivered: 0,
+                owners: new Map(), // partition -> clientId
+                handoffs: new Map() // partition -> { from: clientId, held: Array } while changing owner
+            });
+        }
+
+        const group = topic.groups.get(groupName);
+        if (!group.members.includes(clientId)) {
+            group.members.push(clientId);
+            this.rebalanceGroup(topic, group);
+        }
+    }
+
+    /**
+     * Reassign a consumer group's partitions after a member joined or left,
+     * moving as few as possible. A partition whose previous owner still has
+     * messages of it queued or in flight is handed off: new messages for it
+     * are held until that owner is done (or leaves), so a key is never
+     * processed by two members at once.
+     */
+    rebalanceGroup(topic, group) {
+        const previousOwners = group.owners;
+        group.owners = assignPartitions(group.members, previousOwners, topic.config.partitions);
+
+        for (const [partition, owner] of group.owners) {
+            const previous = previousOwners.get(partition);
+            if (previous !== undefined && previous !== owner && !group.handoffs.has(partition) &&
+                group.members.includes(previous) && this.hasPendingForPartition(previous, topic.name, partition)) {
+                group.handoffs.set(partition, { from: previous, held: [] });
+            }
+        }
+
+        for (const [partition, handoff] of group.handoffs) {
+            if (!group.members.includes(handoff.from) || group.owners.get(partition) === handoff.from) {
+                this.releaseHandoff(topic, group, partition);
+            }
+        }
+    }
+
+    /**
+     * Whether a subscriber still has messages of a topic partition queued or in flight
+     */
+    hasPendingForPartition(clientId, topicName, partition) {
+        const subscriber = this.subscribers.get(clientId);
+        if (!subscriber) {
+            return false;
+        }
+
+        const ofPartition = message => message.topic === topicName && message.partition === partition;
+        if (subscriber.queue.some(ofPartition)) {
+            return true;
+        }
+
+        const ackState = subscriber.ackModes.get(topicName);
+        if (ackState) {
+            for (const entry of ackState.inFlight.values()) {
+                if (ofPartition(entry.message)) {
+                    return true;
+                }
+            }
+        }
+        return false;
+    }
+
+    /**
+     * End a partition's handoff and deliver the messages held meanwhile to its owner
+     */
+    releaseHandoff(topic, group, partition) {
+        const { held } = group.handoffs.get(partition);
+        group.handoffs.delete(partition);
+        for (const message of held) {
+            this.deliverToGroup(topic, group.name, message);
+        }
+    }
+
+    /**
+     * Release the partitions a group member was handing off once it has no
+     * more of their messages queued or in flight
+     */
+    releaseDrainedHandoffs(clientId) {
+        const subscriber = this.subscribers.get(clientId);
+        if (!subscriber) {
+            return;
+        }
+
+        for (const [topicName, groupName] of subscriber.groups) {
+            const topic = this.topics.get(topicName);
+            const group = topic && topic.groups.get(groupName);
+            if (!group) {
+                continue;
+            }
+            for (const [partition, handoff] of group.handoffs) {
+                if (handoff.from === clientId && !this.hasPendingForPartition(clientId, topicName, partition)) {
+                    this.releaseHandoff(topic, group, partition);
+                }
+            }
+        }
+    }
+
+    /**
+     * Remove a client's exact or grouped membership of a topic
+     */
+    detachFromTopic(clientId, topicName) {
+        const topic = this.topics.get(topicName);
+        const subscriber = this.subscribers.get(clientId);
+        if (!topic) {
+            return;
+        }
+
+        topic.subscribers.delete(clientId);
+
+        // The durable subscription stays and keeps its cursor without a reader
+        const durableName = subscriber && subscriber.durables.get(topicName);
+        if (durableName !== undefined) {
+            if (topic.durableClients.get(durableName) === clientId) {
+                topic.durableClients.delete(durableName);
+            }
+            subscriber.durables.delete(topicName);
+        }
+
+        const groupName = subscriber && subscriber.groups.get(topicName);
+        if (groupName) {
+            const group = topic.groups.get(groupName);
+            if (group) {
+                group.members = group.members.filter(member => member !== clientId);
+                if (group.members.length === 0) {
+                    topic.groups.delete(groupName);
+                } else {
+                    this.rebalanceGroup(topic, group);
+                }
+            }
+            subscriber.groups.delete(topicName);
+        }
+
+        this.updateTopicSubscriberStats(topicName);
+    }
+
+    /**
+     * Refresh the subscriber count of a topic's stats
+     */
+    updateTopicSubscriberStats(topicName) {
+        const topic = this.topics.get(topicName);
+        if (topic) {
+            topic.lastActivity = Date.now();
+            this.updateTopicStats(topicName, topicStats => {
+                topicStats.subscribers = this.getTopicMembers(topic).size;
+            });
+        }
+    }
+
+    /**
+     * Update a topic's stored stats, if the topic still exists
+     */
+    updateTopicStats(topicName, update) {
+        if (this.topics.has(topicName)) {
+            this.storage.updateTopicStats(topicName, update);
+        }
+    }
+
+    /**
+     * Enqueue a topic's retained value and requested history for a new subscription
+     */
+    replayToSubscriber(clientId, topic, lastN, options, filter) {
+        const { messages, replay } = this.selectReplay(topic, lastN, options);
+        const accepts = (message) => !filter || filter(message);
+
+        // The retained value goes first, unless the replay already contains it
+        // or a resuming client has already seen it
+        const retained = this.storage.getRetained(topic.name);
+        if (retained && accepts(retained) &&
+            !messages.some(message => message.offset === retained.offset) &&
+            !(options.fromOffset !== undefined && retained.offset < options.fromOffset)) {
+            this.enqueueMessage(clientId, { ...retained, retained: true });
+        }
+
+        for (const message of messages) {
+            if (accepts(message)) {
+                this.enqueueMessage(clientId, message);
+            }
+        }
+
+        return replay;
+    }
+
+    /**
+     * Pick history messages to replay for a new subscription
+     */
+    selectReplay(topic, lastN = 0, options = {}) {
+        const history = this.storage.getHistory(topic.name);
+        const nextOffset = this.storage.getNextOffset(topic.name);
+
+        if (options.fromOffset !== undefined) {
+            const firstAvailable = history.length > 0 ? history[0].offset : nextOffset;
+            return {
+                messages: history.filter(message => message.offset >= options.fromOffset),
+                replay: {
+                    from_offset: options.fromOffset,
+                    first_available_offset: firstAvailable,
+                    next_offset: nextOffset,
+                    truncated: options.fromOffset < firstAvailable
+                }
+            };
+        }
+
+        if (options.fromTs !== undefined) {
+            return {
+                messages: history.filter(message => Date.parse(message.ts) >= options.fromTs),
+                replay: {
+                    from_ts: new Date(options.fromTs).toISOString(),
+                    next_offset: nextOffset,
+                    truncated: topic.lastEvictedTs !== undefined && topic.lastEvictedTs >= options.fromTs
+                }
+            };
+        }
+
+        return {
+            messages: lastN > 0 ? history.slice(-lastN) : [],
+            replay: null
+        };
+    }
+
+    /**
+     * Subscribe a client to every topic matching a wildcard pattern,
+     * including topics created after the subscription
+     */
+    subscribePattern(clientId, ws, pattern, lastN = 0, options = {}) {
+        const segments = compileTopicPattern(pattern);
+
+        // Offsets, consumer groups and acks are per topic, so they cannot address a set of topics
+        if (options.fromOffset !== undefined || options.group || (options.ackMode && options.ackMode !== 'auto')) {
+            throw new Error('INVALID_SUBSCRIPTION_OPTION');
+        }
+
+        const filter = options.filter !== undefined ? compileFilter(options.filter) : null;
+        const subscriber = this.registerSubscriber(clientId, ws);
+        this.setSubscriptionFilter(subscriber, pattern, options.filter, filter);
+
+        if (!this.patternSubscriptions.has(pattern)) {
+            this.patternSubscriptions.set(pattern, {
+                segments,
+                subscribers: new Set()
+            });
+        }
+
+        this.patternSubscriptions.get(pattern).subscribers.add(clientId);
+        subscriber.patterns.add(pattern);
+
+        // Deliver retained values and replay history of each currently matching topic
+        for (const [name, topic] of this.topics) {
+            if (matchesTopic(segments, name)) {
+                this.replayToSubscriber(clientId, topic, lastN, options, filter);
+            }
+        }
+        this.plugins.emit('onSubscribe', { tenant: this.tenantId, clientId, topic: pattern, options });
+
+        return {
+            status: 'subscribed',
+            topic: pattern,
+            clientId,
+            ...(filter && { filter: options.filter })
+        };
+    }
+
+    /**
+     * Set or clear the content filter of a topic or pattern subscription
+     */
+    setSubscriptionFilter(subscriber, name, expression, predicate) {
+        if (predicate) {
+            subscriber.filters.set(name, { expression, predicate });
+        } else {
+            subscriber.filters.delete(name);
+        }
+    }
+
+    /**
+     * Check whether any of a client's subscriptions covering a topic
+     * accepts the event (subscriptions without a filter accept everything)
+     */
+    matchesSubscriptionFilter(clientId, topicName, event) {
+        const subscriber = this.subscribers.get(clientId);
+        if (!subscriber) {
+            return true; // Let enqueueMessage report the missing subscriber
+        }
+
+        const accepts = (name) => {
+            const filter = subscriber.filters.get(name);
+            return !filter || filter.predicate(event);
+        };
+
+        if (subscriber.topics.has(topicName) && accepts(topicName)) {
+            return true;
+        }
+
+        for (const pattern of subscriber.patterns) {
+            const patternSubscription = this.patternSubscriptions.get(pattern);
+            if (patternSubscription && matchesTopic(patternSubscription.segments, topicName) && accepts(pattern)) {
+                return true;
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * Register a subscriber if not already known. A client id bound to
+     * another live connection is refused. A suspended one moves to this
+     * connection, leaving its session, so clients that reconnect with a
+     * fixed client id and no session token get their subscriptions back.
+     */
+    registerSubscriber(clientId, ws) {
+        const existing = this.subscribers.get(clientId);
+        if (existing && existing.ws !== ws) {
+            if (!existing.suspended) {
+                throw new Error('CLIENT_ID_IN_USE');
+            }
+            if (existing.ws.session) {
+                existing.ws.session.subscriberIds.delete(clientId);
+            }
+            this.resumeSubscriber(clientId, ws, existing.ws);
+        }
+
+        if (!existing) {
+            if (this.quotas.maxSubscribers !== undefined && this.subscribers.size >= this.quotas.maxSubscribers) {
+                throw quotaExceeded(`subscriber limit of ${this.quotas.maxSubscribers} reached`);
+            }
+
+            this.subscribers.set(clientId, {
+                ws,
+                topics: new Set(),
+                patterns: new Set(),
+                groups: new Map(), // topicName -> groupName
+                ackModes: new Map(), // topicName -> { timeoutMs, maxInFlight, inFlight: Map, inFlightKeys: Map }
+                filters: new Map(), // topicName or pattern -> { expression, predicate }
+                durables: new Map(), // topicName -> attached durable subscription name
+                queue: [],
+                queueUsage: new Map(), // topicName -> { count, bytes } of queued messages
+                paused: false, // flushing stopped until the socket buffer drains
+                suspended: false // connection lost, queueing until the session resumes
+            });
+            this.stats.totalSubscribers++;
+        }
+
+        return this.subscribers.get(clientId);
+    }
+
+    /**
+     * Unsubscribe a client from a topic
+     */
+    unsubscribe(clientId, topicName) {
+        if (isTopicPattern(topicName)) {
+            return this.unsubscribePattern(clientId, topicName);
+        }
+
+        const topic = this.topics.get(topicName);
+        const subscriber = this.subscribers.get(clientId);
+
+        if (!topic || !subscriber) {
+            throw new Error('SUBSCRIPTION_NOT_FOUND');
+        }
+
+        // Remove from topic, group and subscriber tracking
+        this.detachFromTopic(clientId, topicName);
+        this.clearAckState(subscriber, topicName);
+        subscriber.filters.delete(topicName);
+        subscriber.topics.delete(topicName);
+        this.plugins.emit('onUnsubscribe', { tenant: this.tenantId, clientId, topic: topicName, reason: 'unsubscribed' });
+
+        return {
+            status: 'unsubscribed',
+            topic: topicName,
+            clientId
+        };
+    }
+
+    /**
+     * Remove a client's wildcard pattern subscription
+     */
+    unsubscribePattern(clientId, pattern) {
+        const patternSubscription = this.patternSubscriptions.get(pattern);
+        const subscriber = this.subscribers.get(clientId);
+
+        if (!patternSubscription || !subscriber || !patternSubscription.subscribers.has(clientId)) {
+            throw new Error('SUBSCRIPTION_NOT_FOUND');
+        }
+
+        patternSubscription.subscribers.delete(clientId);
+        subscriber.patterns.delete(pattern);
+        subscriber.filters.delete(pattern);
+
+        if (patternSubscription.subscribers.size === 0) {
+            this.patternSubscriptions.delete(pattern);
+        }
+        this.plugins.emit('onUnsubscribe', { tenant: this.tenantId, clientId, topic: pattern, reason: 'unsubscribed' });
+
+        return {
+            status: 'unsubscribed',
+            topic: pattern,
+            clientId
+        };
+    }
+
+    /**
+     * Collect exact and pattern subscribers for a topic (each client once)
+     */
+    getRecipients(topicName) {
+        const recipients = new Set(this.topics.get(topicName).subscribers);
+
+        for (const patternSubscription of this.patternSubscriptions.values()) {
+            if (matchesTopic(patternSubscription.segments, topicName)) {
+                for (const clientId of patternSubscription.subscribers) {
+                    recipients.add(clientId);
+                }
+            }
+        }
+
+        return recipients;
+    }
+
+    /**
+     * Publish a message to a topic (fan-out to all subscribers).
+     * A message whose id was already published to the topic within the
+     * dedup window is acknowledged as a duplicate and not fanned out again.
+     * With options.retain the event becomes the topic's retained value;
+     * a retained publish with an empty payload clears it instead.
+     * options.priority (MIN_PRIORITY..MAX_PRIORITY) orders delivery within
+     * subscriber queues. options.internal marks broker-originated publishes
+     * (dead letters, fired schedules) that do not count against the rate quota.
+     * A message.key assigns the event to one of the topic's partitions; events
+     * with the same key are delivered in order to each subscriber and always
+     * to the same member of a consumer group.
+     * Client publishes pass through the plugins' beforePublish hooks first,
+     * which may replace the message or reject it (PUBLISH_REJECTED). A topic
+     * the auto-creation policy allows is only created once the publish is accepted.
+     */
+    publish(topicName, message, options = {}) {
+        // Broker-originated publishes never create topics
+        let topic = options.internal ? this.topics.get(topicName) : this.getPublishTarget(topicName);
+        if (!topic) {
+            throw new Error('TOPIC_NOT_FOUND');
+        }
+        topic.lastActivity = Date.now();
+
+        if (!options.internal) {
+            message = this.plugins.beforePublish({ tenant: this.tenantId, topic: topicName, message, options });
+        }
+
+        if (options.retain && isEmptyPayload(message)) {
+            this.createPublishTarget(topic);
+            return this.clearRetained(topicName);
+        }
+
+        // Fired delayed publishes carry the version they were validated against
+        const schemaVersion = options.internal ? options.schemaVersion ?? null : this.validatePayload(topic, message);
+
+        if (options.priority !== undefined &&
+            (!Number.isInteger(options.priority) || options.priority < MIN_PRIORITY || options.priority > MAX_PRIORITY)) {
+            throw new Error('INVALID_PRIORITY');
+        }
+
+        // A retried duplicate gets its original ack without using any quota
+        const original = this.findRecentMessage(topic, message);
+        if (original) {
+            this.updateTopicStats(topicName, topicStats => {
+                topicStats.duplicates++;
+            });
+
+            return {
+                status: 'published',
+                topic: topicName,
+                offset: original.offset,
+                duplicate: true,
+                subscribersReached: 0,
+                failedDeliveries: []
+            };
+        }
+
+        const retainedBytes = options.retain ? Buffer.byteLength(JSON.stringify(message)) : 0;
+        if (options.retain) {
+            this.checkRetainedQuota(topic, retainedBytes);
+        }
+        if (!options.internal) {
+            this.checkPublishRate();
+        }
+
+        const key = getMessageKey(message);
+        const publishedMessage = {
+            type: 'event',
+            topic: topicName,
+            offset: topic.draft ? 0 : this.storage.getNextOffset(topicName),
+            ...(key !== undefined && { key, partition: hashKey(key) % topic.config.partitions }),
+            ...(options.priority !== undefined && { priority: options.priority }),
+            ...(schemaVersion !== null && { schema_version: schemaVersion }),
+            message,
+            ts: new Date().toISOString()
+        };
+
+        // A BLOCK topic refuses the publish rather than overflow a subscriber's queue
+        if (topic.config.backpressurePolicy === 'BLOCK') {
+            this.checkQueueCapacity(topic, publishedMessage);
+        }
+        topic = this.createPublishTarget(topic);
+
+        // Add to message history (ring buffer)
+        this.appendToHistory(topic, publishedMessage);
+        this.rememberMessageId(topic, publishedMessage);
+        if (options.retain) {
+            this.storage.setRetained(topicName, publishedMessage);
+            topic.retainedBytes = retainedBytes;
+        }
+        this.logOperation({ op: 'published', event: publishedMessage, ...(options.retain && { retain: true }) });
+
+        // Fan-out to exact and pattern subscribers
+        const recipients = this.getRecipients(topicName);
+        const failedDeliveries = [];
+        let delivered = 0;
+        for (const clientId of recipients) {
+            if (!this.matchesSubscriptionFilter(clientId, topicName, publishedMessage)) {
+                continue;
+            }
+            try {
+                const dropReason = this.enqueueMessage(clientId, publishedMessage);
+                if (dropReason === null) {
+                    delivered++;
+                } else {
+                    failedDeliveries.push({ clientId, error: dropReason });
+                }
+            } catch (error) {
+                failedDeliveries.push({ clientId, error: error.message });
+                if (error.message === 'SLOW_CONSUMER') {
+                    this.deadLetter(publishedMessage, 'SLOW_CONSUMER', clientId);
+                }
+            }
+        }
+
+        // Each consumer group receives the message once, via one member
+        for (const groupName of [...topic.groups.keys()]) {
+            if (this.deliverToGroup(topic, groupName, publishedMessage, failedDeliveries)) {
+                delivered++;
+            }
+        }
+
+        // Update stats
+        this.stats.totalMessages++;
+        this.recordPublishStats(topicName, publishedMessage);
+        this.plugins.emit('afterPublish', {
+            tenant: this.tenantId,
+            topic: topicName,
+            event: publishedMessage,
+            internal: options.internal === true
+        });
+
+        return {
+            status: 'published',
+            topic: topicName,
+            offset: publishedMessage.offset,
+            ...(publishedMessage.partition !== undefined && { partition: publishedMessage.partition }),
+            ...(options.retain && { retained: true }),
+            subscribersReached: delivered,
+            failedDeliveries
+        };
+    }
+
+    /**
+     * Throw QUEUE_FULL if an event would overflow the queue of any subscriber
+     * or consumer group member it may be delivered to
+     */
+    checkQueueCapacity(topic, event) {
+        const clientIds = new Set(this.getRecipients(topic.name));
+        for (const group of topic.groups.values()) {
+            for (const clientId of group.members) {
+                clientIds.add(clientId);
+            }
+        }
+
+        for (const clientId of clientIds) {
+            const subscriber = this.subscribers.get(clientId);
+            if (!subscriber || !this.matchesSubscriptionFilter(clientId, topic.name, event)) {
+                continue;
+            }
+            if (this.pendingFlushes.has(clientId) && this.exceedsQueueLimits(subscriber, event, topic.config)) {
+                this.flushSubscriberQueue(clientId);
+            }
+            if (this.exceedsQueueLimits(subscriber, event, topic.config)) {
+                const error = new Error('QUEUE_FULL');
+                error.details = `A subscriber queue of topic ${topic.name} is full`;
+                throw error;
+            }
+        }
+    }
+
+    /**
+     * Deliver a message to one member of a consumer group, falling over
+     * to other members if delivery fails. Returns the chosen client id.
+     */
+    deliverToGroup(topic, groupName, message, failedDeliveries = []) {
+        // A partition changing owner holds its messages until the previous owner is done
+        const handoff = message.partition !== undefined ?
+            topic.groups.get(groupName).handoffs.get(message.partition) : undefined;
+        if (handoff) {
+            handoff.held.push(message);
+            return topic.groups.get(groupName).owners.get(message.partition);
+        }
+
+        let attempts = topic.groups.get(groupName).members.length;
+        let lastFailure = null;
+
+        while (attempts-- > 0) {
+            // Failed deliveries remove members, so re-read the group each attempt
+            const group = topic.groups.get(groupName);
+            if (!group) {
+                break;
+            }
+
+            // Only members whose filter accepts the message are candidates
+            const eligible = group.members.filter(member =>
+                this.matchesSubscriptionFilter(member, message.topic, message));
+            if (eligible.length === 0) {
+                break;
+            }
+
+            const clientId = this.selectGroupMember(group, eligible, message);
+            try {
+                const dropReason = this.enqueueMessage(clientId, message);
+                if (dropReason !== null) {
+                    // The member's full queue already dead-lettered the message
+                    failedDeliveries.push({ clientId, group: groupName, error: dropReason });
+                    return null;
+                }
+                group.delivered++;
+                return clientId;
+            } catch (error) {
+                lastFailure = { clientId, group: groupName, error: error.message };
+                failedDeliveries.push(lastFailure);
+            }
+        }
+
+        // No member could take the message
+        if (lastFailure) {
+            this.deadLetter(message, lastFailure.error, lastFailure.clientId);
+        }
+
+        return null;
+    }
+
+    /**
+     * Pick one of the candidate members for a message. Keyed messages go to
+     * the member owning their partition, or spread by partition over the
+     * candidates if the owner cannot take them; the others go round robin.
+     */
+    selectGroupMember(group, candidates, message) {
+        if (message.partition !== undefined) {
+            const owner = group.owners.get(message.partition);
+            return candidates.includes(owner) ? owner : candidates[message.partition % candidates.length];
+        }
+
+        const clientId = candidates[group.nextIndex % candidates.length];
+        group.nextIndex = (group.nextIndex + 1) % candidates.length;
+        return clientId;
+    }
+
+    /**
+     * Count a published event in its topic's message, partition and key stats
+     */
+    recordPublishStats(topicName, event) {
+        this.updateTopicStats(topicName, topicStats => {
+            topicStats.messages++;
+            if (event.key === undefined) {
+                return;
+            }
+
+            topicStats.keyedMessages++;
+            if (event.partition < topicStats.partitionMessages.length) {
+                topicStats.partitionMessages[event.partition]++;
+            }
+            const count = topicStats.keyCounts.get(event.key);
+            if (count !== undefined) {
+                topicStats.keyCounts.set(event.key, count + 1);
+            } else if (topicStats.keyCounts.size < MAX_TRACKED_KEYS) {
+                topicStats.keyCounts.set(event.key, 1);
+            }
+        });
+    }
+
+    /**
+     * Publish a message at a future time (deliverAt in epoch ms). The
+     * beforePublish hooks run now, not when the message fires.
+     */
+    schedulePublish(topicName, message, deliverAt, options = {}) {
+        if (options.priority !== undefined &&
+            (!Number.isInteger(options.priority) || options.priority < MIN_PRIORITY || options.priority > MAX_PRIORITY)) {
+            throw new Error('INVALID_PRIORITY');
+        }
+
+        const topic = this.getPublishTarget(topicName);
+        if (!topic) {
+            throw new Error('TOPIC_NOT_FOUND');
+        }
+
+        message = this.plugins.beforePublish({ tenant: this.tenantId, topic: topicName, message, options, deliverAt });
+        const schemaVersion = options.retain && isEmptyPayload(message) ? null : this.validatePayload(topic, message);
+        this.checkPublishRate();
+        this.createPublishTarget(topic);
+        return this.scheduler.schedule(topicName, message, deliverAt, {
+            ...options,
+            ...(schemaVersion !== null && { schemaVersion })
+        });
+    }
+
+    /**
+     * List delayed publishes that have not fired yet
+     */
+    getScheduled(topicName) {
+        return this.scheduler.list(topicName);
+    }
+
+    /**
+     * Cancel a delayed publish
+     */
+    cancelScheduled(id) {
+        return this.scheduler.cancel(id);
+    }
+
+    /**
+     * Get a topic's retained event
+     */
+    getRetained(topicName) {
+        const topic = this.topics.get(topicName);
+        if (!topic) {
+            throw new Error('TOPIC_NOT_FOUND');
+        }
+
+        return { topic: topicName, retained: this.storage.getRetained(topicName) };
+    }
+
+    /**
+     * Clear a topic's retained event
+     */
+    clearRetained(topicName) {
+        const topic = this.topics.get(topicName);
+        if (!topic) {
+            throw new Error('TOPIC_NOT_FOUND');
+        }
+
+        this.storage.setRetained(topicName, null);
+        topic.retainedBytes = 0;
+        this.logOperation({ op: 'retained_cleared', topic: topicName });
+
+        return {
+            status: 'retained_cleared',
+            topic: topicName,
+            subscribersReached: 0,
+            failedDeliveries: []
+        };
+    }
+
+    /**
+     * Count a publish against the per-second rate quota
+     */
+    checkPublishRate() {
+        if (this.quotas.maxPublishRate === undefined) {
+            return;
+        }
+
+        const now = Date.now();
+        if (now - this.publishWindow.start >= 1000) {
+            this.publishWindow = { start: now, count: 0 };
+        }
+
+        if (this.publishWindow.count >= this.quotas.maxPublishRate) {
+            throw quotaExceeded(`publish rate limit of ${this.quotas.maxPublishRate} messages/sec reached`);
+        }
+        this.publishWindow.count++;
+    }
+
+    /**
+     * Check that the topic quota leaves room for one more topic
+     */
+    checkTopicQuota() {
+        if (this.quotas.maxTopics !== undefined && this.topics.size >= this.quotas.maxTopics) {
+            throw quotaExceeded(`topic limit of ${this.quotas.maxTopics} reached`);
+        }
+    }
+
+    /**
+     * Check that replacing a topic's retained value stays within the quota
+     */
+    checkRetainedQuota(topic, bytes) {
+        if (this.quotas.maxRetainedBytes === undefined) {
+            return;
+        }
+
+        const total = this.getRetainedBytes() - topic.retainedBytes + bytes;
+        if (total > this.quotas.maxRetainedBytes) {
+            throw quotaExceeded(`retained message limit of ${this.quotas.maxRetainedBytes} bytes reached`);
+        }
+    }
+
+    /**
+     * Total size of all retained messages
+     */
+    getRetainedBytes() {
+        let total = 0;
+        for (const topic of this.topics.values()) {
+            total += topic.retainedBytes;
+        }
+        return total;
+    }
+
+    /**
+     * Look up a message id in the topic's dedup window
+     */
+    findRecentMessage(topic, message) {
+        const id = message && typeof message === 'object' ? message.id : undefined;
+        if (id === undefined || topic.config.dedupWindowSize === 0) {
+            return null;
+        }
+
+        this.pruneRecentIds(topic, Date.now());
+        return topic.recentIds.get(id) || null;
+    }
+
+    /**
+     * Record a published message id for deduplication
+     */
+    rememberMessageId(topic, event) {
+        const id = event.message && typeof event.message === 'object' ? event.message.id : undefined;
+        if (id === undefined || topic.config.dedupWindowSize === 0) {
+            return;
+        }
+
+        topic.recentIds.set(id, { offset: event.offset, at: Date.parse(event.ts) });
+        this.pruneRecentIds(topic, Date.now());
+    }
+
+    /**
+     * Drop ids that fell out of the dedup time or count window
+     */
+    pruneRecentIds(topic, now) {
+        const { dedupWindowMs, dedupWindowSize } = topic.config;
+
+        // Map iteration follows insertion order, i.e. oldest first
+        for (const [id, entry] of topic.recentIds) {
+            if (topic.recentIds.size > dedupWindowSize || now - entry.at > dedupWindowMs) {
+                topic.recentIds.delete(id);
+            } else {
+                break;
+            }
+        }
+    }
+
+    /**
+     * Append an event to a topic's ring buffer
+     */
+    appendToHistory(topic, message) {
+        const evicted = this.storage.appendMessage(topic.name, message);
+        if (evicted.length > 0) {
+            topic.lastEvictedTs = Date.parse(evicted[evicted.length - 1].ts);
+        }
+    }
+
+    /**
+     * Write an operation to the durable log, if one is configured
+     */
+    logOperation(record) {
+        if (!this.messageLog) {
+            return;
+        }
+
+        try {
+            this.messageLog.append(record);
+        } catch (error) {
+            console.error('Failed to append to message log:', error.message);
+        }
+
+        // Compact once the operation being logged has finished changing state
+        if (!this.compactionScheduled && this.messageLog.compactionDue()) {
+            this.compactionScheduled = true;
+            setImmediate(() => {
+                this.compactionScheduled = false;
+                this.compactLog();
+            });
+        }
+    }
+
+    /**
+     * Replace the durable log with a snapshot of the current state, so it
+     * only holds what the ring buffers, retained events and schedule still need
+     */
+    compactLog() {
+        if (!this.messageLog || this.isShuttingDown) {
+            return;
+        }
+
+        try {
+            this.messageLog.compact(this.snapshotRecords());
+        } catch (error) {
+            console.error('Failed to compact message log:', error.message);
+        }
+    }
+
+    /**
+     * Log records that rebuild the current state. Topics are left out when
+     * the storage backend keeps them itself.
+     */
+    *snapshotRecords() {
+        if (!this.storage.persistent) {
+            for (const [name, topic] of this.topics) {
+                yield { op: 'topic_created', topic: name, config: topic.config };
+                for (const entry of this.storage.listSchemas(name)) {
+                    yield { op: 'schema_registered', topic: name, entry };
+                }
+                yield { op: 'topic_updated', topic: name, config: topic.config };
+                for (const event of this.storage.getHistory(name)) {
+                    yield { op: 'history', event };
+                }
+                yield {
+                    op: 'topic_state',
+                    topic: name,
+                    nextOffset: this.storage.getNextOffset(name),
+                    stats: encodeStats(this.storage.getTopicStats(name)),
+                    retained: this.storage.getRetained(name),
+                    recentIds: [...topic.recentIds],
+                    lastEvictedTs: topic.lastEvictedTs
+                };
+                for (const durable of this.storage.listDurables(name)) {
+                    yield { op: 'durable_saved', topic: name, durable };
+                }
+            }
+        }
+
+        for (const entry of this.scheduler.pending.values()) {
+            yield { op: 'scheduled', entry: this.scheduler.toRecord(entry) };
+        }
+    }
+
+    /**
+     * Rebuild topics and message history from the durable log
+     */
+    restoreFromLog() {
+        if (!this.messageLog) {
+            return { topics: 0, messages: 0 };
+        }
+
+        // A persistent storage backend already holds the topics; only
+        // scheduled messages are taken from the log then
+        const restoreTopics = !this.storage.persistent;
+
+        let messages = 0;
+        const scheduled = new Map();
+        for (const record of this.messageLog.readAll()) {
+            if (!restoreTopics && record.op !== 'scheduled' && record.op !== 'schedule_done') {
+                continue;
+            }
+
+            switch (record.op) {
+                case 'scheduled':
+                    scheduled.set(record.entry.id, record.entry);
+                    break;
+                case 'schedule_done':
+                    scheduled.delete(record.id);
+                    break;
+                case 'topic_created':
+                    // Fill in settings added since the record was written
+                    this.addTopic(record.topic, this.resolveTopicConfig(record.config));
+                    break;
+                case 'retained_cleared': {
+                    const topic = this.topics.get(record.topic);
+                    if (topic) {
+                        this.storage.setRetained(record.topic, null);
+                        topic.retainedBytes = 0;
+                    }
+                    break;
+                }
+                case 'topic_updated': {
+                    const topic = this.topics.get(record.topic);
+                    if (topic) {
+                        this.setTopicConfig(topic, record.config);
+                    }
+                    break;
+                }
+                case 'schema_registered': {
+                    const topic = this.topics.get(record.topic);
+                    if (topic) {
+                        this.applySchemaEntry(topic, record.entry);
+                    }
+                    break;
+                }
+                case 'topic_deleted':
+                    if (this.topics.delete(record.topic)) {
+                        this.storage.deleteTopic(record.topic);
+                    }
+                    break;
+                case 'durable_saved':
+                    if (this.topics.has(record.topic)) {
+                        this.storage.setDurable(record.topic, record.durable);
+                    }
+                    break;
+                case 'durable_deleted':
+                    if (this.topics.has(record.topic)) {
+                        this.storage.deleteDurable(record.topic, record.name);
+                    }
+                    break;
+                case 'published': {
+                    const topic = this.topics.get(record.event.topic);
+                    if (topic) {
+                        this.appendToHistory(topic, record.event);
+                        this.rememberMessageId(topic, record.event);
+                        if (record.retain) {
+                            this.storage.setRetained(record.event.topic, record.event);
+                            topic.retainedBytes = Buffer.byteLength(JSON.stringify(record.event.message));
+                        }
+                        this.stats.totalMessages++;
+                        this.recordPublishStats(record.event.topic, record.event);
+                        messages++;
+                    }
+                    break;
+                }
+                case 'history': {
+                    // Snapshot of a ring buffer; the event is already counted in topic_state
+                    const topic = this.topics.get(record.event.topic);
+                    if (topic) {
+                        this.appendToHistory(topic, record.event);
+                        messages++;
+                    }
+                    break;
+                }
+                case 'topic_state': {
+                    const topic = this.topics.get(record.topic);
+                    if (topic) {
+                        const stats = decodeStats(record.stats);
+                        this.storage.setNextOffset(record.topic, record.nextOffset);
+                        this.storage.updateTopicStats(record.topic, topicStats => {
+                            Object.assign(topicStats, stats, { subscribers: 0 });
+                        });
+                        this.stats.totalMessages += stats.messages;
+                        this.storage.setRetained(record.topic, record.retained);
+                        topic.retainedBytes = record.retained ? Buffer.byteLength(JSON.stringify(record.retained.message)) : 0;
+                        topic.recentIds = new Map(record.recentIds);
+                        if (record.lastEvictedTs !== undefined) {
+                            topic.lastEvictedTs = record.lastEvictedTs;
+                        }
+                    }
+                    break;
+                }
+            }
+        }
+
+        // Re-arm delayed publishes; overdue ones fire right away
+        for (const entry of scheduled.values()) {
+            if (this.topics.has(entry.topic)) {
+                this.scheduler.add(entry);
+            }
+        }
+
+        // Start from a snapshot so segments do not pile up across restarts
+        this.compactLog();
+
+        return { topics: this.topics.size, messages, scheduled: this.scheduler.pending.size };
+    }
+
+    /**
+     * Enqueue message for a subscriber with backpressure handling. Returns
+     * null once queued, or the reason the message itself was dropped
+     * (LOW_PRIORITY_EVICTED or QUEUE_FULL) under DROP_OLDEST.
+     */
+    enqueueMessage(clientId, message) {
+        const subscriber = this.subscribers.get(clientId);
+        if (!subscriber) {
+            throw new Error('SUBSCRIBER_NOT_FOUND');
+        }
+
+        // Check if WebSocket is still open; suspended subscribers keep queueing, and so do
+        // those of a closing connection with a session, which its close handler suspends
+        if (!subscriber.suspended && !subscriber.ws.session && subscriber.ws.readyState !== 1) { // WebSocket.OPEN
+            this.removeSubscriber(clientId);
+            throw new Error('SUBSCRIBER_DISCONNECTED');
+        }
+
+        // Handle backpressure using the subscriber's queue limit and the message and
+        // byte limits of the message's topic. Messages queued earlier in this tick
+        // are sent first if the socket takes them. Publishes to BLOCK topics were
+        // checked up front; replays and redeliveries to them queue regardless.
+        const config = this.getTopicConfig(message.topic);
+        if (this.pendingFlushes.has(clientId) && this.exceedsQueueLimits(subscriber, message, config)) {
+            this.flushSubscriberQueue(clientId);
+        }
+        while (config.backpressurePolicy !== 'BLOCK' && this.exceedsQueueLimits(subscriber, message, config)) {
+            if (config.backpressurePolicy === 'DROP_OLDEST') {
+                // Evict the lowest-priority, oldest message of the topic or, if the whole
+                // queue is full, of any topic that allows dropping
+                const topicFull = exceedsTopicLimits(subscriber, message, config);
+                const victimIndex = findEvictionIndex(subscriber.queue, queued => topicFull ?
+                    queued.topic === message.topic :
+                    this.getTopicConfig(queued.topic).backpressurePolicy === 'DROP_OLDEST');
+                if (victimIndex === -1 || getPriority(subscriber.queue[victimIndex]) > getPriority(message)) {
+                    // Nothing can be evicted (or it alone exceeds the byte limit), or
+                    // everything that can outranks the new message: drop that instead
+                    const reason = victimIndex === -1 ? 'QUEUE_FULL' : 'LOW_PRIORITY_EVICTED';
+                    this.deadLetter(message, reason, clientId);
+                    return reason;
+                }
+                const [dropped] = subscriber.queue.splice(victimIndex, 1);
+                updateQueueUsage(subscriber, dropped, -1);
+                this.deadLetter(dropped, 'DROP_OLDEST', clientId);
+            } else {
+                const errorMessage = {
+                    type: 'error',
+                    error: {
+                        code: 'SLOW_CONSUMER',
+                        message: 'Subscriber queue overflow'
+                    },
+                    ts: new Date().toISOString()
+                };
+                try {
+                    subscriber.ws.send(JSON.stringify(errorMessage));
+                    subscriber.ws.close(1008, 'SLOW_CONSUMER');
+                } catch (e) {
+                    // Ignore send errors on closing connection
+                }
+                // Everything still queued for this subscriber is lost with the connection
+                const lostMessages = subscriber.queue.filter(queued => queued.type === 'event');
+                this.removeSubscriber(clientId);
+                for (const lost of lostMessages) {
+                    this.deadLetter(lost, 'SLOW_CONSUMER', clientId);
+                }
+                throw new Error('SLOW_CONSUMER');
+            }
+        }
+
+        // Add message to queue; it is sent with the rest of this tick's messages
+        insertByPriority(subscriber.queue, message);
+        updateQueueUsage(subscriber, message, 1);
+        this.scheduleFlush(clientId);
+        return null;
+    }
+
+    /**
+     * Whether queueing a message would exceed the subscriber's queue limit
+     * (maxQueueSize messages across all topics) or the per-subscriber message
+     * count or byte limit of the message's topic
+     */
+    exceedsQueueLimits(subscriber, message, config) {
+        return subscriber.queue.length >= this.maxQueueSize || exceedsTopicLimits(subscriber, message, config);
+    }
+
+    /**
+     * Flush a subscriber's queue at the end of the current tick, batching
+     * all messages queued for it until then
+     */
+    scheduleFlush(clientId) {
+        this.pendingFlushes.add(clientId);
+        if (!this.flushScheduled) {
+            this.flushScheduled = true;
+            setImmediate(() => this.flushPending());
+        }
+    }
+
+    /**
+     * Flush every subscriber with messages queued since the last tick
+     */
+    flushPending() {
+        this.flushScheduled = false;
+        const clientIds = [...this.pendingFlushes];
+        this.pendingFlushes.clear();
+        for (const clientId of clientIds) {
+            this.flushSubscriberQueue(clientId);
+        }
+    }
+
+    /**
+     * Flush queued messages for a subscriber. Flushing pauses while the
+     * socket buffers more than socketHighWaterMark bytes and resumes from the
+     * send callbacks once it drains. Messages of manual-ack topics whose
+     * in-flight limit is reached stay queued until acks arrive, and a keyed
+     * message waits while an earlier message with its key is unacked. Events
+     * are encoded once and the same buffer sent to every subscriber.
+     */
+    flushSubscriberQueue(clientId) {
+        const subscriber = this.subscribers.get(clientId);
+        if (!subscriber || subscriber.ws.readyState !== 1) {
+            return;
+        }
+        if (subscriber.paused) {
+            if (subscriber.ws.bufferedAmount >= this.socketHighWaterMark) {
+                return;
+            }
+            subscriber.paused = false;
+        }
+        const onSent = () => this.resumeFlush(clientId);
+
+        const queue = subscriber.queue;
+        const held = []; // messages that stay queued, in order
+        const heldKeys = new Set(); // topic/key pairs held back during this pass
+        let index = 0;
+        try {
+            for (; index < queue.length; index++) {
+                const message = queue[index];
+                const ackState = message.type === 'event' ? subscriber.ackModes.get(message.topic) : undefined;
+
+                if (ackState && (ackState.inFlight.size >= ackState.maxInFlight ||
+                    (message.key !== undefined && (ackState.inFlightKeys.has(message.key) ||
+                        heldKeys.has(`${message.topic}\0${message.key}`))))) {
+                    if (message.key !== undefined) {
+                        heldKeys.add(`${message.topic}\0${message.key}`);
+                    }
+                    held.push(message);
+                    continue;
+                }
+
+                if (subscriber.ws.bufferedAmount >= this.socketHighWaterMark) {
+                    // The callbacks of the sends still buffered resume flushing
+                    subscriber.paused = true;
+                    break;
+                }
+
+                try {
+                    subscriber.ws.send(serializeMessage(message).frame, { binary: false }, onSent);
+                } catch (error) {
+                    // If send fails, leave message in queue and stop processing
+                    console.warn(`Failed to send message to subscriber ${clientId}:`, error.message);
+                    break;
+                }
+                updateQueueUsage(subscriber, message, -1);
+
+                if (ackState) {
+                    this.trackInFlight(clientId, ackState, message);
+                }
+            }
+        } finally {
+            // Rebuild the queue once instead of splicing out every sent message
+            subscriber.queue = index < queue.length ? held.concat(queue.slice(index)) : held;
+        }
+
+        this.releaseDrainedHandoffs(clientId);
+    }
+
+    /**
+     * Send callback: flush a paused subscriber again once its socket buffer
+     * has drained below the high-water mark
+     */
+    resumeFlush(clientId) {
+        const subscriber = this.subscribers.get(clientId);
+        if (subscriber && subscriber.paused && subscriber.ws.bufferedAmount < this.socketHighWaterMark) {
+            this.flushSubscriberQueue(clientId);
+        }
+    }
+
+    /**
+     * Record a delivered message as awaiting acknowledgement
+     */
+    trackInFlight(clientId, ackState, message) {
+        const entry = {
+            message,
+            attempts: message.attempt || 1,
+            timer: setTimeout(() => this.redeliver(clientId, message.topic, message.offset), ackState.timeoutMs)
+        };
+        entry.timer.unref();
+
+        // A replay can deliver an offset that is still in flight; it replaces the old delivery
+        const key = inFlightKey(message.topic, message.offset);
+        if (ackState.inFlight.has(key)) {
+            this.releaseInFlight(ackState, message.topic, message.offset);
+        }
+        ackState.inFlight.set(key, entry);
+        if (message.key !== undefined) {
+            ackState.inFlightKeys.set(message.key, (ackState.inFlightKeys.get(message.key) || 0) + 1);
+        }
+    }
+
+    /**
+     * Stop tracking an in-flight message
+     */
+    releaseInFlight(ackState, topicName, offset) {
+        const entry = ackState.inFlight.get(inFlightKey(topicName, offset));
+        clearTimeout(entry.timer);
+        ackState.inFlight.delete(inFlightKey(topicName, offset));
+
+        const { key } = entry.message;
+        if (key !== undefined) {
+            const count = ackState.inFlightKeys.get(key) - 1;
+            if (count > 0) {
+                ackState.inFlightKeys.set(key, count);
+            } else {
+                ackState.inFlightKeys.delete(key);
+            }
+        }
+        return entry;
+    }
+
+    /**
+     * Put an unacknowledged message back at the front of the subscriber's queue
+     */
+    redeliver(clientId, topicName, offset) {
+        const subscriber = this.subscribers.get(clientId);
+        const ackState = subscriber && subscriber.ackModes.get(topicName);
+        const entry = ackState && ackState.inFlight.get(inFlightKey(topicName, offset));
+        if (!entry) {
+            return;
+        }
+
+        this.releaseInFlight(ackState, topicName, offset);
+        this.requeueUnacked(clientId, subscriber, entry);
+        this.flushSubscriberQueue(clientId);
+    }
+
+    /**
+     * Queue an unacknowledged message again, ahead of new messages, or
+     * dead-letter it once its topic's attempt limit is reached
+     */
+    requeueUnacked(clientId, subscriber, entry) {
+        const topicName = entry.message.topic;
+
+        // Give up on poison messages once the topic's attempt limit is reached
+        const { maxDeliveryAttempts } = this.getTopicConfig(topicName);
+        if (maxDeliveryAttempts !== null && entry.attempts >= maxDeliveryAttempts) {
+            this.deadLetter(entry.message, 'MAX_DELIVERY_ATTEMPTS', clientId, entry.attempts);
+            return;
         }
 
-        // Clean up
-        this.topics.delete(topicName);
-        this.stats.topicStats.delete(topicName);
+        const redelivery = {
+            ...entry.message,
+            redelivered: true,
+            attempt: entry.attempts + 1
+        };
+        insertByPriority(subscriber.queue, redelivery, { ahead: true });
+        updateQueueUsage(subscriber, redelivery, 1);
 
-        return { status: 'deleted', topic: topicName };
+        this.updateTopicStats(topicName, topicStats => {
+            topicStats.redelivered++;
+        });
     }
 
     /**
-     * Get all topics with subscriber counts
+     * Keep the unacknowledged messages of a removed subscriber until its
+     * client id subscribes to the topic again; if it does not within
+     * timeoutMs they are dead-lettered as UNACKED_ON_DISCONNECT
      */
-    getTopics() {
-        const topics = [];
-        for (const [name, topic] of this.topics) {
-            topics.push({
-                name,
-                subscribers: topic.subscribers.size
-            });
+    parkUnacked(clientId, topicName, entries, timeoutMs) {
+        let parked = this.unacked.get(clientId);
+        if (!parked) {
+            parked = new Map();
+            this.unacked.set(clientId, parked);
         }
-        return { topics };
+
+        const previous = parked.get(topicName);
+        if (previous) {
+            clearTimeout(previous.timer);
+        }
+        const timer = setTimeout(() => {
+            for (const entry of this.takeUnacked(clientId, topicName)) {
+                this.deadLetter(entry.message, 'UNACKED_ON_DISCONNECT', clientId, entry.attempts);
+            }
+        }, timeoutMs);
+        timer.unref();
+        parked.set(topicName, { entries: previous ? [...previous.entries, ...entries] : entries, timer });
     }
 
     /**
-     * Subscribe a client to a topic with optional message replay
+     * Remove and return the parked unacknowledged messages of a client id for a topic
      */
-    subscribe(clientId, ws, topicName, lastN = 0) {
-        if (!this.topics.has(topicName)) {
-            throw new Error('TOPIC_NOT_FOUND');
+    takeUnacked(clientId, topicName) {
+        const parked = this.unacked.get(clientId);
+        const topicEntries = parked && parked.get(topicName);
+        if (!topicEntries) {
+            return [];
         }
 
-        // Register subscriber if not exists
-        if (!this.subscribers.has(clientId)) {
-            this.subscribers.set(clientId, {
-                ws,
-                topics: new Set(),
-                queue: []
-            });
-            this.stats.totalSubscribers++;
+        clearTimeout(topicEntries.timer);
+        parked.delete(topicName);
+        if (parked.size === 0) {
+            this.unacked.delete(clientId);
         }
+        return topicEntries.entries;
+    }
 
-        const subscriber = this.subscribers.get(clientId);
-        const topic = this.topics.get(topicName);
+    /**
+     * Publish an undeliverable message to its topic's dead-letter topic,
+     * wrapped in an envelope describing why it was lost. Returns whether
+     * the message was dead-lettered.
+     */
+    deadLetter(message, reason, clientId, attempts) {
+        const topicName = message.topic;
+        const { deadLetterTopic } = this.getTopicConfig(topicName);
+        if (!deadLetterTopic || this.isDeadLettering) {
+            return false;
+        }
 
-        // Add to topic and subscriber tracking
-        topic.subscribers.add(clientId);
-        subscriber.topics.add(topicName);
+        if (!this.topics.has(deadLetterTopic)) {
+            console.warn(`Dead-letter topic ${deadLetterTopic} for ${topicName} does not exist; dropping message`);
+            return false;
+        }
 
-        // Update stats
-        const topicStats = this.stats.topicStats.get(topicName);
-        topicStats.subscribers = topic.subscribers.size;
+        const { redelivered, attempt, ...event } = message;
+        const envelope = {
+            // Keep the ordering key so dead letters stay partitioned like the original
+            ...(event.key !== undefined && { key: event.key }),
+            original_topic: topicName,
+            reason,
+            client_id: clientId,
+            // Queued messages count the attempts already made before this one
+            attempts: attempts ?? (attempt ? attempt - 1 : 0),
+            event
+        };
 
-        // Replay last N messages if requested
-        if (lastN > 0 && topic.messageHistory.length > 0) {
-            const messagesToReplay = topic.messageHistory.slice(-lastN);
-            for (const message of messagesToReplay) {
-                this.enqueueMessage(clientId, message);
-            }
+        this.isDeadLettering = true;
+        try {
+            this.publish(deadLetterTopic, envelope, { internal: true });
+        } catch (error) {
+            console.warn(`Failed to dead-letter message from ${topicName}:`, error.message);
+            return false;
+        } finally {
+            this.isDeadLettering = false;
         }
 
-        return {
-            status: 'subscribed',
-            topic: topicName,
-            clientId
-        };
+        this.updateTopicStats(topicName, topicStats => {
+            topicStats.deadLettered++;
+        });
+
+        return true;
     }
 
     /**
-     * Unsubscribe a client from a topic
+     * Acknowledge a delivered message
      */
-    unsubscribe(clientId, topicName) {
-        const topic = this.topics.get(topicName);
+    ack(clientId, topicName, offset) {
         const subscriber = this.subscribers.get(clientId);
-
-        if (!topic || !subscriber) {
+        const ackState = subscriber && subscriber.ackModes.get(topicName);
+        if (!ackState) {
             throw new Error('SUBSCRIPTION_NOT_FOUND');
         }
 
-        // Remove from topic and subscriber tracking
-        topic.subscribers.delete(clientId);
-        subscriber.topics.delete(topicName);
-
-        // Update stats
-        const topicStats = this.stats.topicStats.get(topicName);
-        if (topicStats) {
-            topicStats.subscribers = topic.subscribers.size;
+        const entry = ackState.inFlight.get(inFlightKey(topicName, offset));
+        if (!entry) {
+            throw new Error('ACK_NOT_FOUND');
         }
 
+        this.releaseInFlight(ackState, topicName, offset);
+
+        // A slot in the in-flight window opened up
+        this.flushSubscriberQueue(clientId);
+
         return {
-            status: 'unsubscribed',
+            status: 'acked',
             topic: topicName,
+            offset,
             clientId
         };
     }
 
     /**
-     * Publish a message to a topic (fan-out to all subscribers)
+     * Stop ack tracking for a topic and return its unacknowledged messages
      */
-    publish(topicName, message) {
-        const topic = this.topics.get(topicName);
-        if (!topic) {
-            throw new Error('TOPIC_NOT_FOUND');
-        }
-
-        const publishedMessage = {
-            type: 'event',
-            topic: topicName,
-            message,
-            ts: new Date().toISOString()
-        };
-
-        // Add to message history (ring buffer)
-        topic.messageHistory.push(publishedMessage);
-        if (topic.messageHistory.length > this.ringBufferSize) {
-            topic.messageHistory.shift();
-        }
-
-        // Fan-out to all subscribers
-        const failedDeliveries = [];
-        for (const clientId of topic.subscribers) {
-            try {
-                this.enqueueMessage(clientId, publishedMessage);
-            } catch (error) {
-                failedDeliveries.push({ clientId, error: error.message });
-            }
+    clearAckState(subscriber, topicName) {
+        const ackState = subscriber.ackModes.get(topicName);
+        if (!ackState) {
+            return [];
         }
 
-        // Update stats
-        this.stats.totalMessages++;
-        const topicStats = this.stats.topicStats.get(topicName);
-        if (topicStats) {
-            topicStats.messages++;
+        const unacked = [];
+        for (const entry of ackState.inFlight.values()) {
+            clearTimeout(entry.timer);
+            unacked.push(entry);
         }
+        subscriber.ackModes.delete(topicName);
 
-        return {
-            status: 'published',
-            topic: topicName,
-            subscribersReached: topic.subscribers.size - failedDeliveries.length,
-            failedDeliveries
-        };
+        return unacked;
     }
 
     /**
-     * Enqueue message for a subscriber with backpressure handling
+     * Keep a subscriber whose connection dropped: its subscriptions stay and
+     * messages queue up (within the usual limits) until it resumes or is removed
      */
-    enqueueMessage(clientId, message) {
+    suspendSubscriber(clientId) {
         const subscriber = this.subscribers.get(clientId);
         if (!subscriber) {
-            throw new Error('SUBSCRIBER_NOT_FOUND');
-        }
-
-        // Check if WebSocket is still open
-        if (subscriber.ws.readyState !== 1) { // WebSocket.OPEN
-            this.removeSubscriber(clientId);
-            throw new Error('SUBSCRIBER_DISCONNECTED');
-        }
-
-        // Handle backpressure
-        if (subscriber.queue.length >= this.maxQueueSize) {
-            if (this.backpressurePolicy === 'DROP_OLDEST') {
-                subscriber.queue.shift(); // Remove oldest message
-            } else if (this.backpressurePolicy === 'DISCONNECT') {
-                const errorMessage = {
-                    type: 'error',
-                    error: {
-                        code: 'SLOW_CONSUMER',
-                        message: 'Subscriber queue overflow'
-                    },
-                    ts: new Date().toISOString()
-                };
-                try {
-                    subscriber.ws.send(JSON.stringify(errorMessage));
-                    subscriber.ws.close(1008, 'SLOW_CONSUMER');
-                } catch (e) {
-                    // Ignore send errors on closing connection
-                }
-                this.removeSubscriber(clientId);
-                throw new Error('SLOW_CONSUMER');
-            }
+            return;
         }
 
-        // Add message to queue and try to send immediately
-        subscriber.queue.push(message);
-        this.flushSubscriberQueue(clientId);
+        subscriber.suspended = true;
+        subscriber.paused = false;
+        this.pendingFlushes.delete(clientId);
     }
 
     /**
-     * Flush queued messages for a subscriber
+     * Move a subscriber to a new connection and send what was queued
+     * meanwhile. Only a subscriber still bound to previousWs (its session's
+     * last connection) is moved; returns whether it was.
      */
-    flushSubscriberQueue(clientId) {
+    resumeSubscriber(clientId, ws, previousWs) {
         const subscriber = this.subscribers.get(clientId);
-        if (!subscriber || subscriber.ws.readyState !== 1) {
-            return;
+        if (!subscriber || subscriber.ws !== previousWs) {
+            return false;
         }
 
-        while (subscriber.queue.length > 0) {
-            const message = subscriber.queue[0];
-            try {
-                subscriber.ws.send(JSON.stringify(message));
-                subscriber.queue.shift();
-            } catch (error) {
-                // If send fails, leave message in queue and stop processing
-                console.warn(`Failed to send message to subscriber ${clientId}:`, error.message);
-                break;
-            }
-        }
+        subscriber.ws = ws;
+        subscriber.suspended = false;
+        subscriber.paused = false;
+        this.scheduleFlush(clientId);
+        return true;
     }
 
     /**
@@ -299,20 +2497,65 @@ export class PubSubSystem {
             return;
         }
 
-        // Remove from all topics
+        // Remove from all topics and consumer groups
         for (const topicName of subscriber.topics) {
+            const groupName = subscriber.groups.get(topicName);
+            const ackState = subscriber.ackModes.get(topicName);
+            const unacked = this.clearAckState(subscriber, topicName);
+
+            // Redeliveries still queued, e.g. timed out while the session was suspended, are unacknowledged too
+            if (ackState) {
+                for (const message of subscriber.queue) {
+                    if (message.topic === topicName && message.redelivered) {
+                        unacked.push({ message, attempts: message.attempt - 1 });
+                    }
+                }
+            }
+
+            // Unacknowledged messages of partitions this member was handing off
+            // go to the new owner ahead of the messages held for it
             const topic = this.topics.get(topicName);
-            if (topic) {
-                topic.subscribers.delete(clientId);
-                // Update topic stats
-                const topicStats = this.stats.topicStats.get(topicName);
-                if (topicStats) {
-                    topicStats.subscribers = topic.subscribers.size;
+            const group = groupName && topic ? topic.groups.get(groupName) : undefined;
+            for (let i = unacked.length - 1; group && i >= 0; i--) {
+                const handoff = group.handoffs.get(unacked[i].message.partition);
+                if (handoff && handoff.from === clientId) {
+                    const [entry] = unacked.splice(i, 1);
+                    handoff.held.unshift({ ...entry.message, redelivered: true, attempt: entry.attempts + 1 });
+                }
+            }
+
+            this.detachFromTopic(clientId, topicName);
+            this.plugins.emit('onUnsubscribe', { tenant: this.tenantId, clientId, topic: topicName, reason: 'disconnected' });
+
+            // Hand unacknowledged messages of a group over to the remaining members;
+            // without any, keep them for this client id to come back
+            if (groupName && topic && topic.groups.has(groupName)) {
+                for (const entry of unacked) {
+                    this.deliverToGroup(topic, groupName, {
+                        ...entry.message,
+                        redelivered: true,
+                        attempt: entry.attempts + 1
+                    });
+                }
+            } else if (unacked.length > 0) {
+                this.parkUnacked(clientId, topicName, unacked, ackState.timeoutMs);
+            }
+        }
+
+        // Remove from all pattern subscriptions
+        for (const pattern of subscriber.patterns) {
+            const patternSubscription = this.patternSubscriptions.get(pattern);
+            if (patternSubscription) {
+                patternSubscription.subscribers.delete(clientId);
+                if (patternSubscription.subscribers.size === 0) {
+                    this.patternSubscriptions.delete(pattern);
                 }
             }
+            this.plugins.emit('onUnsubscribe', { tenant: this.tenantId, clientId, topic: pattern, reason: 'disconnected' });
         }
 
         // Remove subscriber
+        this.pendingFlushes.delete(clientId);
         this.subscribers.delete(clientId);
         this.stats.totalSubscribers--;
     }
@@ -333,14 +2576,86 @@ export class PubSubSystem {
      */
     getStats() {
         const topics = {};
-        for (const [topicName, stats] of this.stats.topicStats) {
+        for (const [topicName, topic] of this.topics) {
+            const stats = this.storage.getTopicStats(topicName);
+            const groups = {};
+            for (const [groupName, group] of topic.groups) {
+                groups[groupName] = {
+                    strategy: group.strategy,
+                    members: group.members.length,
+                    delivered: group.delivered,
+                    partitions: getPartitionAssignment(group)
+                };
+            }
+
+            const topKeys = [...stats.keyCounts]
+                .sort((a, b) => b[1] - a[1])
+                .slice(0, 10)
+                .map(([key, messages]) => ({ key, messages }));
+
             topics[topicName] = {
                 messages: stats.messages,
-                subscribers: stats.subscribers
+                subscribers: stats.subscribers,
+                redelivered: stats.redelivered,
+                dead_lettered: stats.deadLettered,
+                duplicates: stats.duplicates,
+                partitions: stats.partitionMessages,
+                keys: {
+                    keyed_messages: stats.keyedMessages,
+                    distinct: stats.keyCounts.size,
+                    top: topKeys
+                },
+                groups
             };
         }
 
-        return { topics };
+        const patterns = {};
+        for (const [pattern, patternSubscription] of this.patternSubscriptions) {
+            patterns[pattern] = {
+                subscribers: patternSubscription.subscribers.size
+            };
+        }
+
+        const subscribers = {};
+        for (const [clientId, subscriber] of this.subscribers) {
+            subscribers[clientId] = {
+                queued_messages: subscriber.queue.length,
+                queued_bytes: [...subscriber.queueUsage.values()].reduce((total, usage) => total + usage.bytes, 0),
+                buffered_bytes: subscriber.ws.bufferedAmount || 0,
+                paused: subscriber.paused,
+                suspended: subscriber.suspended
+            };
+        }
+
+        return {
+            topics,
+            patterns,
+            subscribers,
+            scheduled: this.scheduler.pending.size,
+            ...(Object.keys(this.quotas).length > 0 && { quotas: this.getQuotaUsage() }),
+            ...(this.rateLimiter.enabled && { rate_limited: this.rateLimiter.getStats(this.tenantId) })
+        };
+    }
+
+    /**
+     * Current usage against each configured quota
+     */
+    getQuotaUsage() {
+        const usage = {};
+        if (this.quotas.maxTopics !== undefined) {
+            usage.topics = { used: this.topics.size, limit: this.quotas.maxTopics };
+        }
+        if (this.quotas.maxSubscribers !== undefined) {
+            usage.subscribers = { used: this.subscribers.size, limit: this.quotas.maxSubscribers };
+        }
+        if (this.quotas.maxPublishRate !== undefined) {
+            const current = Date.now() - this.publishWindow.start < 1000 ? this.publishWindow.count : 0;
+            usage.publish_rate = { used: current, limit: this.quotas.maxPublishRate };
+        }
+        if (this.quotas.maxRetainedBytes !== undefined) {
+            usage.retained_bytes = { used: this.getRetainedBytes(), limit: this.quotas.maxRetainedBytes };
+        }
+        return usage;
     }
 
     /**
@@ -348,9 +2663,25 @@ export class PubSubSystem {
      */
     async gracefulShutdown() {
         this.isShuttingDown = true;
+        clearInterval(this.expiryTimer);
 
         console.log('Starting graceful shutdown...');
 
+        // Deal with delayed publishes before connections go away
+        const pendingScheduled = this.scheduler.list().scheduled;
+        if (pendingScheduled.length > 0) {
+            if (this.scheduledOnShutdown === 'flush') {
+                console.log(`Publishing ${this.scheduler.flushAll()} scheduled messages early`);
+            } else {
+                console.log(`${pendingScheduled.length} scheduled messages pending` +
+                    (this.messageLog ? ' (kept in the message log)' : ' (will be lost; no message log configured)'));
+                for (const entry of pendingScheduled) {
+                    console.log(`   ${entry.id} -> ${entry.topic} at ${entry.deliver_at}`);
+                }
+            }
+        }
+        this.scheduler.stop();
+
         // Flush all subscriber queues
         const flushPromises = [];
         for (const [clientId, subscriber] of this.subscribers) {
@@ -380,6 +2711,249 @@ export class PubSubSystem {
             }
         }
 
+        // Flush and close the durable log and the storage backend
+        if (this.messageLog) {
+            this.messageLog.close();
+        }
+        this.storage.close();
+
         console.log('Graceful shutdown completed');
+
+        return {
+            scheduled: this.scheduledOnShutdown === 'flush' ? [] : pendingScheduled
+        };
+    }
+}
+
+/**
+ * Topic config as reported by the API
+ */
+function describeTopicConfig(config) {
+    return {
+        ring_buffer_size: config.ringBufferSize,
+        max_queue_size: config.maxQueueSize,
+        max_queue_bytes: config.maxQueueBytes,
+        backpressure_policy: config.backpressurePolicy,
+        dead_letter_topic: config.deadLetterTopic,
+        max_delivery_attempts: config.maxDeliveryAttempts,
+        dedup_window_ms: config.dedupWindowMs,
+        dedup_window_size: config.dedupWindowSize,
+        partitions: config.partitions,
+        idle_ttl_ms: config.idleTtlMs ?? null,
+        max_payload_bytes: config.maxPayloadBytes ?? null,
+        schema: config.schema ?? null,
+        schema_version: config.schemaVersion ?? null,
+        schema_compatibility: config.schemaCompatibility
+    };
+}
+
+/**
+ * A schema registry entry
+ */
+function createSchemaEntry(version, schema) {
+    return { version, schema, created_at: new Date().toISOString() };
+}
+
+/**
+ * Error for an exceeded tenant quota
+ */
+function quotaExceeded(details) {
+    const error = new Error('QUOTA_EXCEEDED');
+    error.details = details;
+    return error;
+}
+
+/**
+ * Delivery priority of a queued message
+ */
+function getPriority(message) {
+    return message.priority ?? DEFAULT_PRIORITY;
+}
+
+/**
+ * Ordering key of a published message, if it has one
+ */
+function getMessageKey(message) {
+    const key = message && typeof message === 'object' ? message.key : undefined;
+    return typeof key === 'string' && key.length > 0 ? key : undefined;
+}
+
+/**
+ * Insert into a queue kept in descending priority order, FIFO within a
+ * priority. With ahead the message goes before others of its priority
+ * (used for redeliveries). A keyed message never changes places with
+ * queued messages of the same topic and key, whatever their priority.
+ */
+function insertByPriority(queue, message, { ahead = false } = {}) {
+    const priority = getPriority(message);
+    let index = queue.length;
+    while (index > 0) {
+        const previous = getPriority(queue[index - 1]);
+        if (previous > priority || (!ahead && previous === priority)) {
+            break;
+        }
+        index--;
+    }
+
+    if (message.key !== undefined) {
+        const sameKey = (queued) => queued.topic === message.topic && queued.key === message.key;
+        if (ahead) {
+            const first = queue.findIndex(sameKey);
+            if (first !== -1) {
+                index = Math.min(index, first);
+            }
+        } else {
+            index = Math.max(index, queue.findLastIndex(sameKey) + 1);
+        }
+    }
+
+    if (index === queue.length) {
+        queue.push(message);
+    } else {
+        queue.splice(index, 0, message);
+    }
+}
+
+/**
+ * Partitions owned by each member of a consumer group (without filters)
+ */
+function getPartitionAssignment(group) {
+    const assignment = {};
+    for (const clientId of group.members) {
+        assignment[clientId] = [];
+    }
+    for (const [partition, clientId] of group.owners) {
+        assignment[clientId].push(partition);
+    }
+    return assignment;
+}
+
+/**
+ * Balanced partition -> member assignment that keeps as many partitions as
+ * possible with their previous owners. Every member gets floor(partitions /
+ * members) partitions, some one more.
+ */
+function assignPartitions(members, previousOwners, partitions) {
+    const owners = new Array(partitions);
+    if (members.length === 0) {
+        return new Map();
+    }
+
+    const counts = new Map(members.map(member => [member, 0]));
+    const share = Math.floor(partitions / members.length);
+    let larger = partitions % members.length; // members that may own share + 1
+    const hasRoom = count => count < share || (count === share && larger > 0);
+    const take = (partition, member) => {
+        const count = counts.get(member);
+        if (count === share) {
+            larger--;
+        }
+        counts.set(member, count + 1);
+        owners[partition] = member;
+    };
+
+    const unassigned = [];
+    for (let partition = 0; partition < partitions; partition++) {
+        const previous = previousOwners.get(partition);
+        if (counts.has(previous) && hasRoom(counts.get(previous))) {
+            take(partition, previous);
+        } else {
+            unassigned.push(partition);
+        }
+    }
+    for (const partition of unassigned) {
+        take(partition, members.find(member => hasRoom(counts.get(member))));
+    }
+
+    return new Map(owners.map((member, partition) => [partition, member]));
+}
+
+/**
+ * UTF-8 encoded JSON frame and its size in bytes for a message, computed once per
+ * message object and shared by every subscriber it is sent to
+ */
+const serializedMessages = new WeakMap();
+
+function serializeMessage(message) {
+    let serialized = serializedMessages.get(message);
+    if (serialized === undefined) {
+        const frame = Buffer.from(JSON.stringify(message));
+        serialized = { frame, bytes: frame.length };
+        serializedMessages.set(message, serialized);
+    }
+    return serialized;
+}
+
+/**
+ * Count a message into (delta 1) or out of (delta -1) a subscriber's
+ * per-topic queue usage
+ */
+function updateQueueUsage(subscriber, message, delta) {
+    let usage = subscriber.queueUsage.get(message.topic);
+    if (!usage) {
+        usage = { count: 0, bytes: 0 };
+        subscriber.queueUsage.set(message.topic, usage);
+    }
+    usage.count += delta;
+    usage.bytes += delta * serializeMessage(message).bytes;
+    if (usage.count === 0) {
+        subscriber.queueUsage.delete(message.topic);
+    }
+}
+
+/**
+ * Whether queueing a message would exceed its topic's per-subscriber
+ * message count or byte limit
+ */
+function exceedsTopicLimits(subscriber, message, config) {
+    const usage = subscriber.queueUsage.get(message.topic);
+    if (!usage) {
+        return serializeMessage(message).bytes > config.maxQueueBytes;
+    }
+    return usage.count >= config.maxQueueSize || usage.bytes + serializeMessage(message).bytes > config.maxQueueBytes;
+}
+
+/**
+ * Key of an in-flight message in its ack state
+ */
+function inFlightKey(topicName, offset) {
+    return `${topicName}\0${offset}`;
+}
+
+/**
+ * Index of the lowest-priority, oldest queued message accepted by evictable
+ */
+function findEvictionIndex(queue, evictable) {
+    let victim = -1;
+    for (let i = 0; i < queue.length; i++) {
+        if (!evictable(queue[i])) {
+            continue;
+        }
+        // Later entries with equal priority are newer, so only a strictly lower priority wins
+        if (victim === -1 || getPriority(queue[i]) < getPriority(queue[victim])) {
+            victim = i;
+        }
+    }
+    return victim;
+}
+
+/**
+ * Whether a message carries no payload (used to clear retained values)
+ */
+function isEmptyPayload(message) {
+    const payload = message && typeof message === 'object' ? message.payload : message;
+    return payload === undefined || payload === null || payload === '' ||
+        (typeof payload === 'object' && !Array.isArray(payload) && Object.keys(payload).length === 0);
+}
+
+/**
+ * FNV-1a hash of a string, used for partitioning
+ */
+function hashKey(key) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < key.length; i++) {
+        hash ^= key.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
     }
+    return hash >>> 0;
 }
@@ -0,0 +1,197 @@
+export const RATE_LIMIT_ACTIONS = ['publish', 'subscribe', 'rest'];
+export const RATE_LIMIT_SCOPES = ['connection', 'client', 'topic'];
+
+const SWEEP_INTERVAL_MS = 60000;
+
+/**
+ * Token-bucket rate limits
+ *
+ * Limits are configured per action (publish, subscribe, rest) and scope:
+ * connection (one WebSocket, or one remote address for REST), client (the
+ * frame's client_id or, without one, the session; the API key or remote
+ * address for REST) and topic (across all clients). Each limit is
+ * { rate, burst }: a bucket of burst tokens refilled at rate tokens per
+ * second, one token per request. Buckets are kept per tenant, so tenants
+ * never throttle each other. A request that finds any of its buckets
+ * empty is rejected without consuming tokens from the others.
+ */
+export class RateLimiter {
+    constructor(limits = {}) {
+        this.limits = limits; // action -> scope -> { rate, burst }
+        this.buckets = new Map(); // tenant/action/scope/key -> { tokens, updatedAt, limit }
+        this.throttled = new Map(); // tenantId -> action -> scope -> rejected requests
+        this.sweepTimer = null;
+
+        if (this.enabled) {
+            // Full buckets carry no state worth keeping
+            this.sweepTimer = setInterval(() => this.sweep(), SWEEP_INTERVAL_MS);
+            this.sweepTimer.unref();
+        }
+    }
+
+    /**
+     * Parse limits from a spec such as "publish.connection=100:200,rest.client=20"
+     * (action.scope=rate[:burst], burst defaulting to the rate) or validate a
+     * { action: { scope: { rate, burst } } } object
+     */
+    static parse(spec) {
+        if (!spec) {
+            return {};
+        }
+
+        const entries = [];
+        if (typeof spec === 'string') {
+            for (const item of spec.split(',').map(part => part.trim()).filter(Boolean)) {
+                const match = /^(\w+)\.(\w+)=(\d+(?:\.\d+)?)(?::(\d+))?$/.exec(item);
+                if (!match) {
+                    throw new Error('INVALID_RATE_LIMIT');
+                }
+                entries.push([match[1], match[2], { rate: Number(match[3]), burst: match[4] && Number(match[4]) }]);
+            }
+        } else {
+            for (const [action, scopes] of Object.entries(spec)) {
+                for (const [scope, limit] of Object.entries(scopes || {})) {
+                    entries.push([action, scope, { rate: limit && limit.rate, burst: limit && limit.burst }]);
+                }
+            }
+        }
+
+        const limits = {};
+        for (const [action, scope, limit] of entries) {
+            limit.burst = limit.burst ?? Math.max(1, Math.ceil(limit.rate));
+            if (!RATE_LIMIT_ACTIONS.includes(action) || !RATE_LIMIT_SCOPES.includes(scope) ||
+                typeof limit.rate !== 'number' || !(limit.rate > 0) ||
+                !Number.isInteger(limit.burst) || limit.burst < 1) {
+                throw new Error('INVALID_RATE_LIMIT');
+            }
+            limits[action] = { ...limits[action], [scope]: limit };
+        }
+        return limits;
+    }
+
+    /**
+     * Whether any limit is configured
+     */
+    get enabled() {
+        return Object.keys(this.limits).length > 0;
+    }
+
+    /**
+     * Configured limits in spec form, e.g. ["publish.connection=100:200"]
+     */
+    describe() {
+        const specs = [];
+        for (const [action, scopes] of Object.entries(this.limits)) {
+            for (const [scope, limit] of Object.entries(scopes)) {
+                specs.push(`${action}.${scope}=${limit.rate}:${limit.burst}`);
+            }
+        }
+        return specs;
+    }
+
+    /**
+     * Take one token for an action from the bucket of every limited scope
+     * with a key in keys ({ connection, client, topic }). Returns null if
+     * the request may proceed, otherwise { scope, retryAfterMs } of the
+     * limit that frees up last.
+     */
+    take(tenantId, action, keys) {
+        const scopes = this.limits[action];
+        if (!scopes) {
+            return null;
+        }
+
+        const now = Date.now();
+        const buckets = [];
+        let limited = null;
+
+        for (const scope of RATE_LIMIT_SCOPES) {
+            const limit = scopes[scope];
+            const key = keys[scope];
+            if (!limit || key === undefined || key === null) {
+                continue;
+            }
+
+            const bucket = this.getBucket(`${tenantId}\0${action}\0${scope}\0${key}`, limit, now);
+            if (bucket.tokens < 1) {
+                const retryAfterMs = Math.ceil((1 - bucket.tokens) / limit.rate * 1000);
+                if (!limited || retryAfterMs > limited.retryAfterMs) {
+                    limited = { scope, retryAfterMs };
+                }
+            }
+            buckets.push(bucket);
+        }
+
+        if (limited) {
+            this.countThrottled(tenantId, action, limited.scope);
+            return limited;
+        }
+
+        for (const bucket of buckets) {
+            bucket.tokens -= 1;
+        }
+        return null;
+    }
+
+    /**
+     * Get a bucket refilled up to now, creating it full
+     */
+    getBucket(id, limit, now) {
+        let bucket = this.buckets.get(id);
+        if (!bucket) {
+            bucket = { tokens: limit.burst, updatedAt: now, limit };
+            this.buckets.set(id, bucket);
+            return bucket;
+        }
+
+        bucket.tokens = Math.min(limit.burst, bucket.tokens + (now - bucket.updatedAt) / 1000 * limit.rate);
+        bucket.updatedAt = now;
+        return bucket;
+    }
+
+    /**
+     * Record a rejected request against the scope that limited it
+     */
+    countThrottled(tenantId, action, scope) {
+        let counts = this.throttled.get(tenantId);
+        if (!counts) {
+            counts = {};
+            this.throttled.set(tenantId, counts);
+        }
+        counts[action] = counts[action] || {};
+        counts[action][scope] = (counts[action][scope] || 0) + 1;
+    }
+
+    /**
+     * Rejected requests of a tenant per limited action and scope
+     */
+    getStats(tenantId) {
+        const counts = this.throttled.get(tenantId) || {};
+        const stats = {};
+        for (const [action, scopes] of Object.entries(this.limits)) {
+            stats[action] = {};
+            for (const scope of Object.keys(scopes)) {
+                stats[action][scope] = (counts[action] && counts[action][scope]) || 0;
+            }
+        }
+        return stats;
+    }
+
+    /**
+     * Drop buckets that have refilled completely
+     */
+    sweep(now = Date.now()) {
+        for (const [id, bucket] of this.buckets) {
+            if (bucket.tokens + (now - bucket.updatedAt) / 1000 * bucket.limit.rate >= bucket.limit.burst) {
+                this.buckets.delete(id);
+            }
+        }
+    }
+
+    /**
+     * Stop the sweep timer
+     */
+    close() {
+        clearInterval(this.sweepTimer);
+    }
+}
@@ -1,24 +1,64 @@
 import express from 'express';
+import { SEEK_POSITIONS } from './pubsub.js';
+import { SCHEMA_COMPATIBILITY_MODES } from './schema-registry.js';
+import { extractApiKey } from './tenants.js';
 
 /**
  * REST API routes for topic management and observability
  */
-export function createRestAPI(pubsub) {
+export function createRestAPI(tenants) {
     const router = express.Router();
 
     // Middleware for JSON parsing
     router.use(express.json());
 
+    // Resolve the caller's tenant; every route operates on its namespace
+    router.use((req, res, next) => {
+        const tenant = tenants.authenticateRequest(req);
+        if (!tenant) {
+            return res.status(401).json({
+                error: 'Unauthorized: missing or invalid API key'
+            });
+        }
+        req.tenant = tenant;
+        req.pubsub = tenant.pubsub;
+        next();
+    });
+
+    // Throttle REST calls per remote address, API key and topic
+    router.use((req, res, next) => {
+        const remoteAddress = req.socket.remoteAddress;
+        const limited = req.pubsub.rateLimiter.take(req.tenant.id, 'rest', {
+            connection: remoteAddress,
+            client: extractApiKey(req) || remoteAddress,
+            topic: getRequestTopic(req)
+        });
+        if (!limited) {
+            return next();
+        }
+
+        res.set('Retry-After', String(Math.ceil(limited.retryAfterMs / 1000)));
+        res.status(429).json({
+            error: 'Rate limited',
+            details: `Too many requests (${limited.scope} limit)`,
+            retry_after_ms: limited.retryAfterMs
+        });
+    });
+
     // Error handling middleware
     const asyncHandler = (fn) => (req, res, next) => {
         Promise.resolve(fn(req, res, next)).catch(next);
     };
 
     /**
-     * POST /topics - Create a new topic
+     * POST /topics - Create a new topic with optional per-topic config
      */
     router.post('/topics', asyncHandler(async (req, res) => {
-        const { name } = req.body;
+        const {
+            name, ring_buffer_size, max_queue_size, max_queue_bytes, backpressure_policy,
+            dead_letter_topic, max_delivery_attempts, dedup_window_ms, dedup_window_size, partitions, idle_ttl_ms,
+            max_payload_bytes, schema, schema_compatibility
+        } = req.body;
 
         if (!name) {
             return res.status(400).json({
@@ -33,7 +73,21 @@ export function createRestAPI(pubsub) {
         }
 
         try {
-            const result = pubsub.createTopic(name.trim());
+            const result = req.pubsub.createTopic(name.trim(), {
+                ringBufferSize: ring_buffer_size,
+                maxQueueSize: max_queue_size,
+                maxQueueBytes: max_queue_bytes,
+                backpressurePolicy: backpressure_policy,
+                deadLetterTopic: dead_letter_topic,
+                maxDeliveryAttempts: max_delivery_attempts,
+                dedupWindowMs: dedup_window_ms,
+                dedupWindowSize: dedup_window_size,
+                partitions,
+                idleTtlMs: idle_ttl_ms,
+                maxPayloadBytes: max_payload_bytes,
+                schema,
+                schemaCompatibility: schema_compatibility
+            });
             res.status(201).json(result);
         } catch (error) {
             if (error.message === 'TOPIC_ALREADY_EXISTS') {
@@ -41,6 +95,32 @@ export function createRestAPI(pubsub) {
                     error: 'Topic already exists'
                 });
             }
+            if (error.message === 'INVALID_TOPIC_CONFIG') {
+                return res.status(400).json({
+                    error: 'Invalid topic configuration',
+                    details: 'ring_buffer_size, dedup_window_ms and dedup_window_size must be non-negative integers, ' +
+                        'max_queue_size, max_queue_bytes, max_delivery_attempts, partitions, idle_ttl_ms and max_payload_bytes ' +
+                        'positive integers, backpressure_policy DROP_OLDEST, DISCONNECT or BLOCK, ' +
+                        `schema_compatibility ${SCHEMA_COMPATIBILITY_MODES.join(', ')}, and dead_letter_topic another topic name`
+                });
+            }
+            if (error.message === 'INVALID_SCHEMA') {
+                return res.status(400).json({
+                    error: 'Invalid schema',
+                    details: error.details
+                });
+            }
+            if (error.message === 'INVALID_TOPIC_NAME') {
+                return res.status(400).json({
+                    error: 'Topic name must not contain wildcard characters (* or #)'
+                });
+            }
+            if (error.message === 'QUOTA_EXCEEDED') {
+                return res.status(429).json({
+                    error: 'Quota exceeded',
+                    details: error.details
+                });
+            }
             throw error;
         }
     }));
@@ -58,7 +138,176 @@ export function createRestAPI(pubsub) {
         }
 
         try {
-            const result = pubsub.deleteTopic(name);
+            const result = req.pubsub.deleteTopic(name);
+            res.status(200).json(result);
+        } catch (error) {
+            if (error.message === 'TOPIC_NOT_FOUND') {
+                return res.status(404).json({
+                    error: 'Topic not found'
+                });
+            }
+            throw error;
+        }
+    }));
+
+    /**
+     * Map errors of schema operations to responses; returns false for other errors
+     */
+    const sendSchemaError = (res, error) => {
+        switch (error.message) {
+            case 'TOPIC_NOT_FOUND':
+                res.status(404).json({ error: 'Topic not found' });
+                return true;
+            case 'SCHEMA_VERSION_NOT_FOUND':
+                res.status(404).json({ error: 'Schema version not found' });
+                return true;
+            case 'INVALID_SCHEMA':
+                res.status(400).json({ error: 'Invalid schema', details: error.details });
+                return true;
+            case 'SCHEMA_INCOMPATIBLE':
+                res.status(409).json({ error: 'Schema is incompatible with the active version', details: error.details });
+                return true;
+            default:
+                return false;
+        }
+    };
+
+    /**
+     * PATCH /topics/:name - Replace a topic's schema (registered as a new version),
+     * schema compatibility mode and payload size limit (null removes schema or limit)
+     */
+    router.patch('/topics/:name', asyncHandler(async (req, res) => {
+        const { schema, max_payload_bytes, schema_compatibility } = req.body || {};
+
+        if (schema === undefined && max_payload_bytes === undefined && schema_compatibility === undefined) {
+            return res.status(400).json({
+                error: 'Provide schema, schema_compatibility and/or max_payload_bytes'
+            });
+        }
+
+        try {
+            const result = req.pubsub.updateTopic(req.params.name, {
+                schema,
+                schemaCompatibility: schema_compatibility,
+                maxPayloadBytes: max_payload_bytes
+            });
+            res.status(200).json(result);
+        } catch (error) {
+            if (error.message === 'INVALID_TOPIC_CONFIG') {
+                return res.status(400).json({
+                    error: 'Invalid topic configuration',
+                    details: 'max_payload_bytes must be a positive integer or null and schema_compatibility ' +
+                        SCHEMA_COMPATIBILITY_MODES.join(', ')
+                });
+            }
+            if (!sendSchemaError(res, error)) {
+                throw error;
+            }
+        }
+    }));
+
+    /**
+     * GET /schemas - List topics with registered schemas
+     */
+    router.get('/schemas', asyncHandler(async (req, res) => {
+        const result = req.pubsub.getSchemaSubjects();
+        res.status(200).json(result);
+    }));
+
+    /**
+     * GET /schemas/:topic - List a topic's schema versions
+     */
+    router.get('/schemas/:topic', asyncHandler(async (req, res) => {
+        try {
+            const result = req.pubsub.getSchemas(req.params.topic);
+            res.status(200).json(result);
+        } catch (error) {
+            if (!sendSchemaError(res, error)) {
+                throw error;
+            }
+        }
+    }));
+
+    /**
+     * GET /schemas/:topic/versions/:version - Get one schema version ('latest' for the newest)
+     */
+    router.get('/schemas/:topic/versions/:version', asyncHandler(async (req, res) => {
+        const version = req.params.version === 'latest' ? 'latest' : Number(req.params.version);
+        if (version !== 'latest' && (!Number.isInteger(version) || version < 1)) {
+            return res.status(400).json({
+                error: 'version must be a positive integer or latest'
+            });
+        }
+
+        try {
+            const result = req.pubsub.getSchemaVersion(req.params.topic, version);
+            res.status(200).json(result);
+        } catch (error) {
+            if (!sendSchemaError(res, error)) {
+                throw error;
+            }
+        }
+    }));
+
+    /**
+     * POST /schemas/:topic/versions - Register a new schema version and make it active
+     */
+    router.post('/schemas/:topic/versions', asyncHandler(async (req, res) => {
+        const { schema } = req.body || {};
+        if (schema === undefined || schema === null) {
+            return res.status(400).json({
+                error: 'Missing required field: schema'
+            });
+        }
+
+        try {
+            const result = req.pubsub.registerSchema(req.params.topic, schema);
+            res.status(result.status === 'registered' ? 201 : 200).json(result);
+        } catch (error) {
+            if (!sendSchemaError(res, error)) {
+                throw error;
+            }
+        }
+    }));
+
+    /**
+     * POST /schemas/:topic/compatibility - Check a schema against the active
+     * version without registering it (optionally under another compatibility mode)
+     */
+    router.post('/schemas/:topic/compatibility', asyncHandler(async (req, res) => {
+        const { schema, compatibility } = req.body || {};
+        if (schema === undefined || schema === null) {
+            return res.status(400).json({
+                error: 'Missing required field: schema'
+            });
+        }
+        if (compatibility !== undefined && !SCHEMA_COMPATIBILITY_MODES.includes(compatibility)) {
+            return res.status(400).json({
+                error: `compatibility must be one of ${SCHEMA_COMPATIBILITY_MODES.join(', ')}`
+            });
+        }
+
+        try {
+            const problems = req.pubsub.checkSchemaCompatibility(req.params.topic, schema, compatibility);
+            res.status(200).json({ compatible: problems.length === 0, problems });
+        } catch (error) {
+            if (!sendSchemaError(res, error)) {
+                throw error;
+            }
+        }
+    }));
+
+    /**
+     * GET /topics/:name/retained - Get a topic's retained message
+     */
+    router.get('/topics/:name/retained', asyncHandler(async (req, res) => {
+        try {
+            const result = req.pubsub.getRetained(req.params.name);
+            if (!result.retained) {
+                return res.status(404).json({
+                    error: 'No retained message'
+                });
+            }
             res.status(200).json(result);
         } catch (error) {
             if (error.message === 'TOPIC_NOT_FOUND') {
@@ -70,27 +319,140 @@ export function createRestAPI(pubsub) {
         }
     }));
 
+    /**
+     * Map errors of durable subscription lookups to responses; returns false for other errors
+     */
+    const sendDurableError = (res, error) => {
+        switch (error.message) {
+            case 'TOPIC_NOT_FOUND':
+                res.status(404).json({ error: 'Topic not found' });
+                return true;
+            case 'DURABLE_SUBSCRIPTION_NOT_FOUND':
+                res.status(404).json({ error: 'Durable subscription not found' });
+                return true;
+            case 'DURABLE_SUBSCRIPTION_IN_USE':
+                res.status(409).json({ error: 'Durable subscription has an attached client' });
+                return true;
+            default:
+                return false;
+        }
+    };
+
+    /**
+     * GET /subscriptions - List durable subscriptions with cursor and lag (optionally ?topic=name)
+     */
+    router.get('/subscriptions', asyncHandler(async (req, res) => {
+        try {
+            const result = req.pubsub.getDurableSubscriptions(req.query.topic);
+            res.status(200).json(result);
+        } catch (error) {
+            if (!sendDurableError(res, error)) {
+                throw error;
+            }
+        }
+    }));
+
+    /**
+     * GET /topics/:name/subscriptions/:durable - Get one durable subscription
+     */
+    router.get('/topics/:name/subscriptions/:durable', asyncHandler(async (req, res) => {
+        try {
+            const result = req.pubsub.getDurableSubscription(req.params.name, req.params.durable);
+            res.status(200).json(result);
+        } catch (error) {
+            if (!sendDurableError(res, error)) {
+                throw error;
+            }
+        }
+    }));
+
+    /**
+     * POST /topics/:name/subscriptions/:durable/seek - Move a durable subscription's cursor
+     * to { offset }, { ts } or { position: 'earliest' | 'latest' }
+     */
+    router.post('/topics/:name/subscriptions/:durable/seek', asyncHandler(async (req, res) => {
+        const { offset, ts, position } = req.body || {};
+        const target = {};
+        if (offset !== undefined) {
+            if (!Number.isInteger(offset) || offset < 0) {
+                return res.status(400).json({ error: 'offset must be a non-negative integer' });
+            }
+            target.offset = offset;
+        } else if (ts !== undefined) {
+            target.ts = typeof ts === 'number' ? ts : Date.parse(ts);
+            if (!Number.isFinite(target.ts)) {
+                return res.status(400).json({ error: 'ts must be an ISO-8601 timestamp or epoch milliseconds' });
+            }
+        } else if (SEEK_POSITIONS.includes(position)) {
+            target.position = position;
+        } else {
+            return res.status(400).json({
+                error: `Provide offset, ts or position (${SEEK_POSITIONS.join(' or ')})`
+            });
+        }
+
+        try {
+            const result = req.pubsub.seekDurable(req.params.name, req.params.durable, target);
+            res.status(200).json(result);
+        } catch (error) {
+            if (!sendDurableError(res, error)) {
+                throw error;
+            }
+        }
+    }));
+
+    /**
+     * DELETE /topics/:name/subscriptions/:durable - Delete a durable subscription
+     */
+    router.delete('/topics/:name/subscriptions/:durable', asyncHandler(async (req, res) => {
+        try {
+            const result = req.pubsub.deleteDurable(req.params.name, req.params.durable);
+            res.status(200).json(result);
+        } catch (error) {
+            if (!sendDurableError(res, error)) {
+                throw error;
+            }
+        }
+    }));
+
     /**
      * GET /topics - List all topics with subscriber counts
      */
     router.get('/topics', asyncHandler(async (req, res) => {
-        const result = pubsub.getTopics();
+        const result = req.pubsub.getTopics();
         res.status(200).json(result);
     }));
 
     /**
-     * GET /health - Get system health information
+     * GET /scheduled - List pending delayed publishes (optionally ?topic=name)
      */
-    router.get('/health', asyncHandler(async (req, res) => {
-        const health = pubsub.getHealth();
-        res.status(200).json(health);
+    router.get('/scheduled', asyncHandler(async (req, res) => {
+        const result = req.pubsub.getScheduled(req.query.topic);
+        res.status(200).json(result);
+    }));
+
+    /**
+     * DELETE /scheduled/:id - Cancel a pending delayed publish
+     */
+    router.delete('/scheduled/:id', asyncHandler(async (req, res) => {
+        try {
+            const result = req.pubsub.cancelScheduled(req.params.id);
+            res.status(200).json(result);
+        } catch (error) {
+            if (error.message === 'SCHEDULED_NOT_FOUND') {
+                return res.status(404).json({
+                    error: 'Scheduled message not found'
+                });
+            }
+            throw error;
+        }
     }));
 
     /**
      * GET /stats - Get detailed system statistics
      */
     router.get('/stats', asyncHandler(async (req, res) => {
-        const stats = pubsub.getStats();
+        const stats = req.pubsub.getStats();
         res.status(200).json(stats);
     }));
 
@@ -124,7 +486,7 @@ export function createRestAPI(pubsub) {
 /**
  * Create Express app with REST API
  */
-export function createExpressApp(pubsub) {
+export function createExpressApp(tenants) {
     const app = express();
 
     // Security and parsing middleware
@@ -137,7 +499,7 @@ export function createExpressApp(pubsub) {
 
         res.on('finish', () => {
             const duration = Date.now() - start;
-            console.log(`${req.method} ${req.url} - ${res.statusCode} (${duration}ms)`);
+            console.log(`${req.method} ${redactUrl(req.originalUrl)} - ${res.statusCode} (${duration}ms)`);
         });
 
         next();
@@ -153,6 +515,9 @@ export function createExpressApp(pubsub) {
                 websocket: '/ws',
                 rest: {
                     topics: '/topics',
+                    scheduled: '/scheduled',
+                    subscriptions: '/subscriptions',
+                    schemas: '/schemas',
                     health: '/health',
                     stats: '/stats'
                 }
@@ -160,8 +525,23 @@ export function createExpressApp(pubsub) {
         });
     });
 
+    /**
+     * GET /health - Get system health information. Mounted ahead of the
+     * authenticated routes so probes need no API key; without a valid key
+     * only the uptime is reported.
+     */
+    app.get('/health', (req, res) => {
+        const tenant = tenants.authenticateRequest(req);
+        if (tenant) {
+            return res.status(200).json(tenant.pubsub.getHealth());
+        }
+
+        const [anyTenant] = tenants;
+        res.status(200).json({ uptime_sec: anyTenant.pubsub.getHealth().uptime_sec });
+    });
+
     // Mount REST API routes
-    app.use('/', createRestAPI(pubsub));
+    app.use('/', createRestAPI(tenants));
 
     // Global error handler
     app.use((error, req, res, next) => {
@@ -181,3 +561,28 @@ export function createExpressApp(pubsub) {
 
     return app;
 }
+
+/**
+ * Topic a REST request operates on, if any
+ */
+function getRequestTopic(req) {
+    const match = /^\/(?:topics|schemas)\/([^/]+)/.exec(req.path);
+    if (match) {
+        try {
+            return decodeURIComponent(match[1]);
+        } catch (error) {
+            return match[1];
+        }
+    }
+    if (req.path === '/topics' && req.method === 'POST' && req.body && typeof req.body.name === 'string') {
+        return req.body.name.trim();
+    }
+    return req.query.topic;
+}
+
+/**
+ * Request URL with API keys in the query string masked, for logging
+ */
+function redactUrl(url) {
+    return url.replace(/([?&]api_key=)[^&]*/g, '$1[REDACTED]');
+}
@@ -0,0 +1,61 @@
+/**
+ * Fixed-capacity circular buffer. Pushing onto a full buffer overwrites
+ * the oldest item in O(1).
+ */
+export class RingBuffer {
+    constructor(capacity, items = []) {
+        this.capacity = capacity;
+        this.items = new Array(capacity);
+        this.start = 0; // index of the oldest item
+        this.length = 0;
+
+        for (const item of items) {
+            this.push(item);
+        }
+    }
+
+    /**
+     * Append an item; returns the evicted oldest item, if any
+     */
+    push(item) {
+        if (this.capacity === 0) {
+            return item;
+        }
+
+        if (this.length < this.capacity) {
+            this.items[(this.start + this.length) % this.capacity] = item;
+            this.length++;
+            return undefined;
+        }
+
+        const evicted = this.items[this.start];
+        this.items[this.start] = item;
+        this.start = (this.start + 1) % this.capacity;
+        return evicted;
+    }
+
+    /**
+     * Item at a position counted from the oldest (0) to the newest (length - 1)
+     */
+    get(index) {
+        if (index < 0 || index >= this.length) {
+            return undefined;
+        }
+        return this.items[(this.start + index) % this.capacity];
+    }
+
+    /**
+     * Items oldest first
+     */
+    toArray() {
+        const array = new Array(this.length);
+        for (let i = 0; i < this.length; i++) {
+            array[i] = this.items[(this.start + i) % this.capacity];
+        }
+        return array;
+    }
+
+    [Symbol.iterator]() {
+        return this.toArray()[Symbol.iterator]();
+    }
+}
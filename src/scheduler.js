@@ -0,0 +1,193 @@
+import { v4 as uuidv4 } from 'uuid';
+
+// setTimeout cannot wait longer than this; longer delays are re-armed
+const MAX_TIMER_DELAY = 2 ** 31 - 1;
+
+// How long a message refused by a full BLOCK topic waits before it is tried again
+const QUEUE_FULL_RETRY_MS = 1000;
+
+/**
+ * Holds delayed publishes until their delivery time. Pending messages are
+ * not part of a topic's history until they fire.
+ */
+export class PublishScheduler {
+    constructor(pubsub) {
+        this.pubsub = pubsub;
+        this.pending = new Map(); // id -> { id, topic, message, options, deliverAt, createdAt, timer }
+    }
+
+    /**
+     * Schedule a message to be published to a topic at deliverAt (epoch ms)
+     */
+    schedule(topicName, message, deliverAt, options = {}) {
+        if (!this.pubsub.topics.has(topicName)) {
+            throw new Error('TOPIC_NOT_FOUND');
+        }
+
+        const entry = {
+            id: uuidv4(),
+            topic: topicName,
+            message,
+            options,
+            deliverAt,
+            createdAt: Date.now()
+        };
+
+        this.add(entry);
+        this.pubsub.logOperation({ op: 'scheduled', entry: this.toRecord(entry) });
+
+        return {
+            status: 'scheduled',
+            id: entry.id,
+            topic: topicName,
+            deliver_at: new Date(deliverAt).toISOString()
+        };
+    }
+
+    /**
+     * Track an entry and arm its timer
+     */
+    add(entry) {
+        this.pending.set(entry.id, entry);
+        this.arm(entry);
+    }
+
+    /**
+     * Arm the entry's timer, chaining timers for very long delays
+     */
+    arm(entry) {
+        const delay = Math.max(0, entry.deliverAt - Date.now());
+        entry.timer = setTimeout(() => {
+            if (entry.deliverAt > Date.now()) {
+                this.arm(entry);
+            } else {
+                this.fire(entry.id);
+            }
+        }, Math.min(delay, MAX_TIMER_DELAY));
+        entry.timer.unref();
+    }
+
+    /**
+     * Publish a pending message now. A message refused because a subscriber
+     * queue of a BLOCK topic is full stays pending and is retried.
+     */
+    fire(id) {
+        const entry = this.pending.get(id);
+        if (!entry) {
+            return null;
+        }
+
+        clearTimeout(entry.timer);
+        let result = null;
+        try {
+            // The rate quota was already charged when the message was scheduled
+            result = this.pubsub.publish(entry.topic, entry.message, { ...entry.options, internal: true });
+        } catch (error) {
+            if (error.message === 'QUEUE_FULL') {
+                entry.deliverAt = Date.now() + QUEUE_FULL_RETRY_MS;
+                this.arm(entry);
+                return null;
+            }
+            console.warn(`Failed to publish scheduled message ${id} to ${entry.topic}:`, error.message);
+        }
+
+        this.pending.delete(id);
+        this.pubsub.logOperation({ op: 'schedule_done', id });
+        return result;
+    }
+
+    /**
+     * Cancel a pending message
+     */
+    cancel(id) {
+        const entry = this.pending.get(id);
+        if (!entry) {
+            throw new Error('SCHEDULED_NOT_FOUND');
+        }
+
+        clearTimeout(entry.timer);
+        this.pending.delete(id);
+        this.pubsub.logOperation({ op: 'schedule_done', id });
+
+        return { status: 'cancelled', ...this.describe(entry) };
+    }
+
+    /**
+     * Cancel every pending message of a topic (e.g. when it is deleted)
+     */
+    cancelTopic(topicName) {
+        for (const entry of [...this.pending.values()]) {
+            if (entry.topic === topicName) {
+                this.cancel(entry.id);
+            }
+        }
+    }
+
+    /**
+     * Check whether a topic has pending messages
+     */
+    hasPending(topicName) {
+        for (const entry of this.pending.values()) {
+            if (entry.topic === topicName) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * List pending messages, optionally for one topic, soonest first
+     */
+    list(topicName) {
+        const scheduled = [...this.pending.values()]
+            .filter(entry => !topicName || entry.topic === topicName)
+            .sort((a, b) => a.deliverAt - b.deliverAt)
+            .map(entry => this.describe(entry));
+
+        return { scheduled };
+    }
+
+    /**
+     * Publish every pending message immediately
+     */
+    flushAll() {
+        const ids = this.list().scheduled.map(entry => entry.id);
+        for (const id of ids) {
+            this.fire(id);
+        }
+        return ids.length;
+    }
+
+    /**
+     * Stop all timers without publishing or cancelling anything
+     */
+    stop() {
+        for (const entry of this.pending.values()) {
+            clearTimeout(entry.timer);
+        }
+    }
+
+    /**
+     * REST/reporting view of an entry
+     */
+    describe(entry) {
+        return {
+            id: entry.id,
+            topic: entry.topic,
+            deliver_at: new Date(entry.deliverAt).toISOString(),
+            created_at: new Date(entry.createdAt).toISOString(),
+            message: entry.message,
+            ...(entry.options.retain && { retain: true }),
+            ...(entry.options.priority !== undefined && { priority: entry.options.priority }),
+            ...(entry.options.schemaVersion !== undefined && { schema_version: entry.options.schemaVersion })
+        };
+    }
+
+    /**
+     * Durable log representation of an entry
+     */
+    toRecord(entry) {
+        const { timer, ...record } = entry;
+        return record;
+    }
+}
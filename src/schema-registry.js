@@ -0,0 +1,198 @@
+import { compileSchema, deepEqual } from './json-schema.js';
+
+export const SCHEMA_COMPATIBILITY_MODES = ['none', 'backward', 'forward', 'full'];
+export const DEFAULT_SCHEMA_COMPATIBILITY = 'backward';
+
+/**
+ * Compatibility rules of the per-topic schema registry
+ *
+ * A new schema version is compared with the topic's active version:
+ *
+ *   backward  payloads valid under the active version stay valid, so
+ *             consumers on the new version can read existing events
+ *   forward   payloads valid under the new version are valid under the
+ *             active one, so consumers still on it can read new events
+ *   full      both
+ *   none      no check
+ *
+ * The check is structural and conservative: a change it cannot prove
+ * safe (e.g. an edited anyOf) is reported as incompatible.
+ */
+
+/**
+ * List the reasons schema next breaks the compatibility mode against
+ * previous (null when the topic has no schema yet); empty if compatible.
+ * labels name the two versions in the reasons.
+ */
+export function checkCompatibility(previous, next, mode, labels = { previous: 'previous version', next: 'new version' }) {
+    if (previous === null || previous === undefined || mode === 'none') {
+        return [];
+    }
+
+    const problems = [];
+    if (mode === 'backward' || mode === 'full') {
+        // Everything the previous version accepted must pass the new one
+        checkSubschema(previous, next, 'payload', { narrow: labels.previous, wide: labels.next }, problems);
+    }
+    if (mode === 'forward' || mode === 'full') {
+        checkSubschema(next, previous, 'payload', { narrow: labels.next, wide: labels.previous }, problems);
+    }
+    return problems;
+}
+
+const COMPOSITION_KEYWORDS = ['allOf', 'anyOf', 'oneOf', 'not'];
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function describe(value) {
+    return value === undefined ? 'none' : JSON.stringify(value);
+}
+
+/**
+ * Record every way in which schema wide may reject a value schema narrow accepts
+ */
+function checkSubschema(narrow, wide, path, labels, problems) {
+    const report = (message) => problems.push({ path, message });
+
+    if (wide === true || narrow === false || deepEqual(narrow, wide)) {
+        return;
+    }
+    if (wide === false) {
+        report(`${labels.wide} allows no value here`);
+        return;
+    }
+    if (narrow === true) {
+        narrow = {};
+    }
+
+    // A finite set of values can be checked directly
+    const values = 'const' in narrow ? [narrow.const] : (Array.isArray(narrow.enum) ? narrow.enum : null);
+    if (values) {
+        const validate = compileSchema(wide);
+        for (const value of values) {
+            if (validate(value).length > 0) {
+                report(`${labels.wide} rejects ${JSON.stringify(value)}, which ${labels.narrow} allows`);
+            }
+        }
+        return;
+    }
+    if ('const' in wide || 'enum' in wide) {
+        report(`${labels.wide} restricts the allowed values`);
+    }
+
+    checkTypes(narrow, wide, report, labels);
+    checkBound(narrow, wide, 'lower', report, labels);
+    checkBound(narrow, wide, 'upper', report, labels);
+    for (const [min, max] of [['minLength', 'maxLength'], ['minItems', 'maxItems'], ['minProperties', 'maxProperties']]) {
+        if (wide[min] !== undefined && (narrow[min] ?? 0) < wide[min]) {
+            report(`${labels.wide} has ${min} ${wide[min]} (${labels.narrow}: ${describe(narrow[min])})`);
+        }
+        if (wide[max] !== undefined && (narrow[max] === undefined || narrow[max] > wide[max])) {
+            report(`${labels.wide} has ${max} ${wide[max]} (${labels.narrow}: ${describe(narrow[max])})`);
+        }
+    }
+    if (wide.pattern !== undefined && narrow.pattern !== wide.pattern) {
+        report(`${labels.wide} requires pattern ${wide.pattern} (${labels.narrow}: ${describe(narrow.pattern)})`);
+    }
+    if (wide.multipleOf !== undefined &&
+        (narrow.multipleOf === undefined || !Number.isInteger(Number((narrow.multipleOf / wide.multipleOf).toPrecision(12))))) {
+        report(`${labels.wide} requires multiples of ${wide.multipleOf} (${labels.narrow}: ${describe(narrow.multipleOf)})`);
+    }
+    if (wide.uniqueItems === true && narrow.uniqueItems !== true) {
+        report(`${labels.wide} requires unique items`);
+    }
+    for (const keyword of COMPOSITION_KEYWORDS) {
+        if (wide[keyword] !== undefined && !deepEqual(wide[keyword], narrow[keyword])) {
+            report(`${labels.wide} changes ${keyword}, which cannot be checked for compatibility`);
+        }
+    }
+
+    checkObject(narrow, wide, path, labels, problems);
+    if (narrow.items !== undefined || wide.items !== undefined) {
+        checkSubschema(narrow.items ?? true, wide.items ?? true, `${path}[]`, labels, problems);
+    }
+}
+
+function checkTypes(narrow, wide, report, labels) {
+    if (wide.type === undefined) {
+        return;
+    }
+
+    const wideTypes = [].concat(wide.type);
+    if (narrow.type === undefined) {
+        report(`${labels.wide} only allows ${wideTypes.join(' or ')}`);
+        return;
+    }
+
+    for (const type of [].concat(narrow.type)) {
+        if (!wideTypes.includes(type) && !(type === 'integer' && wideTypes.includes('number'))) {
+            report(`${labels.wide} does not allow ${type}, which ${labels.narrow} allows`);
+        }
+    }
+}
+
+/**
+ * Effective numeric bound of a schema: { value, exclusive } or null
+ */
+function getBound(schema, side) {
+    const [inclusive, exclusive] = side === 'lower'
+        ? ['minimum', 'exclusiveMinimum']
+        : ['maximum', 'exclusiveMaximum'];
+    const tighter = side === 'lower' ? (a, b) => a > b : (a, b) => a < b;
+
+    let bound = null;
+    if (typeof schema[inclusive] === 'number') {
+        bound = { value: schema[inclusive], exclusive: false };
+    }
+    if (typeof schema[exclusive] === 'number' &&
+        (bound === null || !tighter(bound.value, schema[exclusive]))) {
+        bound = { value: schema[exclusive], exclusive: true };
+    }
+    return bound;
+}
+
+function checkBound(narrow, wide, side, report, labels) {
+    const wideBound = getBound(wide, side);
+    if (wideBound === null) {
+        return;
+    }
+
+    const narrowBound = getBound(narrow, side);
+    let covered = false;
+    if (narrowBound !== null) {
+        const stricter = side === 'lower' ? narrowBound.value > wideBound.value : narrowBound.value < wideBound.value;
+        covered = stricter ||
+            (narrowBound.value === wideBound.value && (narrowBound.exclusive || !wideBound.exclusive));
+    }
+    if (!covered) {
+        const format = (bound) => bound === null ? 'none' : `${bound.exclusive ? 'exclusive ' : ''}${bound.value}`;
+        report(`${labels.wide} has ${side} bound ${format(wideBound)} (${labels.narrow}: ${format(narrowBound)})`);
+    }
+}
+
+function checkObject(narrow, wide, path, labels, problems) {
+    for (const name of wide.required || []) {
+        if (!(narrow.required || []).includes(name)) {
+            problems.push({ path: `${path}.${name}`, message: `${labels.wide} requires it, ${labels.narrow} does not` });
+        }
+    }
+
+    const narrowProperties = isPlainObject(narrow.properties) ? narrow.properties : {};
+    const wideProperties = isPlainObject(wide.properties) ? wide.properties : {};
+    const names = new Set([...Object.keys(narrowProperties), ...Object.keys(wideProperties)]);
+    for (const name of names) {
+        checkSubschema(
+            name in narrowProperties ? narrowProperties[name] : (narrow.additionalProperties ?? true),
+            name in wideProperties ? wideProperties[name] : (wide.additionalProperties ?? true),
+            `${path}.${name}`,
+            labels,
+            problems
+        );
+    }
+
+    if (narrow.additionalProperties !== undefined || wide.additionalProperties !== undefined) {
+        checkSubschema(narrow.additionalProperties ?? true, wide.additionalProperties ?? true, `${path}.*`, labels, problems);
+    }
+}
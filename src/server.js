@@ -1,26 +1,97 @@
 import http from 'http';
+import path from 'path';
 import { WebSocketServer } from 'ws';
-import { PubSubSystem } from './pubsub.js';
+import { PubSubSystem, BACKPRESSURE_POLICIES, SCHEDULED_SHUTDOWN_POLICIES, AUTO_CREATE_POLICIES } from './pubsub.js';
 import { WebSocketHandler } from './websocket-handler.js';
 import { createExpressApp } from './rest-api.js';
+import { MessageLog, FSYNC_POLICIES } from './message-log.js';
+import { TenantRegistry, DEFAULT_TENANT_ID } from './tenants.js';
+import { MemoryStorage, FileStorage, STORAGE_BACKENDS } from './storage.js';
+import { PluginManager } from './plugins.js';
+import { SessionRegistry } from './sessions.js';
+import { RateLimiter } from './rate-limit.js';
+import { SCHEMA_COMPATIBILITY_MODES, DEFAULT_SCHEMA_COMPATIBILITY } from './schema-registry.js';
 
 /**
  * Main server class that combines HTTP REST API and WebSocket endpoints
  */
 class PubSubServer {
     constructor(options = {}) {
-        this.port = options.port || process.env.PORT || 3000;
+        this.port = options.port ?? (process.env.PORT || 3000); // 0 picks a free port
         this.host = options.host || process.env.HOST || '0.0.0.0';
 
-        // Initialize core components
-        this.pubsub = new PubSubSystem({
+        // Optional durable message log; each tenant logs to its own directory
+        this.logDir = options.logDir || process.env.LOG_DIR;
+        this.messageLogs = [];
+        if (options.logFsyncPolicy !== undefined && !FSYNC_POLICIES.includes(options.logFsyncPolicy)) {
+            throw new Error('INVALID_FSYNC_POLICY');
+        }
+
+        // Storage backend: 'memory', 'file' or a function (tenantId) -> backend
+        this.storage = options.storage || process.env.STORAGE || 'memory';
+        this.storageDir = options.storageDir || process.env.STORAGE_DIR || './data';
+        if (typeof this.storage !== 'function' && !STORAGE_BACKENDS.includes(this.storage)) {
+            throw new Error('INVALID_STORAGE_BACKEND');
+        }
+        this.storageBackends = [];
+
+        // Settings shared by every tenant's PubSubSystem
+        this.pubsubOptions = {
             maxQueueSize: options.maxQueueSize || 1000,
+            maxQueueBytes: options.maxQueueBytes,
+            socketHighWaterMark: options.socketHighWaterMark,
             ringBufferSize: options.ringBufferSize || 100,
-            backpressurePolicy: options.backpressurePolicy || 'DROP_OLDEST'
-        });
+            backpressurePolicy: options.backpressurePolicy || 'DROP_OLDEST',
+            ackTimeoutMs: options.ackTimeoutMs || 30000,
+            maxInFlight: options.maxInFlight || 100,
+            maxDeliveryAttempts: options.maxDeliveryAttempts,
+            dedupWindowMs: options.dedupWindowMs,
+            dedupWindowSize: options.dedupWindowSize,
+            scheduledOnShutdown: options.scheduledOnShutdown || 'report',
+            partitions: options.partitions,
+            idleTtlMs: options.idleTtlMs,
+            maxPayloadBytes: options.maxPayloadBytes,
+            schemaCompatibility: options.schemaCompatibility || process.env.SCHEMA_COMPATIBILITY || DEFAULT_SCHEMA_COMPATIBILITY,
+            autoCreateTopics: options.autoCreateTopics || process.env.AUTO_CREATE_TOPICS || 'strict',
+            autoCreatePatterns: options.autoCreatePatterns ||
+                (process.env.AUTO_CREATE_PATTERNS ? process.env.AUTO_CREATE_PATTERNS.split(',') : [])
+        };
+        if (!AUTO_CREATE_POLICIES.includes(this.pubsubOptions.autoCreateTopics)) {
+            throw new Error('INVALID_AUTO_CREATE_POLICY');
+        }
+        if (!SCHEMA_COMPATIBILITY_MODES.includes(this.pubsubOptions.schemaCompatibility)) {
+            throw new Error('INVALID_SCHEMA_COMPATIBILITY');
+        }
+        if (!BACKPRESSURE_POLICIES.includes(this.pubsubOptions.backpressurePolicy)) {
+            throw new Error('INVALID_BACKPRESSURE_POLICY');
+        }
+        if (!SCHEDULED_SHUTDOWN_POLICIES.includes(this.pubsubOptions.scheduledOnShutdown)) {
+            throw new Error('INVALID_SCHEDULED_SHUTDOWN_POLICY');
+        }
+
+        // Plugins shared by every tenant, loaded when the server starts
+        const pluginsFile = options.pluginsFile || process.env.PLUGINS_FILE;
+        this.pluginDefinitions = options.plugins ||
+            (pluginsFile ? PluginManager.loadDefinitions(pluginsFile) : []);
+        this.plugins = new PluginManager();
+
+        // Token-bucket limits, e.g. "publish.connection=100:200,rest.client=20"; see rate-limit.js
+        this.rateLimiter = new RateLimiter(RateLimiter.parse(options.rateLimits || process.env.RATE_LIMITS));
 
-        this.wsHandler = new WebSocketHandler(this.pubsub);
-        this.app = createExpressApp(this.pubsub);
+        // Tenants (namespaces); without definitions a single open default tenant
+        const tenantsFile = options.tenantsFile || process.env.TENANTS_FILE;
+        const tenantDefinitions = options.tenants ||
+            (tenantsFile ? TenantRegistry.loadDefinitions(tenantsFile) : null);
+        this.tenants = TenantRegistry.fromConfig(tenantDefinitions, (tenantId, quotas) =>
+            this.createPubSub(tenantId, quotas, options));
+
+        // Dropped connections can resume their subscriptions within the grace period
+        const sessionGraceMs = options.sessionGraceMs ??
+            (process.env.SESSION_GRACE_MS !== undefined ? parseInt(process.env.SESSION_GRACE_MS, 10) : undefined);
+        this.sessions = new SessionRegistry({ graceMs: sessionGraceMs });
+
+        this.wsHandler = new WebSocketHandler(this.tenants, this.sessions);
+        this.app = createExpressApp(this.tenants);
 
         // Create HTTP server
         this.server = http.createServer(this.app);
@@ -35,6 +106,63 @@ class PubSubServer {
         this.setupGracefulShutdown();
     }
 
+    /**
+     * Create the storage backend of one tenant
+     */
+    createStorage(tenantId) {
+        let storage;
+        if (typeof this.storage === 'function') {
+            storage = this.storage(tenantId);
+        } else if (this.storage === 'file') {
+            storage = new FileStorage({ directory: path.join(this.storageDir, tenantId) });
+        } else {
+            storage = new MemoryStorage();
+        }
+        this.storageBackends.push(storage);
+        return storage;
+    }
+
+    /**
+     * Build the PubSubSystem of one tenant, restoring it from its log
+     */
+    createPubSub(tenantId, quotas, options) {
+        let messageLog = null;
+        if (this.logDir) {
+            // The default tenant keeps the top-level directory so existing logs still restore
+            const directory = tenantId === DEFAULT_TENANT_ID ? this.logDir : path.join(this.logDir, tenantId);
+            messageLog = new MessageLog({
+                directory,
+                segmentSize: options.logSegmentSize,
+                fsyncPolicy: options.logFsyncPolicy,
+                fsyncIntervalMs: options.logFsyncIntervalMs
+            });
+            this.messageLogs.push(messageLog);
+        }
+
+        const storage = this.createStorage(tenantId);
+        const pubsub = new PubSubSystem({
+            ...this.pubsubOptions,
+            quotas,
+            messageLog,
+            storage,
+            plugins: this.plugins,
+            rateLimiter: this.rateLimiter,
+            tenantId
+        });
+        if (storage.persistent) {
+            console.log(`Loaded ${pubsub.topics.size} topics for tenant ${tenantId} from storage`);
+        }
+
+        // Rebuild topics and replay buffers from the log
+        if (messageLog) {
+            const restored = pubsub.restoreFromLog();
+            console.log(`Restored ${restored.topics} topics, ${restored.messages} messages and ` +
+                `${restored.scheduled} scheduled messages for tenant ${tenantId} from ${messageLog.directory}`);
+        }
+
+        return pubsub;
+    }
+
     /**
      * Set up WebSocket server event handlers
      */
@@ -74,8 +202,8 @@ class PubSubServer {
                     clearInterval(this.heartbeatInterval);
                 }
 
-                // Graceful shutdown of PubSub system
-                await this.pubsub.gracefulShutdown();
+                // Graceful shutdown of every tenant's PubSub system
+                await this.tenants.gracefulShutdown();
 
                 console.log('Graceful shutdown completed');
                 process.exit(0);
@@ -106,12 +234,16 @@ class PubSubServer {
      * Start the server
      */
     async start() {
+        // Register plugins before the first connection can reach a hook
+        await this.plugins.load(this.pluginDefinitions);
+
         return new Promise((resolve, reject) => {
             this.server.listen(this.port, this.host, (error) => {
                 if (error) {
                     reject(error);
                     return;
                 }
+                this.port = this.server.address().port;
 
                 console.log('='.repeat(60));
                 console.log('🚀 Plivo PubSub Server Started');
@@ -125,13 +257,51 @@ class PubSubServer {
                 console.log('   GET    /stats      - System statistics');
                 console.log('   GET    /topics     - List topics');
                 console.log('   POST   /topics     - Create topic');
+                console.log('   PATCH  /topics/:name - Update topic schema and payload limit');
                 console.log('   DELETE /topics/:name - Delete topic');
+                console.log('   GET    /topics/:name/retained - Retained message');
+                console.log('   GET    /scheduled  - List scheduled messages');
+                console.log('   DELETE /scheduled/:id - Cancel scheduled message');
+                console.log('   GET    /subscriptions - List durable subscriptions');
+                console.log('   GET    /topics/:name/subscriptions/:durable - Durable subscription');
+                console.log('   POST   /topics/:name/subscriptions/:durable/seek - Seek cursor');
+                console.log('   DELETE /topics/:name/subscriptions/:durable - Delete durable subscription');
+                console.log('   GET    /schemas    - List topics with schemas');
+                console.log('   GET    /schemas/:topic - Schema versions of a topic');
+                console.log('   GET    /schemas/:topic/versions/:version - Schema version');
+                console.log('   POST   /schemas/:topic/versions - Register schema version');
+                console.log('   POST   /schemas/:topic/compatibility - Check schema compatibility');
                 console.log('   WS     /ws         - WebSocket endpoint');
                 console.log('='.repeat(60));
                 console.log('📊 Configuration:');
-                console.log(`   Max Queue Size: ${this.pubsub.maxQueueSize}`);
-                console.log(`   Ring Buffer Size: ${this.pubsub.ringBufferSize}`);
-                console.log(`   Backpressure Policy: ${this.pubsub.backpressurePolicy}`);
+                console.log(`   Max Queue Size: ${this.pubsubOptions.maxQueueSize}` +
+                    (this.pubsubOptions.maxQueueBytes ? ` (${this.pubsubOptions.maxQueueBytes} bytes)` : ''));
+                console.log(`   Ring Buffer Size: ${this.pubsubOptions.ringBufferSize}`);
+                console.log(`   Backpressure Policy: ${this.pubsubOptions.backpressurePolicy}`);
+                console.log(`   Ack Timeout: ${this.pubsubOptions.ackTimeoutMs}ms (max in-flight: ${this.pubsubOptions.maxInFlight})`);
+                if (this.messageLogs.length > 0) {
+                    console.log(`   Message Log: ${this.logDir} (fsync: ${this.messageLogs[0].fsyncPolicy})`);
+                }
+                console.log(`   Session Resumption: ${this.sessions.graceMs > 0 ? `${this.sessions.graceMs}ms grace period` : 'disabled'}`);
+                if (this.rateLimiter.enabled) {
+                    console.log(`   Rate Limits: ${this.rateLimiter.describe().join(', ')}`);
+                }
+                console.log(`   Schema Compatibility: ${this.pubsubOptions.schemaCompatibility}`);
+                if (this.pubsubOptions.maxPayloadBytes) {
+                    console.log(`   Max Payload Size: ${this.pubsubOptions.maxPayloadBytes} bytes`);
+                }
+                if (this.pubsubOptions.idleTtlMs) {
+                    console.log(`   Topic Idle TTL: ${this.pubsubOptions.idleTtlMs}ms`);
+                }
+                console.log(`   Topic Auto-Creation: ${this.pubsubOptions.autoCreateTopics}` +
+                    (this.pubsubOptions.autoCreateTopics === 'pattern' ? ` (${this.pubsubOptions.autoCreatePatterns.join(', ')})` : ''));
+                console.log(`   Storage: ${typeof this.storage === 'function' ? 'custom' : this.storage}` +
+                    (this.storage === 'file' ? ` (${this.storageDir})` : ''));
+                console.log(`   Tenants: ${[...this.tenants].map(tenant => tenant.id).join(', ')}` +
+                    (this.tenants.requiresAuth ? ' (API key required)' : ' (no authentication)'));
+                if (this.plugins.plugins.length > 0) {
+                    console.log(`   Plugins: ${this.plugins.plugins.map(plugin => plugin.name).join(', ')}`);
+                }
                 console.log('='.repeat(60));
 
                 resolve();
@@ -145,6 +315,13 @@ class PubSubServer {
     async stop() {
         return new Promise((resolve) => {
             this.server.close(() => {
+                for (const messageLog of this.messageLogs) {
+                    messageLog.close();
+                }
+                for (const storage of this.storageBackends) {
+                    storage.close();
+                }
+                this.rateLimiter.close();
                 console.log('Server stopped');
                 resolve();
             });
@@ -175,13 +352,86 @@ async function main() {
                 case '--max-queue-size':
                     options.maxQueueSize = parseInt(value, 10);
                     break;
+                case '--max-queue-bytes':
+                    options.maxQueueBytes = parseInt(value, 10);
+                    break;
+                case '--socket-high-water-mark':
+                    options.socketHighWaterMark = parseInt(value, 10);
+                    break;
                 case '--ring-buffer-size':
                     options.ringBufferSize = parseInt(value, 10);
                     break;
                 case '--backpressure-policy':
-                    if (['DROP_OLDEST', 'DISCONNECT'].includes(value)) {
-                        options.backpressurePolicy = value;
-                    }
+                    // Validated by the constructor, so a typo fails the start
+                    options.backpressurePolicy = value;
+                    break;
+                case '--ack-timeout-ms':
+                    options.ackTimeoutMs = parseInt(value, 10);
+                    break;
+                case '--max-in-flight':
+                    options.maxInFlight = parseInt(value, 10);
+                    break;
+                case '--max-delivery-attempts':
+                    options.maxDeliveryAttempts = parseInt(value, 10);
+                    break;
+                case '--dedup-window-ms':
+                    options.dedupWindowMs = parseInt(value, 10);
+                    break;
+                case '--dedup-window-size':
+                    options.dedupWindowSize = parseInt(value, 10);
+                    break;
+                case '--scheduled-on-shutdown':
+                    // Validated by the constructor, so a typo fails the start
+                    options.scheduledOnShutdown = value;
+                    break;
+                case '--log-dir':
+                    options.logDir = value;
+                    break;
+                case '--log-segment-size':
+                    options.logSegmentSize = parseInt(value, 10);
+                    break;
+                case '--log-fsync':
+                    // Validated by the constructor, so a typo fails the start
+                    options.logFsyncPolicy = value;
+                    break;
+                case '--partitions':
+                    options.partitions = parseInt(value, 10);
+                    break;
+                case '--storage':
+                    // Validated with the environment variable, so a typo fails the start
+                    options.storage = value;
+                    break;
+                case '--storage-dir':
+                    options.storageDir = value;
+                    break;
+                case '--tenants-file':
+                    options.tenantsFile = value;
+                    break;
+                case '--session-grace-ms':
+                    options.sessionGraceMs = parseInt(value, 10);
+                    break;
+                case '--idle-ttl-ms':
+                    options.idleTtlMs = parseInt(value, 10);
+                    break;
+                case '--max-payload-bytes':
+                    options.maxPayloadBytes = parseInt(value, 10);
+                    break;
+                case '--schema-compatibility':
+                    // Validated with the environment variable, so a typo fails the start
+                    options.schemaCompatibility = value;
+                    break;
+                case '--auto-create-topics':
+                    // Validated with the environment variable, so a typo fails the start
+                    options.autoCreateTopics = value;
+                    break;
+                case '--auto-create-patterns':
+                    options.autoCreatePatterns = value.split(',');
+                    break;
+                case '--plugins-file':
+                    options.pluginsFile = value;
+                    break;
+                case '--rate-limits':
+                    options.rateLimits = value;
                     break;
             }
         }
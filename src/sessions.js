@@ -0,0 +1,116 @@
+import crypto from 'crypto';
+
+export const DEFAULT_SESSION_GRACE_MS = 30000;
+
+/**
+ * Resumable WebSocket sessions
+ *
+ * Every connection gets a session with a random token, listed in its
+ * welcome message. When the connection drops, the subscribers it created
+ * are suspended instead of removed: they keep their subscriptions and
+ * keep queueing messages. A client that reconnects within the grace
+ * period with ?session_token=<token> (same tenant) takes the session
+ * over and receives everything queued meanwhile. Once the grace period
+ * runs out the subscribers are removed as before. A grace period of 0
+ * disables resumption.
+ */
+export class SessionRegistry {
+    constructor(options = {}) {
+        this.graceMs = options.graceMs ?? DEFAULT_SESSION_GRACE_MS;
+        this.sessions = new Map(); // token -> { token, tenant, ws, connected, subscriberIds: Set, timer }
+    }
+
+    /**
+     * Bind a new connection to a session: the one named by token if it
+     * can be resumed, otherwise a fresh one. Returns { session, resumed }.
+     */
+    open(tenant, ws, token) {
+        const existing = token ? this.sessions.get(token) : null;
+        if (existing && existing.tenant === tenant) {
+            this.takeOver(existing, ws);
+            return { session: existing, resumed: true };
+        }
+
+        const session = {
+            token: crypto.randomBytes(24).toString('base64url'),
+            tenant,
+            ws, // current or, while suspended, last connection
+            connected: true,
+            subscriberIds: new Set(), // client_ids subscribed over this session
+            timer: null
+        };
+        this.sessions.set(session.token, session);
+        return { session, resumed: false };
+    }
+
+    /**
+     * Move a session and its subscribers to a new connection. A connection
+     * still holding the session (e.g. a half-open socket the heartbeat has
+     * not caught yet) is closed.
+     */
+    takeOver(session, ws) {
+        clearTimeout(session.timer);
+        session.timer = null;
+
+        const previous = session.ws;
+        if (session.connected && previous !== ws) {
+            previous.session = null;
+            try {
+                previous.close(1008, 'SESSION_RESUMED');
+            } catch (error) {
+                // The old connection is going away either way
+            }
+        }
+
+        session.ws = ws;
+        session.connected = true;
+
+        const pubsub = session.tenant.pubsub;
+        for (const subscriberId of [...session.subscriberIds]) {
+            if (!pubsub.resumeSubscriber(subscriberId, ws, previous)) {
+                // Removed meanwhile (e.g. as a slow consumer) or taken by another connection
+                session.subscriberIds.delete(subscriberId);
+            }
+        }
+    }
+
+    /**
+     * Suspend a closed connection's session for the grace period, or end it
+     * right away if resumption is disabled
+     */
+    suspend(session) {
+        session.connected = false;
+
+        if (this.graceMs <= 0) {
+            this.end(session);
+            return;
+        }
+
+        const pubsub = session.tenant.pubsub;
+        for (const subscriberId of session.subscriberIds) {
+            const subscriber = pubsub.subscribers.get(subscriberId);
+            if (subscriber && subscriber.ws === session.ws) {
+                pubsub.suspendSubscriber(subscriberId);
+            }
+        }
+
+        session.timer = setTimeout(() => this.end(session), this.graceMs);
+        session.timer.unref();
+    }
+
+    /**
+     * Drop a session and remove the subscribers still bound to its last connection
+     */
+    end(session) {
+        clearTimeout(session.timer);
+        this.sessions.delete(session.token);
+
+        const pubsub = session.tenant.pubsub;
+        for (const subscriberId of session.subscriberIds) {
+            const subscriber = pubsub.subscribers.get(subscriberId);
+            if (subscriber && subscriber.ws === session.ws) {
+                pubsub.removeSubscriber(subscriberId);
+            }
+        }
+    }
+}
@@ -0,0 +1,435 @@
+import fs from 'fs';
+import path from 'path';
+import { RingBuffer } from './ring-buffer.js';
+
+export const STORAGE_BACKENDS = ['memory', 'file'];
+
+/**
+ * Storage backends for topics and their history
+ *
+ * A backend owns the stored state of a PubSubSystem: the topic registry
+ * (name -> config), each topic's next offset and replay history (ring
+ * buffer), its retained event, its durable subscriptions (name -> cursor),
+ * its registered schema versions and its stats counters. Live state such as
+ * subscribers, consumer groups and in-flight messages stays in PubSubSystem.
+ *
+ * Every method is synchronous. Apart from hasTopic and createTopic they are
+ * only called for existing topics. A backend implements:
+ *
+ *   persistent                    true if state survives a restart
+ *   open()                        load stored state, returns the topic names
+ *   close()                       write out pending changes and release resources
+ *   createTopic(name, config, stats)
+ *   deleteTopic(name)
+ *   hasTopic(name)
+ *   listTopics()                  topic names in creation order
+ *   getTopicConfig(name)
+ *   setTopicConfig(name, config)  replace the config (ringBufferSize and partitions stay unchanged)
+ *   getNextOffset(name)           offset the next event of the topic gets
+ *   setNextOffset(name, offset)   restore the next offset (e.g. from a log snapshot)
+ *   appendMessage(name, event)    add to the history, advance the next offset past
+ *                                 event.offset and trim the history to
+ *                                 config.ringBufferSize; returns evicted events
+ *   getHistory(name)              array of events oldest first; callers must not modify it
+ *   getRetained(name)             retained event or null
+ *   setRetained(name, event)      event or null to clear
+ *   getTopicStats(name)
+ *   updateTopicStats(name, update) update(stats) modifies the stats in place
+ *   listDurables(name)            durable subscription states of the topic
+ *   getDurable(name, durableName) state or null
+ *   setDurable(name, durable)     create or replace a state, keyed by durable.name
+ *   deleteDurable(name, durableName)
+ *   listSchemas(name)             registered schema versions, oldest first
+ *   getSchema(name, version)      { version, schema, created_at } or null
+ *   setSchema(name, entry)        add a schema version, keyed by entry.version
+ *
+ * Stats objects are plain objects whose values may be numbers, arrays and
+ * Maps; the backend does not interpret them. Durable subscription states
+ * and schema versions are plain JSON objects.
+ */
+
+/**
+ * Keeps everything in process memory (lost on restart)
+ */
+export class MemoryStorage {
+    constructor() {
+        this.topics = new Map(); // topicName -> { config, nextOffset, history: RingBuffer, retained, stats, durables: Map, schemas: Map }
+    }
+
+    get persistent() {
+        return false;
+    }
+
+    open() {
+        return this.listTopics();
+    }
+
+    close() {
+    }
+
+    createTopic(name, config, stats) {
+        this.topics.set(name, {
+            config,
+            nextOffset: 0,
+            history: new RingBuffer(config.ringBufferSize),
+            retained: null,
+            stats,
+            durables: new Map(), // durableName -> state
+            schemas: new Map() // version -> { version, schema, created_at }
+        });
+    }
+
+    deleteTopic(name) {
+        this.topics.delete(name);
+    }
+
+    hasTopic(name) {
+        return this.topics.has(name);
+    }
+
+    listTopics() {
+        return [...this.topics.keys()];
+    }
+
+    getTopicConfig(name) {
+        return this.topics.get(name).config;
+    }
+
+    setTopicConfig(name, config) {
+        this.topics.get(name).config = config;
+    }
+
+    getNextOffset(name) {
+        return this.topics.get(name).nextOffset;
+    }
+
+    setNextOffset(name, offset) {
+        this.topics.get(name).nextOffset = offset;
+    }
+
+    appendMessage(name, event) {
+        const topic = this.topics.get(name);
+        const evicted = topic.history.push(event);
+        topic.nextOffset = Math.max(topic.nextOffset, event.offset + 1);
+        return evicted === undefined ? [] : [evicted];
+    }
+
+    getHistory(name) {
+        return this.topics.get(name).history.toArray();
+    }
+
+    getRetained(name) {
+        return this.topics.get(name).retained;
+    }
+
+    setRetained(name, event) {
+        this.topics.get(name).retained = event;
+    }
+
+    getTopicStats(name) {
+        return this.topics.get(name).stats;
+    }
+
+    updateTopicStats(name, update) {
+        update(this.topics.get(name).stats);
+    }
+
+    listDurables(name) {
+        return [...this.topics.get(name).durables.values()];
+    }
+
+    getDurable(name, durableName) {
+        return this.topics.get(name).durables.get(durableName) || null;
+    }
+
+    setDurable(name, durable) {
+        this.topics.get(name).durables.set(durable.name, durable);
+    }
+
+    deleteDurable(name, durableName) {
+        this.topics.get(name).durables.delete(durableName);
+    }
+
+    listSchemas(name) {
+        return [...this.topics.get(name).schemas.values()].sort((a, b) => a.version - b.version);
+    }
+
+    getSchema(name, version) {
+        return this.topics.get(name).schemas.get(version) || null;
+    }
+
+    setSchema(name, entry) {
+        this.topics.get(name).schemas.set(entry.version, entry);
+    }
+}
+
+/**
+ * Keeps a copy of everything in memory and mirrors it to a directory:
+ * one subdirectory per topic holding meta.json (config, next offset,
+ * retained event, durable subscriptions, schema versions, stats) and history.jsonl (appended events, compacted
+ * once it grows past twice the ring buffer). Published events, offsets,
+ * cursors and stats are written in one batch per flushIntervalMs and on
+ * close, so publishing does no file I/O; a crash loses at most the last
+ * interval. Config, retained events and schemas are written right away.
+ */
+export class FileStorage extends MemoryStorage {
+    constructor(options = {}) {
+        super();
+
+        if (!options.directory) {
+            throw new Error('STORAGE_DIRECTORY_REQUIRED');
+        }
+
+        this.directory = options.directory;
+        this.flushIntervalMs = options.flushIntervalMs || 1000;
+        this.dirty = new Set(); // topics whose meta.json is out of date
+        this.historyLines = new Map(); // topicName -> lines in history.jsonl, including pending ones
+        this.pendingHistory = new Map(); // topicName -> lines not yet appended to history.jsonl
+        this.flushTimer = null;
+    }
+
+    get persistent() {
+        return true;
+    }
+
+    open() {
+        fs.mkdirSync(this.directory, { recursive: true });
+
+        const topics = [];
+        for (const entry of fs.readdirSync(this.directory, { withFileTypes: true })) {
+            if (!entry.isDirectory()) {
+                continue;
+            }
+            try {
+                topics.push(this.loadTopic(path.join(this.directory, entry.name)));
+            } catch (error) {
+                console.warn(`Skipping unreadable topic directory ${entry.name}:`, error.message);
+            }
+        }
+
+        // Restore creation order
+        topics.sort((a, b) => a.createdAt - b.createdAt);
+        for (const topic of topics) {
+            this.topics.set(topic.name, topic.state);
+        }
+
+        this.flushTimer = setInterval(() => this.flush(), this.flushIntervalMs);
+        this.flushTimer.unref();
+
+        return this.listTopics();
+    }
+
+    /**
+     * Read one topic directory
+     */
+    loadTopic(directory) {
+        const meta = JSON.parse(fs.readFileSync(path.join(directory, 'meta.json'), 'utf8'));
+
+        const history = [];
+        let lines = 0;
+        const historyFile = path.join(directory, 'history.jsonl');
+        if (fs.existsSync(historyFile)) {
+            for (const line of fs.readFileSync(historyFile, 'utf8').split('\n')) {
+                if (line.trim().length === 0) {
+                    continue;
+                }
+                lines++;
+                try {
+                    history.push(JSON.parse(line));
+                } catch (error) {
+                    // A torn last line after a crash
+                    console.warn(`Skipping corrupt history record in ${historyFile}`);
+                }
+            }
+        }
+
+        const lastOffset = history.length > 0 ? history[history.length - 1].offset : -1;
+        this.historyLines.set(meta.name, lines);
+
+        return {
+            name: meta.name,
+            createdAt: meta.createdAt,
+            state: {
+                createdAt: meta.createdAt,
+                config: meta.config,
+                nextOffset: Math.max(meta.nextOffset, lastOffset + 1),
+                history: new RingBuffer(meta.config.ringBufferSize, history),
+                retained: meta.retained,
+                stats: decodeStats(meta.stats),
+                durables: new Map((meta.durables || []).map(durable => [durable.name, durable])),
+                schemas: new Map((meta.schemas || []).map(entry => [entry.version, entry]))
+            }
+        };
+    }
+
+    close() {
+        if (this.flushTimer) {
+            clearInterval(this.flushTimer);
+            this.flushTimer = null;
+        }
+        this.flush();
+    }
+
+    createTopic(name, config, stats) {
+        super.createTopic(name, config, stats);
+        this.topics.get(name).createdAt = Date.now();
+
+        fs.mkdirSync(this.topicDirectory(name), { recursive: true });
+        fs.writeFileSync(path.join(this.topicDirectory(name), 'history.jsonl'), '');
+        this.historyLines.set(name, 0);
+        this.writeMeta(name);
+    }
+
+    deleteTopic(name) {
+        super.deleteTopic(name);
+        this.dirty.delete(name);
+        this.historyLines.delete(name);
+        this.pendingHistory.delete(name);
+        fs.rmSync(this.topicDirectory(name), { recursive: true, force: true });
+    }
+
+    appendMessage(name, event) {
+        const evicted = super.appendMessage(name, event);
+
+        // Appended to history.jsonl by the next flush
+        let pending = this.pendingHistory.get(name);
+        if (!pending) {
+            pending = [];
+            this.pendingHistory.set(name, pending);
+        }
+        pending.push(JSON.stringify(event) + '\n');
+        const lines = this.historyLines.get(name) + 1;
+        this.historyLines.set(name, lines);
+        this.dirty.add(name);
+
+        // Rewrite the file with just the ring buffer once it is mostly evicted events
+        if (lines > 2 * Math.max(this.getTopicConfig(name).ringBufferSize, 1)) {
+            this.compactHistory(name);
+        }
+
+        return evicted;
+    }
+
+    setTopicConfig(name, config) {
+        super.setTopicConfig(name, config);
+        this.writeMeta(name);
+    }
+
+    setNextOffset(name, offset) {
+        super.setNextOffset(name, offset);
+        this.dirty.add(name);
+    }
+
+    setRetained(name, event) {
+        super.setRetained(name, event);
+        this.writeMeta(name);
+    }
+
+    updateTopicStats(name, update) {
+        super.updateTopicStats(name, update);
+        this.dirty.add(name);
+    }
+
+    setDurable(name, durable) {
+        super.setDurable(name, durable);
+        this.dirty.add(name);
+    }
+
+    deleteDurable(name, durableName) {
+        super.deleteDurable(name, durableName);
+        this.dirty.add(name);
+    }
+
+    setSchema(name, entry) {
+        super.setSchema(name, entry);
+        this.writeMeta(name);
+    }
+
+    /**
+     * Append pending history lines and write meta.json of every changed topic
+     */
+    flush() {
+        for (const [name, pending] of this.pendingHistory) {
+            try {
+                fs.appendFileSync(path.join(this.topicDirectory(name), 'history.jsonl'), pending.join(''));
+            } catch (error) {
+                console.error(`Failed to write history for topic ${name}:`, error.message);
+            }
+        }
+        this.pendingHistory.clear();
+
+        for (const name of this.dirty) {
+            try {
+                this.writeMeta(name);
+            } catch (error) {
+                console.error(`Failed to write storage for topic ${name}:`, error.message);
+            }
+        }
+    }
+
+    /**
+     * Replace history.jsonl with the current ring buffer, which holds the pending lines too
+     */
+    compactHistory(name) {
+        this.pendingHistory.delete(name);
+        const history = this.getHistory(name);
+        const historyFile = path.join(this.topicDirectory(name), 'history.jsonl');
+        const content = history.map(event => JSON.stringify(event) + '\n').join('');
+        writeFileAtomic(historyFile, content);
+        this.historyLines.set(name, history.length);
+    }
+
+    /**
+     * Write a topic's meta.json
+     */
+    writeMeta(name) {
+        const topic = this.topics.get(name);
+        const meta = {
+            name,
+            createdAt: topic.createdAt,
+            config: topic.config,
+            nextOffset: topic.nextOffset,
+            retained: topic.retained,
+            durables: [...topic.durables.values()],
+            schemas: [...topic.schemas.values()],
+            stats: encodeStats(topic.stats)
+        };
+        writeFileAtomic(path.join(this.topicDirectory(name), 'meta.json'), JSON.stringify(meta));
+        this.dirty.delete(name);
+    }
+
+    /**
+     * Directory of a topic; names are encoded so any topic name is a safe file name
+     */
+    topicDirectory(name) {
+        return path.join(this.directory, encodeURIComponent(name).replace(/\./g, '%2E'));
+    }
+}
+
+/**
+ * Write a file through a temporary file so readers never see a partial write
+ */
+function writeFileAtomic(file, content) {
+    const tmpFile = `${file}.tmp`;
+    fs.writeFileSync(tmpFile, content);
+    fs.renameSync(tmpFile, file);
+}
+
+/**
+ * Convert the Map values of a stats object to JSON-friendly entry lists, and back
+ */
+export function encodeStats(stats) {
+    const encoded = {};
+    for (const [field, value] of Object.entries(stats)) {
+        encoded[field] = value instanceof Map ? { $map: [...value] } : value;
+    }
+    return encoded;
+}
+
+export function decodeStats(encoded) {
+    const stats = {};
+    for (const [field, value] of Object.entries(encoded)) {
+        stats[field] = value !== null && typeof value === 'object' && Array.isArray(value.$map) ? new Map(value.$map) : value;
+    }
+    return stats;
+}
@@ -0,0 +1,165 @@
+import fs from 'fs';
+
+export const DEFAULT_TENANT_ID = 'default';
+
+const TENANT_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+/**
+ * Registry of tenants (namespaces). Every tenant owns a separate
+ * PubSubSystem, so topic names, subscribers and stats never collide
+ * between tenants. Clients are mapped to a tenant by API key.
+ *
+ * Without configured tenants a single unauthenticated default tenant
+ * serves every client.
+ */
+export class TenantRegistry {
+    constructor(createPubSub) {
+        this.createPubSub = createPubSub; // (tenantId, quotas) -> PubSubSystem
+        this.tenants = new Map(); // tenantId -> { id, pubsub, quotas }
+        this.apiKeys = new Map(); // apiKey -> tenantId
+    }
+
+    /**
+     * Build a registry from tenant definitions, or with just the default
+     * tenant when none are given
+     */
+    static fromConfig(definitions, createPubSub) {
+        const registry = new TenantRegistry(createPubSub);
+
+        if (!definitions || definitions.length === 0) {
+            registry.addTenant({ id: DEFAULT_TENANT_ID });
+            return registry;
+        }
+
+        for (const definition of definitions) {
+            registry.addTenant({
+                id: definition.id,
+                apiKeys: definition.api_keys,
+                quotas: parseQuotas(definition.quotas)
+            });
+        }
+
+        return registry;
+    }
+
+    /**
+     * Load tenant definitions from a JSON file of the form
+     * { "tenants": [{ "id", "api_keys": [...], "quotas": {...} }] }
+     */
+    static loadDefinitions(file) {
+        const config = JSON.parse(fs.readFileSync(file, 'utf8'));
+        if (!Array.isArray(config.tenants)) {
+            throw new Error('INVALID_TENANT_CONFIG');
+        }
+        return config.tenants;
+    }
+
+    /**
+     * Register a tenant with its credentials and quotas
+     */
+    addTenant({ id, apiKeys = [], quotas = {} }) {
+        if (typeof id !== 'string' || !TENANT_ID_PATTERN.test(id) || this.tenants.has(id)) {
+            throw new Error('INVALID_TENANT_CONFIG');
+        }
+
+        for (const apiKey of apiKeys) {
+            if (typeof apiKey !== 'string' || apiKey.length === 0 || this.apiKeys.has(apiKey)) {
+                throw new Error('INVALID_TENANT_CONFIG');
+            }
+            this.apiKeys.set(apiKey, id);
+        }
+
+        const tenant = { id, quotas, pubsub: this.createPubSub(id, quotas) };
+        this.tenants.set(id, tenant);
+        return tenant;
+    }
+
+    /**
+     * Whether clients must present credentials
+     */
+    get requiresAuth() {
+        return this.apiKeys.size > 0;
+    }
+
+    /**
+     * Resolve the tenant for an API key (null if unknown)
+     */
+    authenticate(apiKey) {
+        if (!this.requiresAuth) {
+            return this.tenants.get(DEFAULT_TENANT_ID) || null;
+        }
+
+        const tenantId = apiKey ? this.apiKeys.get(apiKey) : undefined;
+        return tenantId ? this.tenants.get(tenantId) : null;
+    }
+
+    /**
+     * Resolve the tenant for an HTTP request or WebSocket upgrade, reading
+     * the key from X-API-Key, an Authorization bearer token or ?api_key=
+     */
+    authenticateRequest(req) {
+        return this.authenticate(extractApiKey(req));
+    }
+
+    /**
+     * Iterate all tenants
+     */
+    [Symbol.iterator]() {
+        return this.tenants.values();
+    }
+
+    /**
+     * Shut down every tenant's PubSubSystem
+     */
+    async gracefulShutdown() {
+        const results = {};
+        for (const tenant of this.tenants.values()) {
+            results[tenant.id] = await tenant.pubsub.gracefulShutdown();
+        }
+        return results;
+    }
+}
+
+/**
+ * Read the API key from request headers or query string
+ */
+export function extractApiKey(req) {
+    const headerKey = req.headers['x-api-key'];
+    if (headerKey) {
+        return headerKey;
+    }
+
+    const authorization = req.headers.authorization;
+    if (authorization && authorization.startsWith('Bearer ')) {
+        return authorization.slice('Bearer '.length).trim();
+    }
+
+    try {
+        const url = new URL(req.url, 'http://localhost');
+        return url.searchParams.get('api_key');
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Convert snake_case quota settings to PubSubSystem quota options
+ */
+function parseQuotas(quotas = {}) {
+    const parsed = {
+        maxTopics: quotas.max_topics,
+        maxSubscribers: quotas.max_subscribers,
+        maxPublishRate: quotas.max_publish_rate,
+        maxRetainedBytes: quotas.max_retained_bytes
+    };
+
+    for (const [key, value] of Object.entries(parsed)) {
+        if (value === undefined) {
+            delete parsed[key];
+        } else if (!Number.isInteger(value) || value < 0) {
+            throw new Error('INVALID_TENANT_CONFIG');
+        }
+    }
+
+    return parsed;
+}
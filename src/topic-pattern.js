@@ -0,0 +1,87 @@
+/**
+ * Hierarchical topic pattern matching
+ *
+ * Topic names are split into dot-separated segments. A pattern may use
+ * `*` to match exactly one segment and `#` to match zero or more segments,
+ * e.g. `orders.*` matches `orders.eu` while `orders.#` also matches
+ * `orders` and `orders.eu.returns`.
+ */
+
+const SINGLE_WILDCARD = '*';
+const MULTI_WILDCARD = '#';
+
+/**
+ * Check whether a topic name contains wildcard characters
+ */
+export function isTopicPattern(name) {
+    return typeof name === 'string' &&
+        (name.includes(SINGLE_WILDCARD) || name.includes(MULTI_WILDCARD));
+}
+
+/**
+ * Validate a pattern and return its segments. Runs of `#` are collapsed
+ * into one, since `#.#` matches exactly what `#` matches.
+ */
+export function compileTopicPattern(pattern) {
+    const segments = [];
+
+    for (const segment of pattern.split('.')) {
+        if (segment.length === 0) {
+            throw new Error('INVALID_TOPIC_PATTERN');
+        }
+        // Wildcards must occupy a whole segment
+        if (segment !== SINGLE_WILDCARD && segment !== MULTI_WILDCARD &&
+            (segment.includes(SINGLE_WILDCARD) || segment.includes(MULTI_WILDCARD))) {
+            throw new Error('INVALID_TOPIC_PATTERN');
+        }
+        if (segment !== MULTI_WILDCARD || segments[segments.length - 1] !== MULTI_WILDCARD) {
+            segments.push(segment);
+        }
+    }
+
+    return segments;
+}
+
+/**
+ * Check whether a concrete topic name matches compiled pattern segments
+ */
+export function matchesTopic(patternSegments, topicName) {
+    return matchSegments(patternSegments, 0, topicName.split('.'), 0, new Set());
+}
+
+/**
+ * Match pattern[i..] against topic[j..]. failed remembers the positions
+ * of `#` that could not be matched, so patterns with several `#` take
+ * polynomial rather than exponential time.
+ */
+function matchSegments(pattern, i, topic, j, failed) {
+    if (i === pattern.length) {
+        return j === topic.length;
+    }
+
+    if (pattern[i] === MULTI_WILDCARD) {
+        const state = i * (topic.length + 1) + j;
+        if (failed.has(state)) {
+            return false;
+        }
+
+        // Try consuming zero or more topic segments
+        for (let k = j; k <= topic.length; k++) {
+            if (matchSegments(pattern, i + 1, topic, k, failed)) {
+                return true;
+            }
+        }
+        failed.add(state);
+        return false;
+    }
+
+    if (j === topic.length) {
+        return false;
+    }
+
+    if (pattern[i] === SINGLE_WILDCARD || pattern[i] === topic[j]) {
+        return matchSegments(pattern, i + 1, topic, j + 1, failed);
+    }
+
+    return false;
+}
@@ -1,11 +1,14 @@
 import { v4 as uuidv4 } from 'uuid';
+import { GROUP_STRATEGIES, ACK_MODES, MIN_PRIORITY, MAX_PRIORITY } from './pubsub.js';
+import { SessionRegistry } from './sessions.js';
 
 /**
  * WebSocket message handler for the Pub/Sub system
  */
 export class WebSocketHandler {
-    constructor(pubsub) {
-        this.pubsub = pubsub;
+    constructor(tenants, sessions = new SessionRegistry()) {
+        this.tenants = tenants;
+        this.sessions = sessions;
     }
 
     /**
@@ -13,12 +16,32 @@ export class WebSocketHandler {
      */
     handleConnection(ws, req) {
         const clientId = uuidv4();
-        console.log(`New WebSocket connection: ${clientId}`);
+
+        // Every connection is bound to the tenant its credentials belong to
+        const tenant = this.tenants.authenticateRequest(req);
+        if (!tenant) {
+            console.log(`Rejected unauthenticated WebSocket connection: ${clientId}`);
+            this.sendError(ws, 'UNAUTHORIZED', 'Missing or invalid API key', null);
+            ws.close(1008, 'UNAUTHORIZED');
+            return;
+        }
+
+        console.log(`New WebSocket connection: ${clientId} (tenant: ${tenant.id})`);
 
         // Set up connection metadata
+        ws.tenant = tenant;
+        ws.pubsub = tenant.pubsub;
         ws.clientId = clientId;
         ws.isAlive = true;
 
+        // Resume the session named by ?session_token, or start a new one
+        const { session, resumed } = this.sessions.open(tenant, ws, getSessionToken(req));
+        ws.session = session;
+        ws.subscriberIds = session.subscriberIds; // client_ids subscribed over this session
+        if (resumed) {
+            console.log(`Resumed session with ${session.subscriberIds.size} subscribers on ${clientId}`);
+        }
+
         // Handle incoming messages
         ws.on('message', (data) => {
             this.handleMessage(ws, data);
@@ -27,13 +50,16 @@ export class WebSocketHandler {
         // Handle connection close
         ws.on('close', (code, reason) => {
             console.log(`WebSocket connection closed: ${clientId}, code: ${code}, reason: ${reason}`);
-            this.pubsub.removeSubscriber(clientId);
+            // Subscribers are kept for the grace period so the client can resume
+            if (ws.session) {
+                this.sessions.suspend(ws.session);
+            }
+            ws.pubsub.plugins.emit('onClientDisconnected', { tenant: tenant.id, clientId, code });
         });
 
-        // Handle errors
+        // Handle errors; a close event follows
         ws.on('error', (error) => {
             console.error(`WebSocket error for ${clientId}:`, error.message);
-            this.pubsub.removeSubscriber(clientId);
         });
 
         // Handle ping/pong for connection health
@@ -41,11 +67,20 @@ export class WebSocketHandler {
             ws.isAlive = true;
         });
 
+        ws.pubsub.plugins.emit('onClientConnected', {
+            tenant: tenant.id,
+            clientId,
+            remoteAddress: req.socket.remoteAddress
+        });
+
         // Send welcome message
         const welcomeMessage = {
             type: 'info',
             msg: 'connected',
             client_id: clientId,
+            session_token: session.token,
+            resumed,
+            ...(resumed && { subscriptions: this.describeSubscriptions(ws) }),
             ts: new Date().toISOString()
         };
 
@@ -56,6 +91,19 @@ export class WebSocketHandler {
         }
     }
 
+    /**
+     * List the subscriptions of a connection's session
+     */
+    describeSubscriptions(ws) {
+        return [...ws.subscriberIds].map(subscriberId => {
+            const subscriber = ws.pubsub.subscribers.get(subscriberId);
+            return {
+                client_id: subscriberId,
+                topics: [...subscriber.topics, ...subscriber.patterns]
+            };
+        });
+    }
+
     /**
      * Handle incoming WebSocket messages
      */
@@ -86,6 +134,14 @@ export class WebSocketHandler {
                 }
             }
 
+            // Validate the ordering key for publish messages
+            if (message.type === 'publish' && message.message && message.message.key !== undefined) {
+                if (typeof message.message.key !== 'string' || message.message.key.length === 0) {
+                    this.sendError(ws, 'BAD_REQUEST', 'message.key must be a non-empty string', message.request_id);
+                    return;
+                }
+            }
+
             // Route message based on type
             switch (message.type) {
                 case 'subscribe':
@@ -100,6 +156,12 @@ export class WebSocketHandler {
                 case 'ping':
                     await this.handlePing(ws, message);
                     break;
+                case 'ack':
+                    await this.handleAck(ws, message);
+                    break;
+                case 'commit':
+                    await this.handleCommit(ws, message);
+                    break;
                 default:
                     this.sendError(ws, 'BAD_REQUEST', `Unknown message type: ${message.type}`, message.request_id);
             }
@@ -114,7 +176,10 @@ export class WebSocketHandler {
      * Handle subscribe message
      */
     async handleSubscribe(ws, message) {
-        const { topic, client_id, last_n = 0, request_id } = message;
+        const {
+            topic, client_id, last_n = 0, from_offset, from_ts, group, group_strategy,
+            ack_mode, ack_timeout_ms, max_in_flight, filter, durable, request_id
+        } = message;
 
         // Validate required fields
         if (!topic) {
@@ -127,9 +192,82 @@ export class WebSocketHandler {
             return;
         }
 
+        if (this.isRateLimited(ws, 'subscribe', { client: client_id, topic }, request_id)) {
+            return;
+        }
+
+        const options = {};
+
+        if (from_offset !== undefined) {
+            if (!Number.isInteger(from_offset) || from_offset < 0) {
+                this.sendError(ws, 'BAD_REQUEST', 'from_offset must be a non-negative integer', request_id);
+                return;
+            }
+            options.fromOffset = from_offset;
+        }
+
+        if (from_ts !== undefined) {
+            const fromTs = typeof from_ts === 'number' ? from_ts : Date.parse(from_ts);
+            if (!Number.isFinite(fromTs)) {
+                this.sendError(ws, 'BAD_REQUEST', 'from_ts must be an ISO-8601 timestamp or epoch milliseconds', request_id);
+                return;
+            }
+            options.fromTs = fromTs;
+        }
+
+        if (group !== undefined) {
+            if (typeof group !== 'string' || group.length === 0) {
+                this.sendError(ws, 'BAD_REQUEST', 'group must be a non-empty string', request_id);
+                return;
+            }
+            if (group_strategy !== undefined && !GROUP_STRATEGIES.includes(group_strategy)) {
+                this.sendError(ws, 'BAD_REQUEST', `group_strategy must be one of: ${GROUP_STRATEGIES.join(', ')}`, request_id);
+                return;
+            }
+            options.group = group;
+            options.groupStrategy = group_strategy;
+        }
+
+        if (ack_mode !== undefined) {
+            if (!ACK_MODES.includes(ack_mode)) {
+                this.sendError(ws, 'BAD_REQUEST', `ack_mode must be one of: ${ACK_MODES.join(', ')}`, request_id);
+                return;
+            }
+            options.ackMode = ack_mode;
+        }
+
+        if (ack_timeout_ms !== undefined) {
+            if (!Number.isInteger(ack_timeout_ms) || ack_timeout_ms < 1) {
+                this.sendError(ws, 'BAD_REQUEST', 'ack_timeout_ms must be a positive integer', request_id);
+                return;
+            }
+            options.ackTimeoutMs = ack_timeout_ms;
+        }
+
+        if (max_in_flight !== undefined) {
+            if (!Number.isInteger(max_in_flight) || max_in_flight < 1) {
+                this.sendError(ws, 'BAD_REQUEST', 'max_in_flight must be a positive integer', request_id);
+                return;
+            }
+            options.maxInFlight = max_in_flight;
+        }
+
+        if (filter !== undefined) {
+            options.filter = filter;
+        }
+
+        if (durable !== undefined) {
+            if (typeof durable !== 'string' || durable.length === 0) {
+                this.sendError(ws, 'BAD_REQUEST', 'durable must be a non-empty string', request_id);
+                return;
+            }
+            options.durable = durable;
+        }
+
         try {
             // Attempt to subscribe
-            const result = this.pubsub.subscribe(client_id, ws, topic, last_n);
+            const result = ws.pubsub.subscribe(client_id, ws, topic, last_n, options);
+            ws.subscriberIds.add(client_id);
 
             // Send acknowledgment
             const ackMessage = {
@@ -137,6 +275,10 @@ export class WebSocketHandler {
                 request_id,
                 topic,
                 status: 'ok',
+                ...(result.group && { group: result.group }),
+                ...(result.ack_mode && { ack_mode: result.ack_mode }),
+                ...(result.durable && { durable: result.durable, cursor: result.cursor }),
+                ...(result.replay && { replay: result.replay }),
                 ts: new Date().toISOString()
             };
 
@@ -146,6 +288,20 @@ export class WebSocketHandler {
             let errorCode = 'INTERNAL_ERROR';
             if (error.message === 'TOPIC_NOT_FOUND') {
                 errorCode = 'TOPIC_NOT_FOUND';
+            } else if (['INVALID_TOPIC_PATTERN', 'INVALID_SUBSCRIPTION_OPTION', 'GROUP_STRATEGY_MISMATCH'].includes(error.message)) {
+                errorCode = 'BAD_REQUEST';
+            } else if (error.message === 'DURABLE_SUBSCRIPTION_IN_USE') {
+                this.sendError(ws, 'DURABLE_SUBSCRIPTION_IN_USE', `Durable subscription ${durable} has another client attached`, request_id);
+                return;
+            } else if (error.message === 'CLIENT_ID_IN_USE') {
+                this.sendError(ws, 'CLIENT_ID_IN_USE', `client_id ${client_id} is in use by another open connection`, request_id);
+                return;
+            } else if (error.message === 'INVALID_FILTER') {
+                this.sendError(ws, 'BAD_REQUEST', `Invalid filter expression: ${error.details}`, request_id);
+                return;
+            } else if (error.message === 'QUOTA_EXCEEDED') {
+                this.sendError(ws, 'QUOTA_EXCEEDED', error.details, request_id);
+                return;
             }
             this.sendError(ws, errorCode, error.message, request_id);
         }
@@ -168,9 +324,13 @@ export class WebSocketHandler {
             return;
         }
 
+        if (!this.ownsClientId(ws, client_id, request_id)) {
+            return;
+        }
+
         try {
             // Attempt to unsubscribe
-            const result = this.pubsub.unsubscribe(client_id, topic);
+            const result = ws.pubsub.unsubscribe(client_id, topic);
 
             // Send acknowledgment
             const ackMessage = {
@@ -196,7 +356,7 @@ export class WebSocketHandler {
      * Handle publish message
      */
     async handlePublish(ws, message) {
-        const { topic, message: payload, request_id } = message;
+        const { topic, message: payload, retain, priority, deliver_at, delay_ms, client_id, request_id } = message;
 
         // Validate required fields
         if (!topic) {
@@ -209,9 +369,66 @@ export class WebSocketHandler {
             return;
         }
 
+        // Only a client_id subscribed over this connection has its own bucket, so a
+        // publisher can neither dodge its limit with fresh ids nor use up another client's
+        const owner = client_id && ws.subscriberIds.has(client_id) ? client_id : undefined;
+        if (this.isRateLimited(ws, 'publish', { client: owner, topic }, request_id)) {
+            return;
+        }
+
+        if (priority !== undefined &&
+            (!Number.isInteger(priority) || priority < MIN_PRIORITY || priority > MAX_PRIORITY)) {
+            this.sendError(ws, 'BAD_REQUEST', `priority must be an integer from ${MIN_PRIORITY} to ${MAX_PRIORITY}`, request_id);
+            return;
+        }
+
+        // Optional delayed delivery
+        let deliverAt = null;
+        if (deliver_at !== undefined && delay_ms !== undefined) {
+            this.sendError(ws, 'BAD_REQUEST', 'Use either deliver_at or delay_ms, not both', request_id);
+            return;
+        }
+        if (deliver_at !== undefined) {
+            deliverAt = typeof deliver_at === 'number' ? deliver_at : Date.parse(deliver_at);
+            if (!Number.isFinite(deliverAt)) {
+                this.sendError(ws, 'BAD_REQUEST', 'deliver_at must be an ISO-8601 timestamp or epoch milliseconds', request_id);
+                return;
+            }
+        }
+        if (delay_ms !== undefined) {
+            if (!Number.isInteger(delay_ms) || delay_ms < 0) {
+                this.sendError(ws, 'BAD_REQUEST', 'delay_ms must be a non-negative integer', request_id);
+                return;
+            }
+            deliverAt = Date.now() + delay_ms;
+        }
+
+        if (deliverAt !== null && deliverAt > Date.now()) {
+            try {
+                const result = ws.pubsub.schedulePublish(topic, payload, deliverAt, { retain: retain === true, priority });
+
+                ws.send(JSON.stringify({
+                    type: 'ack',
+                    request_id,
+                    topic,
+                    status: 'ok',
+                    scheduled_id: result.id,
+                    deliver_at: result.deliver_at,
+                    ts: new Date().toISOString()
+                }));
+            } catch (error) {
+                if (this.sendPublishRejection(ws, error, request_id)) {
+                    return;
+                }
+                const errorCode = error.message === 'TOPIC_NOT_FOUND' ? 'TOPIC_NOT_FOUND' : 'INTERNAL_ERROR';
+                this.sendError(ws, errorCode, error.message, request_id);
+            }
+            return;
+        }
+
         try {
             // Attempt to publish
-            const result = this.pubsub.publish(topic, payload);
+            const result = ws.pubsub.publish(topic, payload, { retain: retain === true, priority });
 
             // Send acknowledgment
             const ackMessage = {
@@ -219,6 +436,11 @@ export class WebSocketHandler {
                 request_id,
                 topic,
                 status: 'ok',
+                ...(result.offset !== undefined && { offset: result.offset }),
+                ...(result.partition !== undefined && { partition: result.partition }),
+                ...(result.duplicate && { duplicate: true }),
+                ...(result.retained && { retained: true }),
+                ...(result.status === 'retained_cleared' && { retained_cleared: true }),
                 ts: new Date().toISOString()
             };
 
@@ -228,11 +450,159 @@ export class WebSocketHandler {
             let errorCode = 'INTERNAL_ERROR';
             if (error.message === 'TOPIC_NOT_FOUND') {
                 errorCode = 'TOPIC_NOT_FOUND';
+            } else if (this.sendPublishRejection(ws, error, request_id)) {
+                return;
             }
             this.sendError(ws, errorCode, error.message, request_id);
         }
     }
 
+    /**
+     * Report a publish the broker refused (quota, plugin, payload size,
+     * schema or a full queue of a BLOCK topic); returns false for other errors
+     */
+    sendPublishRejection(ws, error, requestId) {
+        switch (error.message) {
+            case 'QUOTA_EXCEEDED':
+            case 'PUBLISH_REJECTED':
+            case 'PAYLOAD_TOO_LARGE':
+            case 'QUEUE_FULL':
+                this.sendError(ws, error.message, error.details, requestId);
+                return true;
+            case 'SCHEMA_VALIDATION_FAILED':
+                this.sendError(ws, error.message, 'Payload does not match the topic schema', requestId, {
+                    errors: error.details
+                });
+                return true;
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * Handle ack message acknowledging a delivered event in manual ack mode
+     */
+    async handleAck(ws, message) {
+        const { topic, offset, client_id, request_id } = message;
+
+        if (!topic) {
+            this.sendError(ws, 'BAD_REQUEST', 'Missing topic field', request_id);
+            return;
+        }
+
+        if (!Number.isInteger(offset) || offset < 0) {
+            this.sendError(ws, 'BAD_REQUEST', 'offset must be a non-negative integer', request_id);
+            return;
+        }
+
+        if (!this.ownsClientId(ws, client_id, request_id)) {
+            return;
+        }
+
+        // Without client_id, acknowledge on whichever subscription of this connection holds it
+        const candidates = client_id ? [client_id] : [...ws.subscriberIds];
+        for (const candidate of candidates) {
+            try {
+                ws.pubsub.ack(candidate, topic, offset);
+                if (request_id) {
+                    ws.send(JSON.stringify({
+                        type: 'ack',
+                        request_id,
+                        topic,
+                        status: 'ok',
+                        offset,
+                        ts: new Date().toISOString()
+                    }));
+                }
+                return;
+            } catch (error) {
+                // Try the next subscription of this connection
+            }
+        }
+
+        this.sendError(ws, 'BAD_REQUEST', `No in-flight message at offset ${offset} on topic ${topic}`, request_id);
+    }
+
+    /**
+     * Whether an optional client_id belongs to a subscriber of this
+     * connection; sends FORBIDDEN if not
+     */
+    ownsClientId(ws, clientId, requestId) {
+        if (!clientId || ws.subscriberIds.has(clientId)) {
+            return true;
+        }
+
+        this.sendError(ws, 'FORBIDDEN', `client_id ${clientId} is not subscribed on this connection`, requestId);
+        return false;
+    }
+
+    /**
+     * Handle commit message moving a durable subscription's cursor past an offset
+     */
+    async handleCommit(ws, message) {
+        const { topic, durable, offset, client_id, request_id } = message;
+
+        if (!topic) {
+            this.sendError(ws, 'BAD_REQUEST', 'Missing topic field', request_id);
+            return;
+        }
+
+        if (typeof durable !== 'string' || durable.length === 0) {
+            this.sendError(ws, 'BAD_REQUEST', 'durable must be a non-empty string', request_id);
+            return;
+        }
+
+        if (!Number.isInteger(offset) || offset < 0) {
+            this.sendError(ws, 'BAD_REQUEST', 'offset must be a non-negative integer', request_id);
+            return;
+        }
+
+        if (!this.ownsClientId(ws, client_id, request_id)) {
+            return;
+        }
+
+        // Without client_id, commit through whichever subscriber of this connection is attached
+        const candidates = client_id ? [client_id] : [...ws.subscriberIds];
+        let lastError = new Error('DURABLE_SUBSCRIPTION_NOT_ATTACHED');
+        for (const candidate of candidates) {
+            try {
+                const result = ws.pubsub.commitDurable(candidate, topic, durable, offset);
+                ws.send(JSON.stringify({
+                    type: 'ack',
+                    request_id,
+                    topic,
+                    status: 'ok',
+                    durable,
+                    cursor: result.cursor,
+                    ts: new Date().toISOString()
+                }));
+                return;
+            } catch (error) {
+                lastError = error;
+                if (error.message !== 'DURABLE_SUBSCRIPTION_NOT_ATTACHED') {
+                    break;
+                }
+            }
+        }
+
+        switch (lastError.message) {
+            case 'TOPIC_NOT_FOUND':
+                this.sendError(ws, 'TOPIC_NOT_FOUND', lastError.message, request_id);
+                break;
+            case 'DURABLE_SUBSCRIPTION_NOT_FOUND':
+                this.sendError(ws, 'BAD_REQUEST', `Unknown durable subscription ${durable} on topic ${topic}`, request_id);
+                break;
+            case 'INVALID_OFFSET':
+                this.sendError(ws, 'BAD_REQUEST', `offset ${offset} has not been published on topic ${topic}`, request_id);
+                break;
+            case 'DURABLE_SUBSCRIPTION_NOT_ATTACHED':
+                this.sendError(ws, 'BAD_REQUEST', `Durable subscription ${durable} is not attached to this connection`, request_id);
+                break;
+            default:
+                this.sendError(ws, 'INTERNAL_ERROR', lastError.message, request_id);
+        }
+    }
+
     /**
      * Handle ping message
      */
@@ -255,13 +625,14 @@ export class WebSocketHandler {
     /**
      * Send error message to client
      */
-    sendError(ws, code, message, requestId) {
+    sendError(ws, code, message, requestId, details = {}) {
         const errorMessage = {
             type: 'error',
             request_id: requestId,
             error: {
                 code,
-                message
+                message,
+                ...details
             },
             ts: new Date().toISOString()
         };
@@ -273,6 +644,29 @@ export class WebSocketHandler {
         }
     }
 
+    /**
+     * Take a rate limit token for an action; sends RATE_LIMITED and returns
+     * true if one of the connection's, client's or topic's limits is exceeded
+     */
+    isRateLimited(ws, action, { client, topic }, requestId) {
+        // Frames without a client_id count against the session, which survives reconnects
+        const session = ws.session ? `session:${ws.session.token}` : ws.clientId;
+        const limited = ws.pubsub.rateLimiter.take(ws.tenant.id, action, {
+            connection: ws.clientId,
+            client: client || session,
+            topic
+        });
+        if (!limited) {
+            return false;
+        }
+
+        this.sendError(ws, 'RATE_LIMITED', `Too many ${action} requests (${limited.scope} limit)`, requestId, {
+            scope: limited.scope,
+            retry_after_ms: limited.retryAfterMs
+        });
+        return true;
+    }
+
     /**
      * Validate UUID format
      */
@@ -288,8 +682,8 @@ export class WebSocketHandler {
         const interval = setInterval(() => {
             wss.clients.forEach((ws) => {
                 if (ws.isAlive === false) {
+                    // The close event suspends the connection's session
                     console.log(`Terminating inactive connection: ${ws.clientId}`);
-                    this.pubsub.removeSubscriber(ws.clientId);
                     return ws.terminate();
                 }
 
@@ -310,3 +704,15 @@ export class WebSocketHandler {
         return interval;
     }
 }
+
+/**
+ * Session token a reconnecting client passes as ?session_token
+ */
+function getSessionToken(req) {
+    try {
+        const url = new URL(req.url, 'http://localhost');
+        return url.searchParams.get('session_token');
+    } catch (error) {
+        return null;
+    }
+}